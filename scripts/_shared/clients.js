@@ -0,0 +1,38 @@
+/**
+ * scripts/_shared/clients.js
+ *
+ * Database and chain clients for the maintenance jobs in scripts/.
+ *
+ * Env:  SUPABASE_URL (or VITE_SUPABASE_URL), SUPABASE_SERVICE_ROLE_KEY
+ *       CHAIN_NETWORK  cashscript network name (default chipnet)
+ *       ELECTRUM_HOST  Fulcrum server instead of the network default
+ */
+
+import { createClient } from '@supabase/supabase-js'
+import { ElectrumNetworkProvider } from 'cashscript'
+import { libauth } from 'mainnet-js'
+import { createChainBackend } from '../../supabase/functions/_shared/chainCheck.js'
+
+const supabaseUrl = process.env.SUPABASE_URL ?? process.env.VITE_SUPABASE_URL
+const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+if (!supabaseUrl || !serviceKey) {
+    console.error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required (the service role bypasses RLS).')
+    process.exit(1)
+}
+
+// Service-role client: bypasses RLS, the jobs are trusted
+export const db = createClient(supabaseUrl, serviceKey, { auth: { persistSession: false } })
+
+export const network = process.env.CHAIN_NETWORK ?? 'chipnet'
+export const provider = new ElectrumNetworkProvider(
+    network,
+    process.env.ELECTRUM_HOST ? { hostname: process.env.ELECTRUM_HOST } : {},
+)
+export const chain = createChainBackend(provider, libauth)
+
+// Runs a supabase-js query, throwing `what: message` on error
+export async function fetchOrFail(query, what) {
+    const { data, error } = await query
+    if (error) throw new Error(`${what}: ${error.message}`)
+    return data
+}
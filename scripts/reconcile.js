@@ -0,0 +1,130 @@
+/**
+ * scripts/reconcile.js
+ *
+ * Reconciler job: brings the `transactions` table and projects.funded_amount
+ * in line with the chain (src/lib/reconcile.js). For every project it
+ *   • scans the MilestoneLock history and adds the funding, release and
+ *     refund rows nobody recorded,
+ *   • flags rows whose tx hash, type or amount the chain doesn't back (they
+ *     are reported, never changed or deleted),
+ *   • rewrites funded_amount with what the chain says was funded,
+ * then prints a report. With --dry-run nothing is written.
+ *
+ * Usage:
+ *   SUPABASE_URL=... SUPABASE_SERVICE_ROLE_KEY=... \
+ *     npm run reconcile -- [--dry-run] [--project <uuid>]
+ *
+ * Env:  PROJECT_RECEIVE_ADDRESS  platform receive address of the projects
+ *                                created without a receive_address,
+ *       plus the database and chain settings in _shared/clients.js
+ */
+
+import { parseArgs } from 'node:util'
+import { compileFile } from 'cashc'
+import { Contract } from 'cashscript'
+import { hash160 } from '@cashscript/utils'
+import { libauth } from 'mainnet-js'
+import { reconcileProject, scanLockHistory } from '../src/lib/reconcile.js'
+import { getRefundDeadline, SATS_PER_TOKEN } from '../supabase/functions/_shared/projectLock.js'
+import { chain, db, fetchOrFail, network, provider } from './_shared/clients.js'
+
+const { values: args } = parseArgs({
+    options: {
+        'dry-run': { type: 'boolean', default: false },
+        project: { type: 'string' },
+    },
+})
+const dryRun = args['dry-run']
+
+const legacyReceiveAddress = process.env.PROJECT_RECEIVE_ADDRESS
+
+const lockArtifact = compileFile(new URL('../src/contracts/MilestoneLock.cash', import.meta.url))
+const minterArtifact = compileFile(new URL('../src/contracts/GovMinter.cash', import.meta.url))
+
+// The project's MilestoneLock and GovMinter, as getMilestoneContract() and
+// getGovMinter() build them, or null when the creator hasn't set the
+// pubkeys yet
+function lockFor(project) {
+    if (!project.owner_pubkey || !project.funder_pubkey) return null
+    const refundDeadline = getRefundDeadline(project.created_at)
+    const contract = new Contract(lockArtifact, [project.owner_pubkey, project.funder_pubkey, BigInt(refundDeadline)], {
+        provider,
+        addressType: 'p2sh32',
+    })
+    const minter = new Contract(minterArtifact, [chain.lockingBytecodeOf(contract.address), SATS_PER_TOKEN], {
+        provider,
+        addressType: 'p2sh32',
+    })
+    const funderHash = Buffer.from(hash160(libauth.hexToBin(project.funder_pubkey))).toString('hex')
+    return {
+        lockAddress: contract.address,
+        funderBytecode: `76a914${funderHash}88ac`,
+        minterBytecode: chain.lockingBytecodeOf(minter.address),
+    }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+let projectQuery = db.from('projects').select('id, title, funded_amount, owner_pubkey, funder_pubkey, receive_address, created_at').order('created_at')
+if (args.project) projectQuery = projectQuery.eq('id', args.project)
+const projects = await fetchOrFail(projectQuery, 'Could not load projects').catch((e) => {
+    console.error(e.message)
+    process.exit(1)
+})
+
+console.log(`Reconciling ${projects.length} project(s) against ${network}${dryRun ? ' (dry run, nothing is written)' : ''}\n`)
+
+const totals = { added: 0, flagged: 0, rewritten: 0, failed: 0 }
+
+for (const project of projects) {
+    console.log(`■ ${project.title} (${project.id})`)
+    try {
+        const rows = await fetchOrFail(
+            db.from('transactions').select('tx_hash, amount, type').eq('project_id', project.id).order('created_at'),
+            'Could not load transactions',
+        )
+        const lock = lockFor(project)
+        const lockEvents = lock ? await scanLockHistory(chain, lock) : []
+        const receiveAddress = project.receive_address ?? legacyReceiveAddress
+        const { missing, issues, fundedAmount } = await reconcileProject(chain, { rows, lockEvents, receiveAddress })
+
+        if (!lock) console.log('  no MilestoneLock pubkeys: only recorded rows were checked')
+        if (!receiveAddress) console.log('  no receive_address and PROJECT_RECEIVE_ADDRESS is not set: funding outside the lock is flagged')
+        for (const m of missing) console.log(`  + missing ${m.type} ${m.txHash} ${m.amount} BCH`)
+        for (const i of issues) console.log(`  ! ${i.type} ${i.txHash}: ${i.problem}`)
+
+        const fundedChanged = Number(project.funded_amount) !== Number(fundedAmount)
+        if (fundedChanged) console.log(`  ~ funded_amount ${project.funded_amount} → ${fundedAmount}`)
+        if (!missing.length && !issues.length && !fundedChanged) console.log('  in sync')
+
+        if (!dryRun && missing.length) {
+            await fetchOrFail(
+                db.from('transactions').upsert(
+                    missing.map(m => ({ project_id: project.id, tx_hash: m.txHash, amount: m.amount, type: m.type })),
+                    { onConflict: 'tx_hash,type', ignoreDuplicates: true },
+                ),
+                'Could not add the missing rows',
+            )
+        }
+        if (!dryRun && fundedChanged) {
+            await fetchOrFail(
+                db.from('projects').update({ funded_amount: fundedAmount }).eq('id', project.id),
+                'Could not rewrite funded_amount',
+            )
+        }
+
+        totals.added += missing.length
+        totals.flagged += issues.length
+        totals.rewritten += fundedChanged ? 1 : 0
+    } catch (e) {
+        console.log(`  ✗ ${e.message}`)
+        totals.failed++
+    }
+    console.log()
+}
+
+console.log(`${dryRun ? 'Would add' : 'Added'} ${totals.added} row(s), flagged ${totals.flagged}, ` +
+    `${dryRun ? 'would rewrite' : 'rewrote'} funded_amount on ${totals.rewritten} project(s)` +
+    (totals.failed ? `, ${totals.failed} project(s) failed` : ''))
+
+process.exit(totals.failed ? 1 : 0)
@@ -0,0 +1,82 @@
+/**
+ * scripts/watch-transactions.js
+ *
+ * Transaction watcher: keeps status / block_height / confirmations of the
+ * `transactions` rows in step with the chain (src/lib/txStatus.js). Every
+ * pass it looks up each row that isn't settled yet — in the mempool, or
+ * confirmed fewer than CONFIRMATIONS_FINAL blocks deep — and stores what
+ * changed through set_transaction_status(), which also takes dropped
+ * funding off the project's funded_amount.
+ *
+ * Usage:
+ *   SUPABASE_URL=... SUPABASE_SERVICE_ROLE_KEY=... \
+ *     npm run watch-transactions -- [--once] [--interval <seconds>]
+ *
+ * Runs a pass every --interval seconds (default 60) until stopped;
+ * --once runs a single pass and exits (for cron).
+ *
+ * Env:  the database and chain settings in _shared/clients.js
+ */
+
+import { parseArgs } from 'node:util'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { CONFIRMATIONS_FINAL, statusFromHeight } from '../src/lib/txStatus.js'
+import { chain, db, fetchOrFail, network, provider } from './_shared/clients.js'
+
+const { values: args } = parseArgs({
+    options: {
+        once: { type: 'boolean', default: false },
+        interval: { type: 'string', default: '60' },
+    },
+})
+const intervalSeconds = Number(args.interval)
+if (!(intervalSeconds > 0)) {
+    console.error('--interval must be a positive number of seconds')
+    process.exit(1)
+}
+
+async function watchPass() {
+    const rows = await fetchOrFail(
+        db.from('transactions')
+            .select('id, tx_hash, type, status, block_height, confirmations')
+            .or(`status.eq.mempool,and(status.eq.confirmed,confirmations.lt.${CONFIRMATIONS_FINAL})`),
+        'Could not load unsettled transactions',
+    )
+    if (!rows.length) return
+
+    const tip = await provider.getBlockHeight()
+    for (const row of rows) {
+        const next = statusFromHeight(await chain.getTxHeight(row.tx_hash), tip)
+        if (next.status === row.status && next.block_height === row.block_height && next.confirmations === row.confirmations) continue
+
+        await fetchOrFail(
+            db.rpc('set_transaction_status', {
+                p_id: row.id,
+                p_status: next.status,
+                p_block_height: next.block_height,
+                p_confirmations: next.confirmations,
+            }),
+            `Could not update ${row.tx_hash}`,
+        )
+        console.log(`${new Date().toISOString()} ${row.type} ${row.tx_hash}: ${row.status} → ${next.status}` +
+            (next.status === 'confirmed' ? ` (${next.confirmations} conf, block ${next.block_height})` : ''))
+    }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+console.log(`Watching transactions on ${network}${args.once ? ' (one pass)' : `, every ${intervalSeconds}s`}`)
+
+for (;;) {
+    try {
+        await watchPass()
+    } catch (e) {
+        // A failed pass is retried on the next one; a single pass reports it
+        console.error(`${new Date().toISOString()} pass failed:`, e.message)
+        if (args.once) process.exit(1)
+    }
+    if (args.once) break
+    await sleep(intervalSeconds * 1000)
+}
+
+process.exit(0)
@@ -4,22 +4,17 @@ import MilestoneCard from './MilestoneCard'
 import WalletPanel from './WalletPanel'
 import GovernancePanel from './GovernancePanel'
 
-export default function Dashboard({ project, onFund, onVote, onReset }) {
+export default function Dashboard({ project, onFund, onVote, onReset, onWalletConnect, onTokenCreated, onMilestoneUpdate }) {
     const { title, description, fundingTarget, fundedAmount, milestones } = project
     const approvedCount = milestones.filter(m => m.status === 'Approved').length
 
     // ── Week 3: track the connected wallet object so GovernancePanel can use it
     const [connectedWallet, setConnectedWallet] = useState(null)
 
-    // Handle governance approval — syncs with the existing onVote system
-    const handleGovApproval = useCallback((milestoneId) => {
-        // Force the milestone to "Approved" via the parent vote handler
-        // by casting enough yes votes to clear any no votes
-        const milestone = milestones.find(m => m.id === milestoneId)
-        if (milestone && milestone.status !== 'Approved') {
-            onVote(milestoneId, 'yes')
-        }
-    }, [milestones, onVote])
+    const handleWalletConnect = useCallback((wallet) => {
+        setConnectedWallet(wallet)
+        if (wallet && onWalletConnect) onWalletConnect(wallet)
+    }, [onWalletConnect])
 
     return (
         <div className="max-w-3xl mx-auto">
@@ -76,15 +71,18 @@ export default function Dashboard({ project, onFund, onVote, onReset }) {
 
             {/* ── Week 2: BCH Wallet Panel ───────────────────────────────────── */}
             <WalletPanel
+                receiveAddress={project.receiveAddress ?? project.receive_address}
                 onRealFund={onFund}
-                onWalletConnect={setConnectedWallet}
+                onWalletConnect={handleWalletConnect}
             />
 
             {/* ── Week 3: Governance + Milestone Locking Panel ──────────────── */}
             <GovernancePanel
                 wallet={connectedWallet}
+                project={project}
                 milestones={milestones}
-                onMilestoneApproved={handleGovApproval}
+                onMilestoneUpdate={onMilestoneUpdate}
+                onTokenCreated={onTokenCreated}
             />
 
             {/* ── Milestones Section ────────────────────────────────────────── */}
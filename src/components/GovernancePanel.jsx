@@ -2,27 +2,50 @@
  * GovernancePanel.jsx  —  Milestara Week 3 UI
  *
  * This panel shows:
- *   1. Current GOV token balance
- *   2. Locked BCH amount in the "contract"
- *   3. Token-weighted voting per milestone
- *   4. Release button after milestone is approved
+ *   1. On-chain GOV token balance (and creating the project's GOV token)
+ *   2. Locked BCH amount, read from the project's MilestoneLock contract UTXOs
+ *   3. Token-weighted voting per milestone (GOV tokens sent to vote boxes),
+ *      inside a voting window the creator opens (openMilestoneVoting, which
+ *      snapshots GOV balances); at close the database settles the milestone
+ *      (settle_milestone_voting) and the panel shows that status. Local demo
+ *      projects have no database row and settle from the chain tally
+ *   4. Release button after milestone is approved (MilestoneLock.release),
+ *      paying the milestone's share of the funding target, capped by what
+ *      the lock can release
+ *   5. Refund button, shown to the lock's funder only (MilestoneLock.refund)
+ *   6. Countdown to the refund deadline, then anyone can reclaim for the
+ *      funder (MilestoneLock.reclaim)
+ *   7. Redeem button for GOV holders: hand tokens back, take their share of
+ *      the GOV-backed deposits out (MilestoneLock.redeem)
  *
  * It connects to milestoneContract.js service functions.
  */
 
-import React, { useState, useEffect, useCallback } from 'react'
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react'
 import {
+    getMilestoneContract,
+    createProjectToken,
     fundMilestoneContract,
     castVote,
     releaseMilestoneFunds,
+    getReleasableAmount,
+    refundMilestoneFunds,
+    claimExpiredRefund,
+    redeemGovTokens,
+    getRefundDeadline,
+    getWalletPubkey,
     getTokenBalance,
     getLockedAmount,
-    getMilestoneVotes,
-    isMilestoneApproved,
+    getChainVotes,
+    getCirculatingSupply,
     chipnetExplorerUrl,
     clearContractState,
+    getBlockHeight,
 } from '../services/milestoneContract'
-import { PROJECT_ADDRESS } from '../services/bchWallet'
+import { getUserByWallet, openMilestoneVoting, finalizeMilestoneVoting } from '../lib/db'
+import { supabaseConfigured } from '../lib/supabase'
+import { evaluateVotes, getGovernanceRules } from '../lib/governance'
+import { shortenAddress } from '../services/bchWallet'
 
 // ── Spinner ──────────────────────────────────────────────────────────────────
 function Spinner() {
@@ -51,10 +74,13 @@ function TokenBadge({ balance }) {
 }
 
 // ── Vote Bar ──────────────────────────────────────────────────────────────────
-function VoteBar({ votes }) {
-    const total = votes.yes + votes.no
-    const yesP = total > 0 ? Math.round((votes.yes / total) * 100) : 0
-    const noP = total > 0 ? Math.round((votes.no / total) * 100) : 0
+// Split by effective weight; in quadratic mode the weight is shown next to
+// the raw GOV tokens behind it
+function VoteBar({ result, quadratic }) {
+    const { yesTokens, noTokens, yesWeight, noWeight, totalWeight } = result
+    const yesP = totalWeight > 0 ? Math.round((yesWeight / totalWeight) * 100) : 0
+    const noP = totalWeight > 0 ? Math.round((noWeight / totalWeight) * 100) : 0
+    const label = (tokens, weight) => (quadratic ? `${tokens} tokens → ${weight.toFixed(1)} weight` : `${tokens} tokens`)
     return (
         <div className="mb-3">
             <div className="flex rounded-full overflow-hidden h-2 mb-1.5" style={{ background: 'rgba(255,255,255,0.05)' }}>
@@ -62,43 +88,179 @@ function VoteBar({ votes }) {
                 <div className="h-full transition-all duration-700" style={{ width: `${noP}%`, background: 'linear-gradient(90deg, #be123c, #e11d48)' }} />
             </div>
             <div className="flex justify-between text-xs">
-                <span style={{ color: '#4ade80' }}>✓ YES  {yesP}% ({votes.yes} tokens)</span>
-                <span style={{ color: '#f87171' }}>✗ NO  {noP}% ({votes.no} tokens)</span>
+                <span style={{ color: '#4ade80' }}>✓ YES  {yesP}% ({label(yesTokens, yesWeight)})</span>
+                <span style={{ color: '#f87171' }}>✗ NO  {noP}% ({label(noTokens, noWeight)})</span>
             </div>
         </div>
     )
 }
 
+// ── Quorum ────────────────────────────────────────────────────────────────────
+// `result` is evaluateVotes() of the milestone; hidden until the supply is known
+function QuorumBar({ result, quorumPercent }) {
+    const { totalTokens, quorumVotes, quorumReached, quorumProgress } = result
+    if (quorumVotes === null) return null
+    return (
+        <div className="mb-3">
+            <div className="rounded-full overflow-hidden h-1 mb-1" style={{ background: 'rgba(255,255,255,0.05)' }}>
+                <div className="h-full transition-all duration-700" style={{ width: `${quorumProgress}%`, background: quorumReached ? '#10b981' : '#a78bfa' }} />
+            </div>
+            <p className="text-xs" style={{ color: quorumReached ? '#4ade80' : '#94a3b8' }}>
+                {quorumReached ? '✓ Quorum reached' : '○ Quorum not reached'} · {totalTokens} / {quorumVotes} tokens ({quorumPercent}% of circulating GOV)
+            </p>
+        </div>
+    )
+}
+
+// ── Refund Countdown ──────────────────────────────────────────────────────────
+function formatCountdown(seconds) {
+    const d = Math.floor(seconds / 86400)
+    const h = Math.floor((seconds % 86400) / 3600)
+    const m = Math.floor((seconds % 3600) / 60)
+    const s = seconds % 60
+    return d > 0 ? `${d}d ${h}h ${m}m` : `${h}h ${m}m ${s}s`
+}
+
+function RefundCountdown({ deadline, now }) {
+    const remaining = deadline - now
+    const expired = remaining <= 0
+    return (
+        <div className="flex items-center justify-between text-xs mb-5 px-4 py-2.5 rounded-xl"
+            style={{ background: 'rgba(255,255,255,0.03)', border: '1px solid rgba(255,255,255,0.07)' }}>
+            <span className="text-slate-500">
+                ⏰ Refund deadline · {new Date(deadline * 1000).toLocaleDateString()}
+            </span>
+            <span className="font-bold font-mono" style={{ color: expired ? '#fbbf24' : '#94a3b8' }}>
+                {expired ? 'Expired — backers can reclaim' : formatCountdown(remaining)}
+            </span>
+        </div>
+    )
+}
+
+// ── Voting window ─────────────────────────────────────────────────────────────
+// 'pending' until the creator opens voting, 'open' inside the window, then 'closed'
+function votingPhase(milestone, now) {
+    if (!milestone.voting_closes_at) return 'pending'
+    return now < Date.parse(milestone.voting_closes_at) / 1000 ? 'open' : 'closed'
+}
+
+// Database statuses are lowercase, the local demo's are capitalised
+function milestoneStatus(milestone) {
+    return milestone.status?.toLowerCase() ?? 'pending'
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // MAIN COMPONENT
 // ─────────────────────────────────────────────────────────────────────────────
-export default function GovernancePanel({ wallet, milestones = [], onMilestoneApproved }) {
+export default function GovernancePanel({ wallet, project, milestones = [], onMilestoneUpdate, onTokenCreated }) {
     // ── State ─────────────────────────────────────────────────────────────────
     const [tokenBal, setTokenBal] = useState(0)
     const [lockedBch, setLockedBch] = useState(0)
+    const [releasableBch, setReleasableBch] = useState(0)
     const [mintAmt, setMintAmt] = useState('0.001')
     const [mintLoading, setMintLoading] = useState(false)
     const [mintResult, setMintResult] = useState(null)
+    const [tokenLoading, setTokenLoading] = useState(false)
     const [voteTokens, setVoteTokens] = useState(1)
     const [voteLoading, setVoteLoading] = useState(null)  // milestoneId
     const [releaseId, setReleaseId] = useState(null)  // milestoneId being released
     const [releaseTxId, setReleaseTxId] = useState({})
+    const [refundLoading, setRefundLoading] = useState(false)
+    const [refundResult, setRefundResult] = useState(null)
+    const [redeemAmt, setRedeemAmt] = useState('')
+    const [redeemLoading, setRedeemLoading] = useState(false)
+    const [now, setNow] = useState(() => Math.floor(Date.now() / 1000))
     const [error, setError] = useState('')
     const [milestoneVotes, setMilestoneVotes] = useState({})
+    const [circulating, setCirculating] = useState(null)
+    const [openingId, setOpeningId] = useState(null)  // milestoneId whose voting is being opened
+    const settling = useRef(new Set())  // milestoneIds whose final tally was requested
+
+    // ── Project contract (same pubkeys + deadline → same P2SH32 address) ─────
+    const ownerPk = project?.ownerPubkey
+    const funderPk = project?.funderPubkey
+    const createdAt = project?.created_at
+    const refundDeadline = useMemo(() => (createdAt ? getRefundDeadline(createdAt) : null), [createdAt])
+    const contract = useMemo(
+        () => (ownerPk && funderPk && refundDeadline ? getMilestoneContract(ownerPk, funderPk, refundDeadline) : null),
+        [ownerPk, funderPk, refundDeadline]
+    )
+    const refundExpired = refundDeadline !== null && now >= refundDeadline
+    const tokenCategory = project?.tokenCategory ?? project?.token_category
+    const payoutAddress = project?.payoutAddress ?? project?.payout_address
+    const isOwner = Boolean(wallet && ownerPk && getWalletPubkey(wallet) === ownerPk)
+    const isFunder = Boolean(wallet && funderPk && getWalletPubkey(wallet) === funderPk)
+    const fundingTarget = Number(project?.fundingTarget ?? project?.funding_target ?? 0)
+    const rules = getGovernanceRules(project)
+    const { tokensConsumed, votingMode } = rules
+    const quadratic = votingMode === 'quadratic'
+    // Projects with a database row are opened and settled there
+    const dbProject = Boolean(project?.id && supabaseConfigured)
 
     // ── Load state ────────────────────────────────────────────────────────────
-    const refreshState = useCallback(() => {
-        setTokenBal(getTokenBalance())
-        setLockedBch(getLockedAmount())
-        const votes = {}
-        milestones.forEach(m => {
-            votes[m.id] = getMilestoneVotes(m.id)
-        })
-        setMilestoneVotes(votes)
-    }, [milestones])
+    const refreshState = useCallback(async () => {
+        if (tokenCategory) {
+            // One milestone's boxes failing to load doesn't hide the others'
+            const chainRules = { tokensConsumed, votingMode }
+            const tallies = await Promise.all(milestones.map(m => getChainVotes(tokenCategory, m.id, {
+                rules: chainRules,
+                snapshotHeight: m.snapshot_height,
+            }).catch((e) => {
+                console.error(`[GovernancePanel] could not read the vote boxes of milestone ${m.id}:`, e)
+                return undefined
+            })))
+            setMilestoneVotes(prev => Object.fromEntries(milestones.map((m, i) => [m.id, tallies[i] ?? prev[m.id]])))
+            try {
+                setCirculating(await getCirculatingSupply(contract, tokenCategory))
+            } catch (e) {
+                console.error('[GovernancePanel] could not read GOV supply:', e)
+            }
+        }
+        try {
+            setTokenBal(await getTokenBalance(wallet, tokenCategory))
+        } catch (e) {
+            console.error('[GovernancePanel] could not read GOV token balance:', e)
+        }
+        try {
+            setLockedBch(await getLockedAmount(contract))
+            setReleasableBch(await getReleasableAmount(contract, tokenCategory))
+        } catch (e) {
+            console.error('[GovernancePanel] could not read contract balance:', e)
+        }
+    }, [milestones, contract, wallet, tokenCategory, tokensConsumed, votingMode])
 
     useEffect(() => { refreshState() }, [refreshState])
 
+    // Tick the refund and voting countdowns once a second
+    useEffect(() => {
+        const id = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000)
+        return () => clearInterval(id)
+    }, [])
+
+    // Final tally: once a window closes, the database settles the milestone
+    // (settle_milestone_voting) and the panel takes the status it stored. A
+    // local demo project has no row, so its chain tally settles it
+    useEffect(() => {
+        milestones.forEach(m => {
+            if (milestoneStatus(m) !== 'voting' || votingPhase(m, now) !== 'closed') return
+            if (dbProject) {
+                if (settling.current.has(m.id)) return
+                settling.current.add(m.id)
+                finalizeMilestoneVoting(m.id)
+                    .then(({ status, quorumReached }) => onMilestoneUpdate?.(m.id, { status, quorumReached }))
+                    .catch((e) => {
+                        settling.current.delete(m.id)
+                        console.error('[GovernancePanel] could not settle milestone voting:', e)
+                    })
+                return
+            }
+            const votes = milestoneVotes[m.id]
+            if (!votes || circulating === null) return
+            const { passing, quorumReached } = evaluateVotes(votes, getGovernanceRules(project), m.snapshot_supply ?? circulating)
+            onMilestoneUpdate?.(m.id, { status: passing ? 'Approved' : 'Rejected', quorumReached })
+        })
+    }, [project, dbProject, milestones, milestoneVotes, circulating, now, onMilestoneUpdate])
+
     // ── No wallet ─────────────────────────────────────────────────────────────
     if (!wallet) {
         return (
@@ -111,6 +273,20 @@ export default function GovernancePanel({ wallet, milestones = [], onMilestoneAp
         )
     }
 
+    // ── Setup: create the project's GOV token (once, by the owner) ──────────
+    const handleCreateToken = async () => {
+        setError('')
+        setTokenLoading(true)
+        try {
+            const result = await createProjectToken(wallet, contract)
+            onTokenCreated?.(result.tokenCategory)
+        } catch (e) {
+            setError(e.message || 'Token creation failed')
+        } finally {
+            setTokenLoading(false)
+        }
+    }
+
     // ── STEP 2 handler: Mint governance tokens ───────────────────────────────
     const handleMint = async () => {
         setError('')
@@ -119,9 +295,9 @@ export default function GovernancePanel({ wallet, milestones = [], onMilestoneAp
         try {
             const parsed = parseFloat(mintAmt)
             if (!parsed || parsed <= 0) throw new Error('Enter a valid BCH amount')
-            const result = await fundMilestoneContract(wallet, parsed, PROJECT_ADDRESS)
+            const result = await fundMilestoneContract(wallet, parsed, contract, tokenCategory)
             setMintResult(result)
-            refreshState()
+            await refreshState()
         } catch (e) {
             setError(e.message || 'Minting failed')
         } finally {
@@ -129,17 +305,57 @@ export default function GovernancePanel({ wallet, milestones = [], onMilestoneAp
         }
     }
 
-    // ── STEP 3 handler: Cast a vote ───────────────────────────────────────────
+    // ── STEP 3 handlers: Open voting (creator), cast a vote ──────────────────
+    // openMilestoneVoting() snapshots GOV balances and fixes the window in
+    // the database; a local demo project only notes the snapshot height
+    const handleOpenVoting = async (milestoneId) => {
+        setError('')
+        setOpeningId(milestoneId)
+        try {
+            if (dbProject) {
+                const creator = await getUserByWallet(wallet.cashaddr)
+                if (!creator) throw new Error('Sign in with this wallet to open voting.')
+                const opened = await openMilestoneVoting(milestoneId, creator.id, { durationSeconds: rules.votingDurationSeconds })
+                onMilestoneUpdate?.(milestoneId, {
+                    status: opened.status,
+                    voting_opens_at: opened.voting_opens_at,
+                    voting_closes_at: opened.voting_closes_at,
+                    snapshot_height: opened.snapshot_height,
+                    snapshot_supply: opened.snapshot_supply,
+                })
+                return
+            }
+            const snapshotHeight = await getBlockHeight()
+            const opensAt = Date.now()
+            onMilestoneUpdate?.(milestoneId, {
+                status: 'Voting',
+                voting_opens_at: new Date(opensAt).toISOString(),
+                voting_closes_at: new Date(opensAt + rules.votingDurationSeconds * 1000).toISOString(),
+                snapshot_height: snapshotHeight,
+                snapshot_supply: circulating,
+            })
+        } catch (e) {
+            setError(e.message || 'Could not open voting')
+        } finally {
+            setOpeningId(null)
+        }
+    }
+
     const handleVote = async (milestoneId, voteType) => {
         setError('')
         setVoteLoading(milestoneId + voteType)
         try {
-            const result = castVote(milestoneId, voteType, voteTokens)
-            refreshState()
-            // Notify parent if milestone is now approved
-            if (result.isApproved && onMilestoneApproved) {
-                onMilestoneApproved(milestoneId)
+            const milestone = milestones.find(m => m.id === milestoneId)
+            if (votingPhase(milestone, Math.floor(Date.now() / 1000)) !== 'open') {
+                throw new Error('Voting on this milestone is not open.')
             }
+            await castVote(wallet, tokenCategory, milestoneId, voteType, voteTokens, {
+                projectId: project?.id,
+                rules,
+                circulatingSupply: milestone.snapshot_supply ?? circulating,
+                snapshotHeight: milestone.snapshot_height,
+            })
+            refreshState()
         } catch (e) {
             setError(e.message)
         } finally {
@@ -152,9 +368,9 @@ export default function GovernancePanel({ wallet, milestones = [], onMilestoneAp
         setError('')
         setReleaseId(milestoneId)
         try {
-            const txId = await releaseMilestoneFunds(wallet, amountBch, PROJECT_ADDRESS)
+            const txId = await releaseMilestoneFunds(wallet, contract, amountBch, payoutAddress, { projectId: project?.id, tokenCategory })
             setReleaseTxId(prev => ({ ...prev, [milestoneId]: txId }))
-            refreshState()
+            await refreshState()
         } catch (e) {
             setError(e.message || 'Release failed')
         } finally {
@@ -162,6 +378,66 @@ export default function GovernancePanel({ wallet, milestones = [], onMilestoneAp
         }
     }
 
+    // A milestone pays out what was allocated to it (DB milestones carry
+    // amount_allocated; demo ones split the funding target evenly), but never
+    // more than the lock can release — rounded down to whole sats
+    const releaseAmount = (milestone) => {
+        const allocated = Number(milestone.amount_allocated ?? milestone.amountAllocated ?? 0)
+            || (milestones.length ? fundingTarget / milestones.length : 0)
+        return Math.floor(Math.min(allocated, releasableBch) * 1e8) / 1e8
+    }
+
+    // ── Refund handler: funder pulls everything back out of the contract ─────
+    const handleRefund = async () => {
+        setError('')
+        setRefundLoading(true)
+        setRefundResult(null)
+        try {
+            const result = await refundMilestoneFunds(wallet, contract, { projectId: project?.id })
+            setRefundResult(result)
+            await refreshState()
+        } catch (e) {
+            setError(e.message || 'Refund failed')
+        } finally {
+            setRefundLoading(false)
+        }
+    }
+
+    // ── Expired refund: no signature, pays the funder after the deadline ─────
+    const handleClaimExpired = async () => {
+        setError('')
+        setRefundLoading(true)
+        setRefundResult(null)
+        try {
+            const result = await claimExpiredRefund(contract, { projectId: project?.id })
+            setRefundResult(result)
+            await refreshState()
+        } catch (e) {
+            setError(e.message || 'Reclaim failed')
+        } finally {
+            setRefundLoading(false)
+        }
+    }
+
+    // ── Redeem: any backer hands GOV back for their share of the deposits ───
+    const handleRedeem = async () => {
+        setError('')
+        setRedeemLoading(true)
+        setRefundResult(null)
+        try {
+            const parsed = parseInt(redeemAmt, 10)
+            if (!parsed || parsed <= 0) throw new Error('Enter how many GOV tokens to redeem')
+            const result = await redeemGovTokens(wallet, contract, tokenCategory, parsed, { projectId: project?.id })
+            setRefundResult(result)
+            setRedeemAmt('')
+            await refreshState()
+        } catch (e) {
+            setError(e.message || 'Redeem failed')
+        } finally {
+            setRedeemLoading(false)
+        }
+    }
+
     // ── Render ─────────────────────────────────────────────────────────────────
     return (
         <div className="mb-6 space-y-4">
@@ -181,9 +457,90 @@ export default function GovernancePanel({ wallet, milestones = [], onMilestoneAp
                         <p className="text-xs font-semibold text-slate-500 uppercase tracking-wider mb-1">Locked BCH</p>
                         <p className="text-2xl font-bold" style={{ color: '#4ade80' }}>{lockedBch.toFixed(4)}</p>
                         <p className="text-xs text-slate-500 mt-0.5">in contract</p>
+                        {contract && (
+                            <a
+                                href={`https://chipnet.imaginary.cash/address/${contract.address}`}
+                                target="_blank" rel="noreferrer"
+                                className="text-emerald-400 text-xs underline font-mono break-all"
+                            >
+                                {shortenAddress(contract.address)}
+                            </a>
+                        )}
                     </div>
                 </div>
 
+                {refundDeadline && <RefundCountdown deadline={refundDeadline} now={now} />}
+
+                {/* ── Refund (funder only, or anyone after the deadline) ─────── */}
+                {lockedBch > 0 && (isFunder || refundExpired) && (
+                    <div className="mb-5 space-y-2">
+                        {isFunder && (
+                            <button
+                                id="refund-funds-btn"
+                                onClick={handleRefund}
+                                disabled={refundLoading}
+                                className="w-full py-2.5 rounded-xl font-bold text-sm flex items-center justify-center gap-2 disabled:opacity-60"
+                                style={{ background: 'rgba(245,158,11,0.1)', border: '1px solid rgba(245,158,11,0.3)', color: '#fbbf24' }}
+                            >
+                                {refundLoading ? <><Spinner /> Refunding…</> : '↩ Refund Plain Payments to Funder'}
+                            </button>
+                        )}
+                        {refundExpired && (
+                            <button
+                                id="claim-expired-refund-btn"
+                                onClick={handleClaimExpired}
+                                disabled={refundLoading}
+                                className="w-full py-2.5 rounded-xl font-bold text-sm flex items-center justify-center gap-2 disabled:opacity-60"
+                                style={{ background: 'rgba(245,158,11,0.18)', border: '1px solid rgba(245,158,11,0.45)', color: '#fbbf24' }}
+                            >
+                                {refundLoading ? <><Spinner /> Reclaiming…</> : '⏰ Claim Expired Refund (no owner signature)'}
+                            </button>
+                        )}
+                    </div>
+                )}
+                {/* ── Redeem (any GOV holder, pro rata) ──────────────────────── */}
+                {tokenCategory && tokenBal > 0 && lockedBch > 0 && (
+                    <div className="mb-5 flex gap-3">
+                        <div className="relative flex-1">
+                            <input
+                                id="redeem-amount-input"
+                                type="number"
+                                min="1"
+                                max={tokenBal}
+                                step="1"
+                                placeholder={`Up to ${tokenBal}`}
+                                value={redeemAmt}
+                                onChange={e => setRedeemAmt(e.target.value)}
+                                className="input-web3 pr-14"
+                                disabled={redeemLoading}
+                            />
+                            <span className="absolute right-4 top-1/2 -translate-y-1/2 text-sm font-bold" style={{ color: '#a78bfa' }}>GOV</span>
+                        </div>
+                        <button
+                            id="redeem-gov-btn"
+                            onClick={handleRedeem}
+                            disabled={redeemLoading || !contract}
+                            className="px-5 py-2.5 rounded-xl font-bold text-sm flex items-center gap-2 disabled:opacity-60"
+                            style={{ background: 'rgba(139,92,246,0.1)', border: '1px solid rgba(139,92,246,0.3)', color: '#a78bfa' }}
+                        >
+                            {redeemLoading ? <><Spinner /> Redeeming…</> : '↩ Redeem GOV for BCH'}
+                        </button>
+                    </div>
+                )}
+                {refundResult && (
+                    <div className="mb-5 p-3 rounded-xl" style={{ background: 'rgba(245,158,11,0.08)', border: '1px solid rgba(245,158,11,0.25)' }}>
+                        <p className="text-amber-400 text-xs font-bold mb-1">✅ Refunded {refundResult.amountBch.toFixed(6)} BCH</p>
+                        <p className="text-slate-500 text-xs font-mono break-all">{refundResult.txId}</p>
+                        <a
+                            href={chipnetExplorerUrl(refundResult.txId)}
+                            target="_blank" rel="noreferrer"
+                            className="text-amber-400 text-xs underline mt-1 inline-block"
+                        >
+                            View on Chipnet Explorer ↗
+                        </a>
+                    </div>
+                )}
+
                 {/* ── Mint section ──────────────────────────────────────────── */}
                 <div className="rounded-xl p-4" style={{ background: 'rgba(255,255,255,0.03)', border: '1px solid rgba(255,255,255,0.07)' }}>
                     <p className="text-white font-semibold text-sm mb-1 flex items-center gap-2">
@@ -193,41 +550,59 @@ export default function GovernancePanel({ wallet, milestones = [], onMilestoneAp
                         Lock BCH into the milestone contract. You receive <strong className="text-violet-400">100 GOV tokens per 0.001 BCH</strong> — each token = 1 vote.
                     </p>
 
-                    <div className="flex gap-3">
-                        <div className="relative flex-1">
-                            <input
-                                id="mint-amount-input"
-                                type="number"
-                                min="0.001"
-                                step="0.001"
-                                value={mintAmt}
-                                onChange={e => setMintAmt(e.target.value)}
-                                className="input-web3 pr-14"
-                                disabled={mintLoading}
-                            />
-                            <span className="absolute right-4 top-1/2 -translate-y-1/2 text-sm font-bold" style={{ color: '#10b981' }}>BCH</span>
-                        </div>
+                    {/* The project's GOV category must exist before anyone can fund */}
+                    {!tokenCategory ? (
                         <button
-                            id="mint-tokens-btn"
-                            onClick={handleMint}
-                            disabled={mintLoading}
-                            className="px-5 py-3 rounded-xl font-bold text-white gradient-btn flex items-center gap-2 disabled:opacity-60"
+                            id="create-token-btn"
+                            onClick={handleCreateToken}
+                            disabled={tokenLoading || !contract}
+                            className="w-full py-3 rounded-xl font-bold text-white gradient-btn flex items-center justify-center gap-2 disabled:opacity-60"
                         >
-                            {mintLoading ? <><Spinner /> Minting…</> : '⚡ Lock & Mint'}
+                            {tokenLoading ? <><Spinner /> Creating token…</> : '🪙 Create Project GOV Token'}
                         </button>
-                    </div>
+                    ) : (
+                        <div className="flex gap-3">
+                            <div className="relative flex-1">
+                                <input
+                                    id="mint-amount-input"
+                                    type="number"
+                                    min="0.001"
+                                    step="0.001"
+                                    value={mintAmt}
+                                    onChange={e => setMintAmt(e.target.value)}
+                                    className="input-web3 pr-14"
+                                    disabled={mintLoading}
+                                />
+                                <span className="absolute right-4 top-1/2 -translate-y-1/2 text-sm font-bold" style={{ color: '#10b981' }}>BCH</span>
+                            </div>
+                            <button
+                                id="mint-tokens-btn"
+                                onClick={handleMint}
+                                disabled={mintLoading || !contract}
+                                className="px-5 py-3 rounded-xl font-bold text-white gradient-btn flex items-center gap-2 disabled:opacity-60"
+                            >
+                                {mintLoading ? <><Spinner /> Minting…</> : '⚡ Lock & Mint'}
+                            </button>
+                        </div>
+                    )}
+                    {tokenCategory && (
+                        <p className="text-slate-600 text-xs mt-2 font-mono break-all">GOV category: {tokenCategory}</p>
+                    )}
 
                     {/* Mint result */}
                     {mintResult && (
                         <div className="mt-3 p-3 rounded-xl" style={{ background: 'rgba(139,92,246,0.1)', border: '1px solid rgba(139,92,246,0.25)' }}>
                             <p className="text-violet-300 text-xs font-semibold mb-1">✅ Tokens Minted!</p>
                             <p className="text-slate-400 text-xs">You received <strong className="text-violet-400">{mintResult.tokenAmount} GOV tokens</strong></p>
+                            <p className="text-slate-500 text-xs mt-0.5 font-mono break-all">
+                                Lock tx: {mintResult.lockTxId?.slice(0, 20)}…
+                            </p>
                             <p className="text-slate-500 text-xs mt-0.5 font-mono break-all">
                                 Category: {mintResult.tokenCategory?.slice(0, 20)}…
                             </p>
-                            {!mintResult.tokenCategory?.startsWith('simulated_') && (
+                            {mintResult.lockTxId && (
                                 <a
-                                    href={chipnetExplorerUrl(mintResult.simulatedTxId)}
+                                    href={chipnetExplorerUrl(mintResult.lockTxId)}
                                     target="_blank" rel="noreferrer"
                                     className="text-violet-400 text-xs underline"
                                 >
@@ -246,7 +621,10 @@ export default function GovernancePanel({ wallet, milestones = [], onMilestoneAp
                         <span>🗳️</span> Step 2 — Token-Weighted Governance Voting
                     </p>
                     <p className="text-slate-500 text-xs mb-4 leading-relaxed">
-                        Use your GOV tokens to vote on milestones. &gt;50% YES unlocks release. Each token spent = permanent vote.
+                        Use your GOV tokens to vote on milestones. When the creator's voting window closes, more than {rules.approvalThreshold}% YES unlocks release — provided at least {rules.quorumPercent}% of circulating GOV voted (quorum). {tokensConsumed
+                            ? "Voting sends your GOV tokens to the milestone's YES or NO box on chain — each token is one permanent vote."
+                            : "Voting marks the milestone's YES or NO box on chain and hands your GOV tokens straight back — each token you hold is one vote."}
+                        {quadratic && ' This project votes quadratically: your weight is the square root of the tokens you vote with, so 100 tokens count as 10.'}
                     </p>
 
                     {/* Tokens per vote selector */}
@@ -271,10 +649,22 @@ export default function GovernancePanel({ wallet, milestones = [], onMilestoneAp
 
                     <div className="space-y-4">
                         {milestones.map((m, idx) => {
-                            const votes = milestoneVotes[m.id] || { yes: 0, no: 0 }
-                            const total = votes.yes + votes.no
-                            const approved = total > 0 && (votes.yes / total) > 0.5
+                            const result = evaluateVotes(milestoneVotes[m.id] || [], rules, m.snapshot_supply ?? circulating)
+                            const { totalTokens: total, quorumReached } = result
+                            const phase = votingPhase(m, now)
+                            // Only the settled status approves or rejects, never the live tally
+                            const status = milestoneStatus(m)
+                            const approved = phase === 'closed' && (status === 'approved' || status === 'released')
+                            const rejected = phase === 'closed' && status === 'rejected'
                             const txId = releaseTxId[m.id]
+                            const releaseBch = releaseAmount(m)
+                            const badge = approved
+                                ? { text: '✅ Approved', color: '#10b981', bg: 'rgba(16,185,129,0.15)', border: 'rgba(16,185,129,0.3)' }
+                                : rejected
+                                    ? { text: '✗ Rejected', color: '#f87171', bg: 'rgba(225,29,72,0.1)', border: 'rgba(225,29,72,0.3)' }
+                                    : phase === 'open'
+                                        ? { text: `⏳ Voting · ${formatCountdown(Math.floor(Date.parse(m.voting_closes_at) / 1000) - now)}`, color: '#fbbf24', bg: 'rgba(251,191,36,0.1)', border: 'rgba(251,191,36,0.2)' }
+                                        : { text: '🕓 Not open', color: '#94a3b8', bg: 'rgba(255,255,255,0.05)', border: 'rgba(255,255,255,0.1)' }
 
                             return (
                                 <div
@@ -296,24 +686,45 @@ export default function GovernancePanel({ wallet, milestones = [], onMilestoneAp
                                         </div>
                                         <span
                                             className="text-xs font-bold px-2 py-0.5 rounded-full"
-                                            style={{
-                                                background: approved ? 'rgba(16,185,129,0.15)' : 'rgba(251,191,36,0.1)',
-                                                color: approved ? '#10b981' : '#fbbf24',
-                                                border: `1px solid ${approved ? 'rgba(16,185,129,0.3)' : 'rgba(251,191,36,0.2)'}`,
-                                            }}
+                                            style={{ background: badge.bg, color: badge.color, border: `1px solid ${badge.border}` }}
                                         >
-                                            {approved ? '✅ Approved' : '⏳ Voting'}
+                                            {badge.text}
                                         </span>
                                     </div>
 
                                     {/* Vote bar */}
-                                    {total > 0 && <VoteBar votes={votes} />}
-                                    {total === 0 && (
+                                    {total > 0 && <VoteBar result={result} quadratic={quadratic} />}
+                                    {total === 0 && phase === 'open' && (
                                         <p className="text-slate-600 text-xs mb-3">No votes yet. Be the first!</p>
                                     )}
+                                    {phase !== 'pending' && (
+                                        <QuorumBar result={result} quorumPercent={rules.quorumPercent} />
+                                    )}
+
+                                    {/* Creator opens the voting window */}
+                                    {phase === 'pending' && (
+                                        isOwner ? (
+                                            <button
+                                                id={`gov-open-voting-${idx}`}
+                                                onClick={() => handleOpenVoting(m.id)}
+                                                disabled={openingId === m.id}
+                                                className="w-full py-2 mb-3 rounded-xl font-bold text-sm text-white gradient-btn flex items-center justify-center gap-1.5 disabled:opacity-60"
+                                            >
+                                                {openingId === m.id ? <><Spinner /> Opening…</> : `🗳️ Open Voting (${formatCountdown(rules.votingDurationSeconds)})`}
+                                            </button>
+                                        ) : (
+                                            <p className="text-slate-500 text-xs mb-3">Waiting for the project creator to open voting.</p>
+                                        )
+                                    )}
+
+                                    {rejected && (
+                                        <p className="text-rose-400 text-xs mb-3 font-semibold">
+                                            Voting closed {quorumReached ? `without more than ${rules.approvalThreshold}% YES` : 'without reaching quorum'} — milestone rejected.
+                                        </p>
+                                    )}
 
                                     {/* Vote buttons */}
-                                    {!approved && (
+                                    {phase === 'open' && (
                                         <div className="flex gap-2 mb-3">
                                             <button
                                                 id={`gov-vote-yes-${idx}`}
@@ -337,19 +748,19 @@ export default function GovernancePanel({ wallet, milestones = [], onMilestoneAp
                                     )}
 
                                     {/* Release button — only shows after approval */}
-                                    {approved && !txId && (
+                                    {approved && status !== 'released' && !txId && (
                                         <div className="mt-2">
                                             <p className="text-emerald-400 text-xs mb-2 font-semibold">
                                                 🎉 Milestone approved! Ready to release funds.
                                             </p>
                                             <button
                                                 id={`release-funds-${idx}`}
-                                                onClick={() => handleRelease(m.id, 0.001)}
-                                                disabled={releaseId === m.id}
+                                                onClick={() => handleRelease(m.id, releaseBch)}
+                                                disabled={releaseId === m.id || !contract || releaseBch <= 0}
                                                 className="w-full py-2.5 rounded-xl font-bold text-sm text-white gradient-btn flex items-center justify-center gap-2 disabled:opacity-60"
                                                 style={{ background: 'linear-gradient(135deg, #059669, #10b981)' }}
                                             >
-                                                {releaseId === m.id ? <><Spinner /> Releasing…</> : '🚀 Release 0.001 BCH to Project'}
+                                                {releaseId === m.id ? <><Spinner /> Releasing…</> : `🚀 Release ${releaseBch} BCH to Project`}
                                             </button>
                                         </div>
                                     )}
@@ -387,8 +798,8 @@ export default function GovernancePanel({ wallet, milestones = [], onMilestoneAp
             {/* Explainer */}
             <div className="rounded-xl p-4" style={{ background: 'rgba(255,255,255,0.02)', border: '1px solid rgba(255,255,255,0.05)' }}>
                 <p className="text-slate-600 text-xs leading-relaxed">
-                    <strong className="text-slate-500">How it works:</strong> Lock BCH → get GOV tokens → vote YES on milestones →
-                    once a milestone hits &gt;50% YES votes → release funds to the project team.
+                    <strong className="text-slate-500">How it works:</strong> Lock BCH → get GOV tokens → vote YES on milestones while voting is open →
+                    if a milestone closes with quorum and enough YES votes → release funds to the project team.
                     Built on Bitcoin Cash Chipnet with CashScript + CashTokens. 🔐
                 </p>
             </div>
@@ -1,8 +1,9 @@
 import React from 'react'
 
 export default function MilestoneCard({ milestone, index, onVote }) {
-    const { title, status, votes } = milestone
+    const { title, status, votes, quorumReached } = milestone
     const isApproved = status === 'Approved'
+    const isRejected = status === 'Rejected'
     const totalVotes = votes.yes + votes.no
     const yesPercent = totalVotes > 0 ? Math.round((votes.yes / totalVotes) * 100) : 0
     const noPercent = totalVotes > 0 ? Math.round((votes.no / totalVotes) * 100) : 0
@@ -31,12 +32,18 @@ export default function MilestoneCard({ milestone, index, onVote }) {
                             {totalVotes === 0
                                 ? 'No votes cast yet'
                                 : `${totalVotes} vote${totalVotes !== 1 ? 's' : ''} cast`}
+                            {/* Set once governance has tallied the milestone against its quorum */}
+                            {quorumReached !== undefined && (
+                                <span className={quorumReached ? 'text-emerald-400' : 'text-slate-400'}>
+                                    {quorumReached ? ' · quorum reached' : ' · quorum not reached'}
+                                </span>
+                            )}
                         </p>
                     </div>
                 </div>
                 {/* Status badge */}
-                <span className={isApproved ? 'badge-approved' : 'badge-pending'}>
-                    {isApproved ? '✓ Approved' : '⏳ Pending'}
+                <span className={isApproved ? 'badge-approved' : isRejected ? 'badge-rejected' : 'badge-pending'}>
+                    {isApproved ? '✓ Approved' : isRejected ? '✗ Rejected' : status === 'Voting' ? '🗳️ Voting' : '⏳ Pending'}
                 </span>
             </div>
 
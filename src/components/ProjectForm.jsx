@@ -1,4 +1,5 @@
 import React, { useState } from 'react'
+import { DEFAULT_GOVERNANCE_RULES, validateGovernanceRules } from '../lib/governance'
 
 export default function ProjectForm({ onProjectCreate }) {
     const [title, setTitle] = useState('')
@@ -6,6 +7,12 @@ export default function ProjectForm({ onProjectCreate }) {
     const [fundingTarget, setFundingTarget] = useState('')
     const [milestoneInput, setMilestoneInput] = useState('')
     const [milestones, setMilestones] = useState([])
+    // Governance rules — stored on the project, read by lib/governance.js
+    const [approvalThreshold, setApprovalThreshold] = useState(String(DEFAULT_GOVERNANCE_RULES.approvalThreshold))
+    const [quorumPercent, setQuorumPercent] = useState(String(DEFAULT_GOVERNANCE_RULES.quorumPercent))
+    const [votingHours, setVotingHours] = useState(String(DEFAULT_GOVERNANCE_RULES.votingDurationSeconds / 3600))
+    const [tokensConsumed, setTokensConsumed] = useState(DEFAULT_GOVERNANCE_RULES.tokensConsumed)
+    const [votingMode, setVotingMode] = useState(DEFAULT_GOVERNANCE_RULES.votingMode)
     const [errors, setErrors] = useState({})
 
     const addMilestone = () => {
@@ -26,8 +33,16 @@ export default function ProjectForm({ onProjectCreate }) {
         }
     }
 
+    const governance = {
+        approvalThreshold: Number(approvalThreshold),
+        quorumPercent: Number(quorumPercent),
+        votingDurationSeconds: Math.round(Number(votingHours) * 3600),
+        tokensConsumed,
+        votingMode,
+    }
+
     const validate = () => {
-        const newErrors = {}
+        const newErrors = { ...validateGovernanceRules(governance) }
         if (!title.trim()) newErrors.title = 'Project title is required'
         if (!description.trim()) newErrors.description = 'Description is required'
         if (!fundingTarget || Number(fundingTarget) <= 0) newErrors.fundingTarget = 'Enter a valid funding target'
@@ -53,6 +68,7 @@ export default function ProjectForm({ onProjectCreate }) {
                 status: 'Pending',
                 votes: { yes: 0, no: 0 },
             })),
+            governance,
         })
     }
 
@@ -177,6 +193,82 @@ export default function ProjectForm({ onProjectCreate }) {
                     )}
                 </div>
 
+                {/* Governance Rules */}
+                <div>
+                    <label className="block text-sm font-semibold text-slate-300 mb-2">
+                        Governance Rules
+                    </label>
+                    <div className="grid grid-cols-3 gap-3">
+                        <div>
+                            <span className="block text-xs text-slate-500 mb-1">Approval threshold (%)</span>
+                            <input
+                                id="approval-threshold"
+                                type="number"
+                                min="50"
+                                max="99"
+                                step="1"
+                                value={approvalThreshold}
+                                onChange={(e) => setApprovalThreshold(e.target.value)}
+                                className="input-web3"
+                            />
+                        </div>
+                        <div>
+                            <span className="block text-xs text-slate-500 mb-1">Quorum (% of GOV)</span>
+                            <input
+                                id="quorum-percent"
+                                type="number"
+                                min="1"
+                                max="100"
+                                step="1"
+                                value={quorumPercent}
+                                onChange={(e) => setQuorumPercent(e.target.value)}
+                                className="input-web3"
+                            />
+                        </div>
+                        <div>
+                            <span className="block text-xs text-slate-500 mb-1">Voting duration (hours)</span>
+                            <input
+                                id="voting-hours"
+                                type="number"
+                                min="1"
+                                max="720"
+                                step="1"
+                                value={votingHours}
+                                onChange={(e) => setVotingHours(e.target.value)}
+                                className="input-web3"
+                            />
+                        </div>
+                    </div>
+                    {errors.approvalThreshold && <p className="mt-1.5 text-xs text-rose-400">{errors.approvalThreshold}</p>}
+                    {errors.quorumPercent && <p className="mt-1.5 text-xs text-rose-400">{errors.quorumPercent}</p>}
+                    {errors.votingDurationSeconds && <p className="mt-1.5 text-xs text-rose-400">{errors.votingDurationSeconds}</p>}
+                    <label className="flex items-center gap-2 mt-3 text-sm text-slate-300 cursor-pointer">
+                        <input
+                            id="tokens-consumed"
+                            type="checkbox"
+                            checked={tokensConsumed}
+                            onChange={(e) => setTokensConsumed(e.target.checked)}
+                        />
+                        Voting consumes GOV tokens
+                        <span className="text-xs text-slate-500">
+                            {tokensConsumed ? '(tokens stay in the vote box)' : '(tokens go back to the voter)'}
+                        </span>
+                    </label>
+                    <label className="flex items-center gap-2 mt-2 text-sm text-slate-300 cursor-pointer">
+                        <input
+                            id="quadratic-voting"
+                            type="checkbox"
+                            checked={votingMode === 'quadratic'}
+                            onChange={(e) => setVotingMode(e.target.checked ? 'quadratic' : 'token')}
+                        />
+                        Quadratic voting
+                        <span className="text-xs text-slate-500">
+                            {votingMode === 'quadratic' ? '(weight = √ tokens — 100 GOV count as 10)' : '(1 GOV = 1 vote)'}
+                        </span>
+                    </label>
+                    {errors.votingMode && <p className="mt-1.5 text-xs text-rose-400">{errors.votingMode}</p>}
+                </div>
+
                 {/* Submit */}
                 <button
                     type="submit"
@@ -3,23 +3,43 @@
  *
  * Handles the full wallet UX for Milestara Week 2:
  *  - Connect / Generate Chipnet wallet
- *  - Display address + live balance
+ *  - Display address + live balance (confirmed and pending, pushed over an
+ *    Electrum subscription)
+ *  - Live payments to the project's receive address (the `receiveAddress`
+ *    prop, projects.receive_address), pending until mined
  *  - Fund project form (amount input + send button)
- *  - Transaction hash display + explorer link
+ *  - Transaction hash display + explorer link; onRealFund fires once the
+ *    network has seen the tx, not when the wallet claims to have sent it
  *  - Error handling + loading states
  */
 
-import React, { useState, useCallback } from 'react'
+import React, { useState, useCallback, useEffect, useRef } from 'react'
 import {
     createOrLoadWallet,
-    getBalance,
+    getBalanceBreakdown,
+    watchBalance,
+    watchAddressPayments,
     fundProject,
     disconnectWallet,
     getChipnetExplorerUrl,
     shortenAddress,
-    PROJECT_ADDRESS,
 } from '../services/bchWallet'
 
+// ── Subscriptions ───────────────────────────────────────────────────────────
+// Starts a watch*() subscription from an effect and returns its cleanup.
+// Updates arriving after the cleanup are dropped.
+function startWatch(watch, onUpdate, onError) {
+    let cancel = null
+    let active = true
+    watch(update => { if (active) onUpdate(update) })
+        .then(c => { if (active) cancel = c; else c() })
+        .catch(e => { if (active) onError(e) })
+    return () => {
+        active = false
+        cancel?.()
+    }
+}
+
 // ── Status icon helpers ─────────────────────────────────────────────────────
 function Spinner() {
     return (
@@ -30,11 +50,12 @@ function Spinner() {
     )
 }
 
-export default function WalletPanel({ onRealFund, onWalletConnect }) {
+export default function WalletPanel({ receiveAddress, onRealFund, onWalletConnect }) {
     // ── State ────────────────────────────────────────────────────────────────
     const [wallet, setWallet] = useState(null)   // mainnet-js wallet object
     const [address, setAddress] = useState('')
-    const [balance, setBalance] = useState(null)   // BCH number or null
+    const [balance, setBalance] = useState(null)   // { confirmed, pending } BCH or null
+    const [projectPayments, setProjectPayments] = useState([]) // latest payments to receiveAddress
     const [amount, setAmount] = useState('')     // user-typed BCH amount
     const [txId, setTxId] = useState('')     // successful tx hash
     const [error, setError] = useState('')
@@ -45,19 +66,49 @@ export default function WalletPanel({ onRealFund, onWalletConnect }) {
 
     // ── Helpers ───────────────────────────────────────────────────────────────
     const clearError = () => setError('')
+    const spendable = balance ? balance.confirmed + balance.pending : null
 
-    const refreshBalance = useCallback(async (w) => {
+    const refreshBalance = useCallback(async () => {
         setBalanceLoading(true)
         try {
-            const bal = await getBalance(w ?? wallet)
-            setBalance(bal)
-        } catch (e) {
+            setBalance(await getBalanceBreakdown(wallet))
+        } catch {
             setError('Could not fetch balance. Check your network.')
         } finally {
             setBalanceLoading(false)
         }
     }, [wallet])
 
+    // ── Live balance + project payments while connected ──────────────────────
+    useEffect(() => {
+        if (!wallet) return
+        return startWatch(
+            update => watchBalance(wallet, update),
+            setBalance,
+            () => setError('Could not fetch balance. Check your network.'),
+        )
+    }, [wallet])
+
+    useEffect(() => {
+        setProjectPayments([])
+        if (!wallet || !receiveAddress) return
+        return startWatch(
+            update => watchAddressPayments(receiveAddress, update),
+            setProjectPayments,
+            e => console.error('[WalletPanel] project address subscription failed:', e),
+        )
+    }, [wallet, receiveAddress])
+
+    // Our funding tx as the network sees it (undefined until it does)
+    const sentPayment = txId ? projectPayments.find(p => p.txId === txId) : undefined
+    const reportedTxId = useRef('')
+    useEffect(() => {
+        if (!sentPayment || reportedTxId.current === sentPayment.txId) return
+        reportedTxId.current = sentPayment.txId
+        // Notify parent so the dashboard funded amount also updates
+        if (onRealFund) onRealFund(sentPayment.amount)
+    }, [sentPayment, onRealFund])
+
     // ── Connect wallet ────────────────────────────────────────────────────────
     const handleConnect = async () => {
         clearError()
@@ -66,7 +117,6 @@ export default function WalletPanel({ onRealFund, onWalletConnect }) {
             const w = await createOrLoadWallet()
             setWallet(w)
             setAddress(w.cashaddr)
-            await refreshBalance(w)
             // Week 3: expose wallet to parent so GovernancePanel can use it
             if (onWalletConnect) onWalletConnect(w)
         } catch (e) {
@@ -83,6 +133,7 @@ export default function WalletPanel({ onRealFund, onWalletConnect }) {
         setWallet(null)
         setAddress('')
         setBalance(null)
+        setProjectPayments([])
         setAmount('')
         setTxId('')
         setTxStatus('idle')
@@ -99,8 +150,8 @@ export default function WalletPanel({ onRealFund, onWalletConnect }) {
             setError('Enter a valid BCH amount greater than 0.')
             return
         }
-        if (balance !== null && parsed > balance) {
-            setError(`Insufficient balance. You have ${balance.toFixed(6)} BCH.`)
+        if (spendable !== null && parsed > spendable) {
+            setError(`Insufficient balance. You have ${spendable.toFixed(6)} BCH.`)
             return
         }
 
@@ -109,13 +160,10 @@ export default function WalletPanel({ onRealFund, onWalletConnect }) {
         setTxId('')
 
         try {
-            const hash = await fundProject(wallet, parsed)
+            const hash = await fundProject(wallet, parsed, receiveAddress)
             setTxId(hash)
             setTxStatus('success')
-            // Notify parent so the dashboard funded amount also updates
-            if (onRealFund) onRealFund(parsed)
-            // Refresh balance after sending
-            await refreshBalance()
+            // The balance and onRealFund follow once the subscriptions see the tx
         } catch (e) {
             console.error(e)
             setTxStatus('error')
@@ -229,14 +277,19 @@ export default function WalletPanel({ onRealFund, onWalletConnect }) {
             <div className="flex items-center justify-between rounded-xl p-4 mb-5" style={{ background: 'rgba(16,185,129,0.07)', border: '1px solid rgba(16,185,129,0.15)' }}>
                 <div>
                     <p className="text-xs font-semibold text-slate-500 uppercase tracking-wider mb-0.5">Balance</p>
-                    {balanceLoading ? (
+                    {balanceLoading || balance === null ? (
                         <div className="flex items-center gap-2 text-slate-400"><Spinner /> Fetching…</div>
-                    ) : balance !== null ? (
-                        <p className="text-xl font-bold" style={{ color: '#4ade80' }}>
-                            {balance.toFixed(6)} <span className="text-sm font-semibold text-emerald-400">BCH</span>
-                        </p>
                     ) : (
-                        <p className="text-slate-500 text-sm">Unknown</p>
+                        <>
+                            <p className="text-xl font-bold" style={{ color: '#4ade80' }}>
+                                {balance.confirmed.toFixed(6)} <span className="text-sm font-semibold text-emerald-400">BCH</span>
+                            </p>
+                            {balance.pending > 0 && (
+                                <p className="text-xs font-semibold mt-0.5" style={{ color: '#fbbf24' }}>
+                                    +{balance.pending.toFixed(6)} BCH pending
+                                </p>
+                            )}
+                        </>
                     )}
                 </div>
                 <button
@@ -255,7 +308,7 @@ export default function WalletPanel({ onRealFund, onWalletConnect }) {
             </div>
 
             {/* ── Faucet hint ──────────────────────────────────────────────────── */}
-            {balance !== null && balance === 0 && (
+            {spendable === 0 && (
                 <div className="rounded-xl p-3 mb-4 flex items-start gap-3" style={{ background: 'rgba(251,191,36,0.08)', border: '1px solid rgba(251,191,36,0.2)' }}>
                     <span className="text-lg">💡</span>
                     <div>
@@ -274,8 +327,16 @@ export default function WalletPanel({ onRealFund, onWalletConnect }) {
             <div className="rounded-xl p-3 mb-5" style={{ background: 'rgba(139,92,246,0.06)', border: '1px solid rgba(139,92,246,0.15)' }}>
                 <p className="text-xs font-semibold text-slate-500 uppercase tracking-wider mb-1">Sending to Project</p>
                 <p className="text-violet-300 text-xs font-mono break-all">
-                    {PROJECT_ADDRESS}
+                    {receiveAddress || 'No receive address yet'}
                 </p>
+                {projectPayments.length > 0 && (
+                    <div className="mt-3 space-y-1.5">
+                        <p className="text-xs font-semibold text-slate-500 uppercase tracking-wider">Latest Payments</p>
+                        {projectPayments.slice(0, 5).map(p => (
+                            <PaymentRow key={p.txId} payment={p} mine={p.txId === txId} />
+                        ))}
+                    </div>
+                )}
             </div>
 
             {/* ── Amount input + Send ──────────────────────────────────────────── */}
@@ -312,7 +373,7 @@ export default function WalletPanel({ onRealFund, onWalletConnect }) {
                 <button
                     id="fund-project-btn"
                     onClick={handleFund}
-                    disabled={sendLoading || !amount}
+                    disabled={sendLoading || !amount || !receiveAddress}
                     className="w-full py-3.5 rounded-xl font-bold text-white gradient-btn-green flex items-center justify-center gap-2 disabled:opacity-60 disabled:cursor-not-allowed"
                 >
                     {sendLoading ? (
@@ -331,7 +392,7 @@ export default function WalletPanel({ onRealFund, onWalletConnect }) {
 
             {/* ── Transaction Result ────────────────────────────────────────────── */}
             {txStatus === 'success' && txId && (
-                <TxSuccess txId={txId} amount={amount} />
+                <TxSuccess txId={txId} amount={amount} payment={sentPayment} />
             )}
 
             {/* ── Disconnect ───────────────────────────────────────────────────── */}
@@ -360,7 +421,33 @@ function ErrorBox({ message, onClose }) {
     )
 }
 
-function TxSuccess({ txId, amount }) {
+// Pending (mempool) vs confirmed (mined)
+function ConfirmationBadge({ confirmed }) {
+    const color = confirmed ? '#10b981' : '#fbbf24'
+    return (
+        <span className="text-[10px] font-bold px-2 py-0.5 rounded-full" style={{ color, background: `${color}1a`, border: `1px solid ${color}40` }}>
+            {confirmed ? 'Confirmed' : 'Pending'}
+        </span>
+    )
+}
+
+function PaymentRow({ payment, mine }) {
+    return (
+        <a
+            href={getChipnetExplorerUrl(payment.txId)}
+            target="_blank"
+            rel="noreferrer"
+            className="flex items-center gap-2 text-xs"
+        >
+            <span className="font-mono text-slate-400">{shortenAddress(payment.txId)}</span>
+            {mine && <span className="text-violet-300 font-semibold">you</span>}
+            <span className="ml-auto font-semibold text-slate-300">{payment.amount.toFixed(6)} BCH</span>
+            <ConfirmationBadge confirmed={payment.confirmed} />
+        </a>
+    )
+}
+
+function TxSuccess({ txId, amount, payment }) {
     const url = getChipnetExplorerUrl(txId)
     return (
         <div className="mt-4 p-4 rounded-xl" style={{ background: 'rgba(16,185,129,0.08)', border: '1px solid rgba(16,185,129,0.3)' }}>
@@ -371,6 +458,13 @@ function TxSuccess({ txId, amount }) {
                 <span className="text-emerald-400 font-bold text-sm">Transaction Sent!</span>
                 <span className="text-slate-400 text-xs ml-auto">{parseFloat(amount).toFixed(6)} BCH</span>
             </div>
+            <div className="flex items-center gap-2 mb-3 text-xs text-slate-400">
+                {payment ? (
+                    <><ConfirmationBadge confirmed={payment.confirmed} /> {payment.confirmed ? 'Mined into a block.' : 'Seen by the network, waiting for a block.'}</>
+                ) : (
+                    <><Spinner /> Waiting for the network to see it…</>
+                )}
+            </div>
             <p className="text-xs text-slate-500 mb-1 font-semibold uppercase tracking-wider">Transaction ID</p>
             <p className="text-slate-300 text-xs font-mono break-all mb-3">{txId}</p>
             <a
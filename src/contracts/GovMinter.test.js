@@ -0,0 +1,338 @@
+/**
+ * GovMinter.test.js
+ *
+ * Minting GOV tokens against MilestoneLock deposits, evaluated with
+ * cashscript's MockNetworkProvider.
+ */
+
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { Contract, MockNetworkProvider, TransactionBuilder, SignatureTemplate, randomNFT, randomUtxo } from 'cashscript'
+import { TestNetWallet, libauth } from 'mainnet-js'
+import {
+    getMilestoneContract,
+    getRefundDeadline,
+    getWalletPubkey,
+    getGovMinter,
+    fundMilestoneContract,
+    redeemGovTokens,
+    releaseMilestoneFunds,
+    refundMilestoneFunds,
+    getCirculatingSupply,
+    GOV_TOKEN_SUPPLY,
+} from '../services/milestoneContract'
+import { getQuorumVotes } from '../lib/governance'
+import { checkTransaction, createChainBackend } from '../../supabase/functions/_shared/chainCheck'
+import { SATS_PER_TOKEN } from '../../supabase/functions/_shared/projectLock'
+import { getMintingReserve, readVotingSnapshot } from '../../supabase/functions/_shared/votingSnapshot'
+import deployedLock from '../../supabase/functions/_shared/MilestoneLock.json'
+import deployedMinter from '../../supabase/functions/_shared/GovMinter.json'
+import { scanLockHistory } from '../lib/reconcile'
+
+// fundMilestoneContract() remembers funded contracts in localStorage
+const storage = new Map()
+vi.stubGlobal('localStorage', {
+    getItem: key => storage.get(key) ?? null,
+    setItem: (key, value) => storage.set(key, value),
+    removeItem: key => storage.delete(key),
+})
+
+describe('GovMinter', () => {
+    let provider, owner, funder, lock, minter, baton, category
+
+    beforeEach(async () => {
+        storage.clear()
+        provider = new MockNetworkProvider()
+        owner = await TestNetWallet.newRandom()
+        funder = await TestNetWallet.newRandom()
+        lock = getMilestoneContract(getWalletPubkey(owner), getWalletPubkey(funder), getRefundDeadline(new Date()), provider)
+        minter = getGovMinter(lock)
+
+        // What createProjectToken() leaves on chain: baton + reserve inside the minter
+        const token = randomNFT({ amount: GOV_TOKEN_SUPPLY, nft: { capability: 'minting', commitment: '' } })
+        category = token.category
+        baton = randomUtxo({ satoshis: 1000n, token })
+        provider.addUtxo(minter.tokenAddress, baton)
+        provider.addUtxo(funder.cashaddr, randomUtxo({ satoshis: 1_000_000n }))
+    })
+
+    // The tag GovMinter puts on a MilestoneLock deposit
+    const tag = () => ({ category, amount: 0n, nft: { capability: 'none', commitment: '' } })
+
+    // Hand-built mint tx, for the cases the service would never produce
+    const mintTx = async ({ depositTo = lock.tokenAddress, deposit = 100_000n, depositToken = tag(), minted = 100n, batonTo = minter.tokenAddress, reserveLeft } = {}) => {
+        const [coins] = await provider.getUtxos(funder.cashaddr)
+        return new TransactionBuilder({ provider })
+            .addInput(baton, minter.unlock.mint())
+            .addInput(coins, new SignatureTemplate(funder.privateKeyWif).unlockP2PKH())
+            .addOutput({ to: batonTo, amount: 1000n, token: { ...baton.token, amount: reserveLeft ?? GOV_TOKEN_SUPPLY - minted } })
+            .addOutput({ to: depositTo, amount: deposit, ...(depositToken && { token: depositToken }) })
+            .addOutput({ to: funder.getTokenDepositAddress(), amount: 1000n, token: { category, amount: minted } })
+    }
+
+    it('deposits into the MilestoneLock and mints GOV tokens in one tx', async () => {
+        const result = await fundMilestoneContract(funder, 0.002, lock, category)
+
+        expect(result.tokenAmount).toBe(200)
+        expect(await lock.getBalance()).toBe(200_000n)
+
+        const [minted] = (await provider.getUtxos(funder.cashaddr)).filter(u => u.token)
+        expect(minted.token).toEqual({ category, amount: 200n })
+
+        // The baton stays in the covenant with the rest of the reserve
+        const [kept] = await minter.getUtxos()
+        expect(kept.token.nft.capability).toBe('minting')
+        expect(kept.token.amount).toBe(GOV_TOKEN_SUPPLY - 200n)
+    })
+
+    it('keeps minting in the same category on later deposits', async () => {
+        await fundMilestoneContract(funder, 0.001, lock, category)
+        await fundMilestoneContract(funder, 0.001, lock, category)
+
+        const tokens = (await provider.getUtxos(funder.cashaddr)).filter(u => u.token)
+        expect(tokens.map(u => u.token.category)).toEqual([category, category])
+    })
+
+    it('counts minted tokens as circulating supply for the quorum', async () => {
+        expect(await getCirculatingSupply(lock, category)).toBe(0)
+
+        await fundMilestoneContract(funder, 0.002, lock, category)
+        await fundMilestoneContract(funder, 0.001, lock, category)
+
+        const supply = await getCirculatingSupply(lock, category)
+        expect(supply).toBe(300)
+        expect(getQuorumVotes(supply, 20)).toBe(60)
+        expect(getQuorumVotes(0, 20)).toBe(1)
+    })
+
+    // What the take-snapshot edge function reads when voting opens
+    describe('voting snapshot', () => {
+        it('rebuilds the same GovMinter from the artifacts in _shared/', () => {
+            const options = { provider, addressType: 'p2sh32' }
+            const deployed = new Contract(deployedLock, [getWalletPubkey(owner), getWalletPubkey(funder), BigInt(getRefundDeadline(new Date()))], options)
+            const lockBytecode = libauth.cashAddressToLockingBytecode(deployed.address).bytecode
+
+            expect(deployed.address).toBe(lock.address)
+            expect(new Contract(deployedMinter, [lockBytecode, SATS_PER_TOKEN], options).address).toBe(minter.address)
+        })
+
+        it('reads the holders and the circulating supply at one block height', async () => {
+            await fundMilestoneContract(funder, 0.002, lock, category)
+            const users = [{ id: 'owner', wallet_address: owner.cashaddr }, { id: 'funder', wallet_address: funder.cashaddr }]
+
+            expect(await readVotingSnapshot(createChainBackend(provider, libauth), { users, tokenCategory: category, minterAddress: minter.tokenAddress }))
+                .toEqual({ blockHeight: await provider.getBlockHeight(), balances: [{ voterId: 'funder', balance: 200 }], circulatingSupply: 200 })
+        })
+
+        it('refuses to snapshot without the minting baton', async () => {
+            const other = getGovMinter(getMilestoneContract(getWalletPubkey(funder), getWalletPubkey(owner), getRefundDeadline(new Date()), provider))
+
+            await expect(readVotingSnapshot(createChainBackend(provider, libauth), { users: [], tokenCategory: category, minterAddress: other.tokenAddress }))
+                .rejects.toThrow('minting baton')
+        })
+
+        it("finds the category's baton only at the project's GovMinter", async () => {
+            const backend = createChainBackend(provider, libauth)
+            const other = getGovMinter(getMilestoneContract(getWalletPubkey(funder), getWalletPubkey(owner), getRefundDeadline(new Date()), provider))
+
+            expect(await getMintingReserve(backend, { tokenCategory: category, minterAddress: minter.tokenAddress })).toBe(GOV_TOKEN_SUPPLY)
+            expect(await getMintingReserve(backend, { tokenCategory: category, minterAddress: other.tokenAddress })).toBeNull()
+            expect(await getMintingReserve(backend, { tokenCategory: 'ab'.repeat(32), minterAddress: minter.tokenAddress })).toBeNull()
+        })
+    })
+
+    it('refuses to fund without a project token category', async () => {
+        await expect(fundMilestoneContract(funder, 0.001, lock, null)).rejects.toThrow(/no GOV token/)
+    })
+
+    it('rejects minting more than the deposit pays for', async () => {
+        const tx = await mintTx({ minted: 101n })
+        await expect(tx.send()).rejects.toThrow('require(tx.outputs[2].tokenAmount * satsPerToken <= tx.outputs[1].value)')
+    })
+
+    it('rejects taking extra tokens out of the reserve', async () => {
+        const tx = await mintTx({ reserveLeft: GOV_TOKEN_SUPPLY - 1000n })
+        tx.addOutput({ to: funder.getTokenDepositAddress(), amount: 1000n, token: { category, amount: 900n } })
+        await expect(tx.send()).rejects.toThrow('require(tx.outputs[0].tokenAmount == tx.inputs[0].tokenAmount - tx.outputs[2].tokenAmount)')
+    })
+
+    it('rejects a deposit that does not go to the MilestoneLock', async () => {
+        const tx = await mintTx({ depositTo: funder.getTokenDepositAddress() })
+        await expect(tx.send()).rejects.toThrow('require(tx.outputs[1].lockingBytecode == lockLockingBytecode)')
+    })
+
+    it('rejects a deposit without the GOV-backed tag', async () => {
+        const tx = await mintTx({ depositTo: lock.address, depositToken: null })
+        await expect(tx.send()).rejects.toThrow('require(tx.outputs[1].tokenCategory == category)')
+    })
+
+    it('rejects taking the baton out of the covenant', async () => {
+        const tx = await mintTx({ batonTo: funder.getTokenDepositAddress() })
+        await expect(tx.send()).rejects.toThrow('require(tx.outputs[0].lockingBytecode == tx.inputs[0].lockingBytecode)')
+    })
+
+    describe('GOV-backed deposits', () => {
+        let backer
+
+        const govOf = async wallet => (await provider.getUtxos(wallet.cashaddr))
+            .filter(u => u.token?.category === category)
+            .reduce((sum, u) => sum + u.token.amount, 0n)
+
+        // Spends the lock's tagged deposit through `unlocker`, paying `to`
+        const spendDeposit = async (unlocker, to, { locktime } = {}) => {
+            const [deposit] = (await lock.getUtxos()).filter(u => u.token)
+            const tx = new TransactionBuilder({ provider })
+                .addInput(deposit, unlocker)
+                .addOutput({ to, amount: deposit.satoshis - 2000n })
+            if (locktime) tx.setLocktime(locktime)
+            return tx
+        }
+
+        beforeEach(async () => {
+            backer = await TestNetWallet.newRandom()
+            provider.addUtxo(backer.cashaddr, randomUtxo({ satoshis: 1_000_000n }))
+            await fundMilestoneContract(funder, 0.002, lock, category)
+        })
+
+        it('tags the deposit in the lock', async () => {
+            const [deposit] = await lock.getUtxos()
+            expect(deposit.satoshis).toBe(200_000n)
+            expect(deposit.token).toEqual(tag())
+        })
+
+        it('cannot be refunded or reclaimed by the funder', async () => {
+            const refund = await spendDeposit(lock.unlock.refund(new SignatureTemplate(funder.privateKeyWif)), funder.cashaddr)
+            await expect(refund.send()).rejects.toThrow('require(tx.inputs[this.activeInputIndex].tokenCategory == 0x)')
+
+            const reclaim = await spendDeposit(lock.unlock.reclaim(), funder.cashaddr, { locktime: getRefundDeadline(new Date()) })
+            await expect(reclaim.send()).rejects.toThrow('require(tx.inputs[this.activeInputIndex].tokenCategory == 0x)')
+
+            await expect(refundMilestoneFunds(funder, lock)).rejects.toThrow(/no locked BCH/)
+        })
+
+        it('fails to mint a second time against a recycled deposit', async () => {
+            // The only way back out burns the GOV minted for it
+            await redeemGovTokens(funder, lock, category, 200)
+            expect(await govOf(funder)).toBe(0n)
+            expect(await lock.getBalance()).toBe(0n)
+
+            await fundMilestoneContract(funder, 0.002, lock, category)
+
+            expect(await govOf(funder)).toBe(200n)
+            expect(await getCirculatingSupply(lock, category)).toBe(200)
+        })
+
+        it('pays each backer their share when they redeem', async () => {
+            await fundMilestoneContract(backer, 0.001, lock, category)
+            const before = (await provider.getUtxos(backer.cashaddr)).filter(u => !u.token).reduce((sum, u) => sum + u.satoshis, 0n)
+
+            const { amountBch } = await redeemGovTokens(backer, lock, category, 100)
+
+            // 100 of 300 GOV: a third of each deposit
+            expect(amountBch).toBeCloseTo(0.001, 5)
+            expect(await lock.getBalance()).toBeGreaterThanOrEqual(200_000n)
+            expect(await govOf(backer)).toBe(0n)
+            expect(await getCirculatingSupply(lock, category)).toBe(200)
+            const after = (await provider.getUtxos(backer.cashaddr)).filter(u => !u.token).reduce((sum, u) => sum + u.satoshis, 0n)
+            expect(after - before).toBeGreaterThan(98_000n)
+        })
+
+        it('rejects a redeem that takes more than the share', async () => {
+            const [deposit] = (await lock.getUtxos()).filter(u => u.token)
+            const [baton] = await minter.getUtxos()
+            const [gov] = (await provider.getUtxos(funder.cashaddr)).filter(u => u.token)
+            const tx = new TransactionBuilder({ provider })
+                .addInput(baton, minter.unlock.burn())
+                .addInput(deposit, lock.unlock.redeem())
+                .addInput(gov, new SignatureTemplate(funder.privateKeyWif).unlockP2PKH())
+                .addOutput({ to: minter.tokenAddress, amount: baton.satoshis, token: { ...baton.token, amount: baton.token.amount + 100n } })
+                .addOutput({ to: lock.tokenAddress, amount: 50_000n, token: tag() })
+                .addOutput({ to: funder.cashaddr, amount: 148_000n })
+                .addOutput({ to: funder.getTokenDepositAddress(), amount: 1000n, token: { category, amount: 100n } })
+
+            await expect(tx.send()).rejects.toThrow('require(tx.outputs[this.activeInputIndex].value >= keep)')
+        })
+
+        it('rejects a redeem against a minting NFT other than the GovMinter baton', async () => {
+            const side = randomUtxo({ satoshis: 1000n, token: { category, amount: 0n, nft: { capability: 'minting', commitment: '' } } })
+            provider.addUtxo(funder.cashaddr, side)
+            const [deposit] = (await lock.getUtxos()).filter(u => u.token)
+            const [gov] = (await provider.getUtxos(funder.cashaddr)).filter(u => u.token?.amount > 0n)
+            const tx = new TransactionBuilder({ provider })
+                .addInput(side, new SignatureTemplate(funder.privateKeyWif).unlockP2PKH())
+                .addInput(deposit, lock.unlock.redeem())
+                .addInput(gov, new SignatureTemplate(funder.privateKeyWif).unlockP2PKH())
+                .addOutput({ to: funder.getTokenDepositAddress(), amount: 1000n, token: { ...side.token, amount: 200n } })
+                .addOutput({ to: funder.cashaddr, amount: 190_000n })
+
+            await expect(tx.send()).rejects.toThrow('require(reserve > outstanding)')
+        })
+
+        it('records a redeem as a refund the chain backs', async () => {
+            // The funder's deposit from beforeEach, then the backer's
+            const history = (await lock.getUtxos()).map(u => u.txid)
+            const fund = await fundMilestoneContract(backer, 0.001, lock, category)
+            history.push(fund.lockTxId)
+            const { txId, amountBch } = await redeemGovTokens(backer, lock, category, 100)
+            history.push(txId)
+
+            const chain = { ...createChainBackend(provider, libauth), getHistory: async () => history }
+            const events = await scanLockHistory(chain, {
+                lockAddress: lock.address,
+                funderBytecode: chain.lockingBytecodeOf(funder.cashaddr),
+                minterBytecode: chain.lockingBytecodeOf(minter.address),
+            })
+
+            expect(events.map(e => e.type)).toEqual(['funding', 'funding', 'refund'])
+            expect(Number(events[2].sats) / 1e8).toBeCloseTo(amountBch, 8)
+            expect(await checkTransaction(chain, { txHash: txId, type: 'refund', amount: amountBch, receiveAddress: lock.address }))
+                .toBeNull()
+        })
+
+        it('keeps the change of a release tagged', async () => {
+            await releaseMilestoneFunds(owner, lock, 0.001, owner.cashaddr, { tokenCategory: category })
+
+            const [change] = await lock.getUtxos()
+            expect(change.token).toEqual(tag())
+            expect(change.satoshis).toBeGreaterThan(98_000n)
+        })
+
+        it('leaves a foreign NFT sent to the lock out of a release', async () => {
+            const foreign = randomUtxo({ satoshis: 1000n, token: randomNFT({ nft: { capability: 'none', commitment: '' } }) })
+            provider.addUtxo(lock.tokenAddress, foreign)
+
+            await releaseMilestoneFunds(owner, lock, 0.001, owner.cashaddr, { tokenCategory: category })
+
+            const utxos = await lock.getUtxos()
+            expect(utxos.find(u => u.token?.category === category).token).toEqual(tag())
+            expect(utxos.find(u => u.token?.category !== category)).toMatchObject({ txid: foreign.txid, vout: foreign.vout })
+        })
+
+        it('rejects a release that recycles the deposit into a mint', async () => {
+            const [deposit] = (await lock.getUtxos()).filter(u => u.token)
+            const [baton] = await minter.getUtxos()
+            provider.addUtxo(owner.cashaddr, randomUtxo({ satoshis: 100_000n }))
+            const [coins] = await provider.getUtxos(owner.cashaddr)
+            const tx = new TransactionBuilder({ provider })
+                .addInput(baton, minter.unlock.mint())
+                .addInput(deposit, lock.unlock.release(new SignatureTemplate(owner.privateKeyWif)))
+                .addInput(coins, new SignatureTemplate(owner.privateKeyWif).unlockP2PKH())
+                .addOutput({ to: minter.tokenAddress, amount: baton.satoshis, token: { ...baton.token, amount: baton.token.amount - 200n } })
+                .addOutput({ to: lock.tokenAddress, amount: deposit.satoshis, token: tag() })
+                .addOutput({ to: owner.getTokenDepositAddress(), amount: 1000n, token: { category, amount: 200n } })
+                .addOutput({ to: owner.cashaddr, amount: 97_000n })
+
+            await expect(tx.send()).rejects.toThrow('require(tx.inputs[0].tokenCategory != tag + 0x02)')
+            expect(await getCirculatingSupply(lock, category)).toBe(200)
+        })
+
+        it('rejects a release that drops the tag from the change', async () => {
+            const [deposit] = (await lock.getUtxos()).filter(u => u.token)
+            const tx = new TransactionBuilder({ provider })
+                .addInput(deposit, lock.unlock.release(new SignatureTemplate(owner.privateKeyWif)))
+                .addOutput({ to: owner.cashaddr, amount: 100_000n })
+                .addOutput({ to: lock.address, amount: 98_000n })
+
+            await expect(tx.send()).rejects.toThrow('require(tx.outputs[1].tokenCategory == tag)')
+        })
+    })
+})
@@ -0,0 +1,99 @@
+/**
+ * MilestoneArbiter.test.js
+ *
+ * 2-of-3 spending and the offline partial-signature flow, evaluated with
+ * cashscript's MockNetworkProvider.
+ */
+
+import { beforeEach, describe, expect, it } from 'vitest'
+import { MockNetworkProvider, randomUtxo } from 'cashscript'
+import { TestNetWallet } from 'mainnet-js'
+import {
+    getArbiterContract,
+    getWalletPubkey,
+    createArbiterSpend,
+    encodeArbiterSpend,
+    signArbiterSpend,
+    combineArbiterSpends,
+    getArbiterSigners,
+    broadcastArbiterSpend,
+} from '../services/milestoneContract'
+
+async function balanceOf(provider, address) {
+    const utxos = await provider.getUtxos(address)
+    return utxos.reduce((sum, u) => sum + u.satoshis, 0n)
+}
+
+describe('MilestoneArbiter', () => {
+    let provider, owner, funder, arbiter, outsider, contract
+
+    beforeEach(async () => {
+        provider = new MockNetworkProvider()
+        owner = await TestNetWallet.newRandom()
+        funder = await TestNetWallet.newRandom()
+        arbiter = await TestNetWallet.newRandom()
+        outsider = await TestNetWallet.newRandom()
+        contract = getArbiterContract(getWalletPubkey(owner), getWalletPubkey(funder), getWalletPubkey(arbiter), provider)
+        provider.addUtxo(contract.address, randomUtxo({ satoshis: 100_000n }))
+        provider.addUtxo(contract.address, randomUtxo({ satoshis: 50_000n }))
+    })
+
+    it.each([
+        ['owner', 'funder'],
+        ['owner', 'arbiter'],
+        ['funder', 'arbiter'],
+    ])('spends with %s + %s signing separately', async (a, b) => {
+        const signers = { owner, funder, arbiter }
+        const blob = encodeArbiterSpend(await createArbiterSpend(contract, owner.cashaddr, 0.001))
+
+        const first = signArbiterSpend(signers[a], blob, { provider })
+        const second = signArbiterSpend(signers[b], blob, { provider })
+        await broadcastArbiterSpend(combineArbiterSpends(first, second), { provider })
+
+        expect(await balanceOf(provider, owner.cashaddr)).toBe(100_000n)
+        expect(await contract.getBalance()).toBeGreaterThan(49_000n)
+    })
+
+    it('sweeps everything to the funders on a refund', async () => {
+        const request = await createArbiterSpend(contract, funder.cashaddr, undefined, { type: 'refund' })
+        const signed = signArbiterSpend(arbiter, signArbiterSpend(funder, request, { provider }), { provider })
+
+        await broadcastArbiterSpend(signed, { provider })
+
+        expect(await contract.getBalance()).toBe(0n)
+        expect(await balanceOf(provider, funder.cashaddr)).toBeGreaterThan(149_000n)
+    })
+
+    it('refuses to broadcast with a single signature', async () => {
+        const request = await createArbiterSpend(contract, owner.cashaddr, 0.001)
+        const signed = signArbiterSpend(owner, request, { provider })
+
+        expect(getArbiterSigners(signed)).toEqual(['owner'])
+        await expect(broadcastArbiterSpend(signed, { provider })).rejects.toThrow(/Need 2 of 3/)
+    })
+
+    it('rejects a wallet that holds none of the three keys', async () => {
+        const request = await createArbiterSpend(contract, owner.cashaddr, 0.001)
+        expect(() => signArbiterSpend(outsider, request, { provider })).toThrow(/not one of the owner, funder or arbiter/)
+    })
+
+    it('rejects signatures that were made for different outputs', async () => {
+        const request = await createArbiterSpend(contract, owner.cashaddr, 0.001)
+        const signed = combineArbiterSpends(
+            signArbiterSpend(owner, request, { provider }),
+            signArbiterSpend(arbiter, request, { provider }),
+        )
+        const redirected = {
+            ...signed,
+            outputs: signed.outputs.map((o, i) => (i === 0 ? { ...o, lockingBytecode: signed.outputs[1].lockingBytecode } : o)),
+        }
+
+        await expect(broadcastArbiterSpend(redirected, { provider })).rejects.toThrow('checkMultiSig')
+    })
+
+    it('refuses to combine signatures from different requests', async () => {
+        const a = signArbiterSpend(owner, await createArbiterSpend(contract, owner.cashaddr, 0.001), { provider })
+        const b = signArbiterSpend(arbiter, await createArbiterSpend(contract, owner.cashaddr, 0.0005), { provider })
+        expect(() => combineArbiterSpends(a, b)).toThrow(/different spend requests/)
+    })
+})
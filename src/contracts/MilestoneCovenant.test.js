@@ -0,0 +1,188 @@
+/**
+ * MilestoneCovenant.test.js
+ *
+ * Tranche caps, payout address and change rules of MilestoneCovenant,
+ * evaluated with cashscript's MockNetworkProvider.
+ */
+
+import { beforeEach, describe, expect, it } from 'vitest'
+import { MockNetworkProvider, SignatureTemplate, TransactionBuilder, randomUtxo } from 'cashscript'
+import { TestNetWallet } from 'mainnet-js'
+import {
+    getMilestoneCovenant,
+    getCovenantStage,
+    getWalletPubkey,
+    fundMilestoneCovenant,
+    releaseMilestoneTranche,
+    refundMilestoneFunds,
+} from '../services/milestoneContract'
+
+async function balanceOf(provider, address) {
+    const utxos = await provider.getUtxos(address)
+    return utxos.reduce((sum, u) => sum + u.satoshis, 0n)
+}
+
+describe('MilestoneCovenant', () => {
+    let provider, owner, funder, team, covenant
+
+    beforeEach(async () => {
+        provider = new MockNetworkProvider()
+        owner = await TestNetWallet.newRandom()
+        funder = await TestNetWallet.newRandom()
+        team = await TestNetWallet.newRandom()
+        // Three milestones: 0.001 / 0.002 / 0.002 BCH
+        covenant = getMilestoneCovenant(
+            getWalletPubkey(owner), getWalletPubkey(funder), team.cashaddr, [0.001, 0.002, 0.002], provider
+        )
+        provider.addUtxo(covenant.address, randomUtxo({ satoshis: 500_000n }))
+    })
+
+    describe('release()', () => {
+        it('pays at most the tranche to the fixed payout address', async () => {
+            const { amountBch } = await releaseMilestoneTranche(owner, covenant, 0)
+
+            expect(amountBch).toBeLessThanOrEqual(0.001)
+            expect(await balanceOf(provider, team.cashaddr)).toBeGreaterThan(99_000n)
+            // Remainder goes back into the covenant, at its next stage, as one UTXO
+            const { covenant: stage } = await getCovenantStage(covenant)
+            expect(await stage.getUtxos()).toHaveLength(1)
+        })
+
+        it('moves the remainder to the next stage', async () => {
+            await releaseMilestoneTranche(owner, covenant, 0)
+
+            const { covenant: stage, nextMilestone } = await getCovenantStage(covenant)
+            expect(nextMilestone).toBe(1)
+            expect(stage.address).not.toBe(covenant.address)
+            expect(await covenant.getBalance()).toBe(0n)
+        })
+
+        it('cannot release the same milestone twice', async () => {
+            await releaseMilestoneTranche(owner, covenant, 0)
+            await expect(releaseMilestoneTranche(owner, covenant, 0)).rejects.toThrow(/already been released/)
+        })
+
+        it('rejects a second release of the same milestone from the next stage', async () => {
+            await releaseMilestoneTranche(owner, covenant, 0)
+            const { covenant: stage } = await getCovenantStage(covenant)
+            const [utxo] = await stage.getUtxos()
+
+            const tx = new TransactionBuilder({ provider })
+                .addInput(utxo, stage.unlock.release(new SignatureTemplate(owner.privateKeyWif), 0n))
+                .addOutput({ to: team.cashaddr, amount: 100_000n })
+                .addOutput({ to: stage.address, amount: utxo.satoshis - 102_000n })
+
+            await expect(tx.send()).rejects.toThrow('require(milestoneIndex == int(nextMilestone))')
+        })
+
+        it('rejects a release that sends the change back to the same stage', async () => {
+            const [utxo] = await covenant.getUtxos()
+            const tx = new TransactionBuilder({ provider })
+                .addInput(utxo, covenant.unlock.release(new SignatureTemplate(owner.privateKeyWif), 0n))
+                .addOutput({ to: team.cashaddr, amount: 100_000n })
+                .addOutput({ to: covenant.address, amount: 399_000n })
+
+            await expect(tx.send()).rejects.toThrow('require(tx.outputs[1].lockingBytecode == new LockingBytecodeP2SH32(hash256(nextBytecode)))')
+        })
+
+        it('cannot release the last milestone twice', async () => {
+            // More than all tranches together, so something is left at the end
+            provider.addUtxo(funder.cashaddr, randomUtxo({ satoshis: 300_000n }))
+            await fundMilestoneCovenant(funder, 0.002, covenant)
+            await releaseMilestoneTranche(owner, covenant, 0)
+            await releaseMilestoneTranche(owner, covenant, 1)
+            await releaseMilestoneTranche(owner, covenant, 2)
+
+            // Its floor is 0, but the leftover sits past the last milestone
+            await expect(releaseMilestoneTranche(owner, covenant, 2)).rejects.toThrow(/already been released/)
+            const { covenant: stage, nextMilestone } = await getCovenantStage(covenant)
+            expect(nextMilestone).toBe(3)
+            const [utxo] = await stage.getUtxos()
+            const tx = new TransactionBuilder({ provider })
+                .addInput(utxo, stage.unlock.release(new SignatureTemplate(owner.privateKeyWif), 2n))
+                .addOutput({ to: team.cashaddr, amount: 100_000n })
+
+            await expect(tx.send()).rejects.toThrow('require(milestoneIndex == int(nextMilestone))')
+        })
+
+        it('releases milestones only in order', async () => {
+            await expect(releaseMilestoneTranche(owner, covenant, 1)).rejects.toThrow(/Milestone 1 has to be released before milestone 2/)
+        })
+
+        it('releases later milestones in turn', async () => {
+            await releaseMilestoneTranche(owner, covenant, 0)
+            await releaseMilestoneTranche(owner, covenant, 1)
+
+            expect(await balanceOf(provider, team.cashaddr)).toBeGreaterThan(298_000n)
+            const { covenant: stage } = await getCovenantStage(covenant)
+            expect(await stage.getBalance()).toBeGreaterThanOrEqual(200_000n)
+        })
+
+        it('rejects a release above the tranche', async () => {
+            const [utxo] = await covenant.getUtxos()
+            const tx = new TransactionBuilder({ provider })
+                .addInput(utxo, covenant.unlock.release(new SignatureTemplate(owner.privateKeyWif), 0n))
+                .addOutput({ to: team.cashaddr, amount: 200_000n })
+                .addOutput({ to: covenant.address, amount: 299_000n })
+
+            await expect(tx.send()).rejects.toThrow('require(payout <= tranche)')
+        })
+
+        it('rejects a release to any other address', async () => {
+            const [utxo] = await covenant.getUtxos()
+            const tx = new TransactionBuilder({ provider })
+                .addInput(utxo, covenant.unlock.release(new SignatureTemplate(owner.privateKeyWif), 0n))
+                .addOutput({ to: owner.cashaddr, amount: 100_000n })
+                .addOutput({ to: covenant.address, amount: 399_000n })
+
+            await expect(tx.send()).rejects.toThrow('require(tx.outputs[0].lockingBytecode == payoutLockingBytecode)')
+        })
+
+        it('rejects a release that keeps the change', async () => {
+            const [utxo] = await covenant.getUtxos()
+            const tx = new TransactionBuilder({ provider })
+                .addInput(utxo, covenant.unlock.release(new SignatureTemplate(owner.privateKeyWif), 0n))
+                .addOutput({ to: team.cashaddr, amount: 100_000n })
+                .addOutput({ to: owner.cashaddr, amount: 399_000n })
+
+            await expect(tx.send()).rejects.toThrow('require(tx.outputs[1].lockingBytecode == new LockingBytecodeP2SH32(hash256(nextBytecode)))')
+        })
+
+        it('rejects a release signed by the funder', async () => {
+            await expect(releaseMilestoneTranche(funder, covenant, 0)).rejects.toThrow('require(checkSig(ownerSig, ownerPk))')
+        })
+    })
+
+    describe('topUp()', () => {
+        it('merges a deposit into the single covenant UTXO', async () => {
+            provider.addUtxo(funder.cashaddr, randomUtxo({ satoshis: 300_000n }))
+
+            await fundMilestoneCovenant(funder, 0.002, covenant)
+
+            const utxos = await covenant.getUtxos()
+            expect(utxos).toHaveLength(1)
+            expect(utxos[0].satoshis).toBe(700_000n)
+        })
+
+        it('rejects a topUp that takes value out', async () => {
+            const [utxo] = await covenant.getUtxos()
+            const tx = new TransactionBuilder({ provider })
+                .addInput(utxo, covenant.unlock.topUp())
+                .addOutput({ to: covenant.address, amount: 400_000n })
+                .addOutput({ to: owner.cashaddr, amount: 99_000n })
+
+            await expect(tx.send()).rejects.toThrow('require(tx.outputs[0].value > tx.inputs[0].value)')
+        })
+    })
+
+    describe('refund()', () => {
+        it('lets the funder take everything back', async () => {
+            await refundMilestoneFunds(funder, covenant)
+            expect(await covenant.getBalance()).toBe(0n)
+        })
+
+        it('rejects a refund signed by the owner', async () => {
+            await expect(refundMilestoneFunds(owner, covenant)).rejects.toThrow('require(checkSig(funderSig, funderPk))')
+        })
+    })
+})
@@ -0,0 +1,299 @@
+/**
+ * MilestoneLock.test.js
+ *
+ * Every MilestoneLock spending path, run against cashscript's
+ * MockNetworkProvider — transactions are evaluated by the real BCH VM,
+ * no Chipnet node needed.
+ */
+
+import { beforeEach, describe, expect, it } from 'vitest'
+import { MockNetworkProvider, SignatureTemplate, TransactionBuilder, randomUtxo } from 'cashscript'
+import { TestNetWallet, libauth } from 'mainnet-js'
+import {
+    getMilestoneContract,
+    getProjectAddresses,
+    getRefundDeadline,
+    getWalletPubkey,
+    releaseMilestoneFunds,
+    getReleasableAmount,
+    refundMilestoneFunds,
+    claimExpiredRefund,
+} from '../services/milestoneContract'
+import { checkTransaction, createChainBackend } from '../../supabase/functions/_shared/chainCheck'
+import { reconcileProject, scanLockHistory } from '../lib/reconcile'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+async function balanceOf(provider, address) {
+    const utxos = await provider.getUtxos(address)
+    return utxos.reduce((sum, u) => sum + u.satoshis, 0n)
+}
+
+describe('MilestoneLock', () => {
+    let provider, owner, funder, team, contract
+
+    // createdAt decides the refund deadline (created_at + 90 days)
+    const lockFor = (createdAt) => getMilestoneContract(
+        getWalletPubkey(owner), getWalletPubkey(funder), getRefundDeadline(createdAt), provider
+    )
+
+    // The funder pays `sats` to `to` from a fresh wallet UTXO
+    async function pay(to, sats) {
+        const utxo = randomUtxo({ satoshis: sats + 10_000n })
+        provider.addUtxo(funder.cashaddr, utxo)
+        const { txid } = await new TransactionBuilder({ provider })
+            .addInput(utxo, new SignatureTemplate(funder.privateKeyWif).unlockP2PKH())
+            .addOutput({ to, amount: sats })
+            .addOutput({ to: funder.cashaddr, amount: 9_000n })
+            .send()
+        return txid
+    }
+
+    beforeEach(async () => {
+        provider = new MockNetworkProvider()
+        owner = await TestNetWallet.newRandom()
+        funder = await TestNetWallet.newRandom()
+        team = await TestNetWallet.newRandom()
+        contract = lockFor(new Date())
+        provider.addUtxo(contract.address, randomUtxo({ satoshis: 100_000n }))
+    })
+
+    describe('release()', () => {
+        it('lets the owner pay the team and keeps the rest locked', async () => {
+            await releaseMilestoneFunds(owner, contract, 0.0004, team.cashaddr)
+
+            expect(await balanceOf(provider, team.cashaddr)).toBe(40_000n)
+            const locked = await contract.getBalance()
+            expect(locked).toBeGreaterThan(59_000n)
+            expect(locked).toBeLessThan(60_000n)
+        })
+
+        it('releases at most what getReleasableAmount() reports', async () => {
+            const releasable = await getReleasableAmount(contract)
+            expect(releasable).toBeGreaterThan(0.00099)
+            expect(releasable).toBeLessThan(0.001)
+
+            await expect(releaseMilestoneFunds(owner, contract, 0.001, team.cashaddr)).rejects.toThrow('Cannot release 0.001 BCH')
+            await releaseMilestoneFunds(owner, contract, releasable, team.cashaddr)
+            expect(await balanceOf(provider, team.cashaddr)).toBe(BigInt(Math.round(releasable * 1e8)))
+        })
+
+        it('rejects a release signed by the funder', async () => {
+            await expect(releaseMilestoneFunds(funder, contract, 0.0004, team.cashaddr))
+                .rejects.toThrow('require(checkSig(ownerSig, ownerPk))')
+            expect(await contract.getBalance()).toBe(100_000n)
+        })
+    })
+
+    describe('refund()', () => {
+        it('lets the funder take everything back', async () => {
+            const { amountBch } = await refundMilestoneFunds(funder, contract)
+
+            expect(await contract.getBalance()).toBe(0n)
+            expect(await balanceOf(provider, funder.cashaddr)).toBe(BigInt(Math.round(amountBch * 1e8)))
+        })
+
+        it('rejects a refund signed by the owner', async () => {
+            await expect(refundMilestoneFunds(owner, contract)).rejects.toThrow('require(checkSig(funderSig, funderPk))')
+        })
+    })
+
+    describe('reclaim()', () => {
+        it('pays the funder without any signature once the deadline has passed', async () => {
+            const expired = lockFor(new Date(Date.now() - 91 * DAY_MS))
+            provider.addUtxo(expired.address, randomUtxo({ satoshis: 70_000n }))
+            provider.addUtxo(expired.address, randomUtxo({ satoshis: 30_000n }))
+
+            await claimExpiredRefund(expired)
+
+            expect(await expired.getBalance()).toBe(0n)
+            const refunded = await balanceOf(provider, funder.cashaddr)
+            expect(refunded).toBeGreaterThan(99_000n)
+        })
+
+        it('refuses to build a reclaim before the deadline', async () => {
+            await expect(claimExpiredRefund(contract)).rejects.toThrow(/deadline has not passed/)
+        })
+
+        it('rejects a reclaim tx whose locktime is before the deadline', async () => {
+            const [utxo] = await contract.getUtxos()
+            const tx = new TransactionBuilder({ provider })
+                .addInput(utxo, contract.unlock.reclaim())
+                .addOutput({ to: funder.cashaddr, amount: 99_000n })
+                .setLocktime(Math.floor(Date.now() / 1000))
+
+            await expect(tx.send()).rejects.toThrow('require(tx.time >= refundDeadline)')
+        })
+
+        it('rejects a reclaim that pays anyone but the funder', async () => {
+            const expired = lockFor(new Date(Date.now() - 91 * DAY_MS))
+            provider.addUtxo(expired.address, randomUtxo({ satoshis: 100_000n }))
+            const [utxo] = await expired.getUtxos()
+            const tx = new TransactionBuilder({ provider })
+                .addInput(utxo, expired.unlock.reclaim())
+                .addOutput({ to: team.cashaddr, amount: 99_000n })
+                .setLocktime(getRefundDeadline(new Date(Date.now() - 91 * DAY_MS)))
+
+            await expect(tx.send()).rejects.toThrow('require(tx.outputs[this.activeInputIndex].lockingBytecode == funderLock)')
+        })
+    })
+
+    describe('project addresses', () => {
+        it("receives funding in the project's lock and pays releases to the creator", () => {
+            const createdAt = new Date().toISOString()
+            const addresses = getProjectAddresses({
+                ownerPubkey: getWalletPubkey(owner),
+                funderPubkey: getWalletPubkey(funder),
+                createdAt,
+                creatorAddress: owner.cashaddr,
+            }, provider)
+
+            expect(addresses).toEqual({ receiveAddress: lockFor(createdAt).address, payoutAddress: owner.cashaddr })
+        })
+
+        it("uses the creator's wallet until the lock pubkeys are set", () => {
+            expect(getProjectAddresses({ createdAt: new Date(), creatorAddress: owner.cashaddr }, provider))
+                .toEqual({ receiveAddress: owner.cashaddr, payoutAddress: owner.cashaddr })
+        })
+    })
+
+    // What the record-transaction edge function checks before it records a tx
+    describe('on-chain check before recording', () => {
+        let chain
+
+        beforeEach(() => {
+            chain = createChainBackend(provider, libauth)
+        })
+
+        it('accepts funding that pays the receive address the claimed amount', async () => {
+            const txHash = await pay(contract.address, 50_000n)
+
+            expect(await checkTransaction(chain, { txHash, type: 'funding', amount: 0.0005, receiveAddress: contract.address }))
+                .toBeNull()
+        })
+
+        it('refuses funding claimed for more than was paid', async () => {
+            const txHash = await pay(contract.address, 50_000n)
+
+            expect(await checkTransaction(chain, { txHash, type: 'funding', amount: 0.5, receiveAddress: contract.address }))
+                .toMatchObject({ status: 422, error: expect.stringContaining('pays 0.00050000 BCH') })
+        })
+
+        it('refuses funding paid to another address', async () => {
+            const txHash = await pay(team.cashaddr, 50_000n)
+
+            expect(await checkTransaction(chain, { txHash, type: 'funding', amount: 0.0005, receiveAddress: contract.address }))
+                .toMatchObject({ status: 422, error: "The transaction doesn't pay the project's address." })
+        })
+
+        it('refuses a txid the chain has never seen', async () => {
+            expect(await checkTransaction(chain, { txHash: 'ab'.repeat(32), type: 'funding', amount: 0.0005, receiveAddress: contract.address }))
+                .toMatchObject({ status: 404 })
+        })
+
+        describe('releases and refunds', () => {
+            let lock
+
+            beforeEach(async () => {
+                // Funded through the mock, so the lock coins' own txs are known
+                lock = lockFor(new Date(Date.now() - DAY_MS))
+                await pay(lock.address, 60_000n)
+            })
+
+            it('accepts a release for what left the lock but not for more', async () => {
+                const txHash = await releaseMilestoneFunds(owner, lock, 0.0004, team.cashaddr)
+
+                expect(await checkTransaction(chain, { txHash, type: 'release', amount: 0.0004, receiveAddress: lock.address }))
+                    .toBeNull()
+                expect(await checkTransaction(chain, { txHash, type: 'release', amount: 0.0005, receiveAddress: lock.address }))
+                    .toMatchObject({ status: 422, error: expect.stringContaining('leaves the project') })
+            })
+
+            it('accepts a refund of the whole lock', async () => {
+                const { txId } = await refundMilestoneFunds(funder, lock)
+
+                expect(await checkTransaction(chain, { txHash: txId, type: 'refund', amount: 0.0005, receiveAddress: lock.address }))
+                    .toBeNull()
+            })
+
+            it('refuses an unrelated tx that moves more than the claimed amount', async () => {
+                const txHash = await pay(team.cashaddr, 90_000n)
+
+                expect(await checkTransaction(chain, { txHash, type: 'release', amount: 0.0004, receiveAddress: lock.address }))
+                    .toMatchObject({ status: 422, error: "The transaction doesn't spend from the project's address." })
+                expect(await checkTransaction(chain, { txHash, type: 'refund', amount: 0.0004, receiveAddress: lock.address }))
+                    .toMatchObject({ status: 422 })
+            })
+
+            it("refuses a release of another project's lock", async () => {
+                const txHash = await releaseMilestoneFunds(owner, lock, 0.0004, team.cashaddr)
+
+                expect(await checkTransaction(chain, { txHash, type: 'release', amount: 0.0004, receiveAddress: contract.address }))
+                    .toMatchObject({ status: 422, error: "The transaction doesn't spend from the project's address." })
+            })
+        })
+    })
+
+    // What scripts/reconcile.js does for each project
+    describe('reconciling with the chain', () => {
+        let chain, lock, history, funderBytecode
+
+        // Runs `send` and adds its tx to the lock's history
+        const inHistory = async (send) => {
+            const txid = await send()
+            history.push(txid)
+            return txid
+        }
+
+        beforeEach(() => {
+            // A lock with no coins from outside the mock's history
+            lock = lockFor(new Date(Date.now() - DAY_MS))
+            history = []
+            // MockNetworkProvider keeps no address history; the test does
+            chain = { ...createChainBackend(provider, libauth), getHistory: async () => history }
+            funderBytecode = chain.lockingBytecodeOf(funder.cashaddr)
+        })
+
+        it('classifies funding, release and refund in the lock history', async () => {
+            const fundTx = await inHistory(() => pay(lock.address, 60_000n))
+            const releaseTx = await inHistory(() => releaseMilestoneFunds(owner, lock, 0.0002, team.cashaddr))
+            const refundTx = await inHistory(async () => (await refundMilestoneFunds(funder, lock)).txId)
+
+            const events = await scanLockHistory(chain, { lockAddress: lock.address, funderBytecode })
+
+            expect(events.map(e => [e.txHash, e.type])).toEqual([
+                [fundTx, 'funding'],
+                [releaseTx, 'release'],
+                [refundTx, 'refund'],
+            ])
+            expect(events[0].sats).toBe(60_000n)
+            expect(events[1].sats).toBe(20_000n)
+        })
+
+        it('finds unrecorded txs, flags rows the chain does not back and recomputes funded_amount', async () => {
+            const fundTx = await inHistory(() => pay(lock.address, 60_000n))
+            const releaseTx = await inHistory(() => releaseMilestoneFunds(owner, lock, 0.0002, team.cashaddr))
+            const refundTx = await inHistory(async () => (await refundMilestoneFunds(funder, lock)).txId)
+            const platformTx = await pay(team.cashaddr, 10_000n)
+            const madeUp = 'ab'.repeat(32)
+
+            const rows = [
+                { tx_hash: fundTx, type: 'funding', amount: 0.0006 },
+                { tx_hash: platformTx, type: 'funding', amount: 0.0001 },
+                { tx_hash: releaseTx, type: 'release', amount: 0.0005 },
+                { tx_hash: madeUp, type: 'funding', amount: 1 },
+                { tx_hash: fundTx, type: 'funding', amount: 0.0006 },
+            ]
+            const lockEvents = await scanLockHistory(chain, { lockAddress: lock.address, funderBytecode })
+            const report = await reconcileProject(chain, { rows, lockEvents, receiveAddress: team.cashaddr })
+
+            expect(report.missing).toEqual([{ txHash: refundTx, type: 'refund', amount: expect.any(String) }])
+            expect(report.issues).toEqual([
+                { txHash: releaseTx, type: 'release', problem: 'recorded 0.0005 BCH, chain says 0.00020000' },
+                { txHash: madeUp, type: 'funding', problem: 'not found on chain' },
+                { txHash: fundTx, type: 'funding', problem: 'recorded more than once' },
+            ])
+            expect(report.fundedAmount).toBe('0.00070000')
+        })
+    })
+})
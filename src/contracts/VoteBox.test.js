@@ -0,0 +1,358 @@
+/**
+ * VoteBox.test.js
+ *
+ * On-chain voting: GOV tokens sent to per-milestone YES/NO boxes, evaluated
+ * with cashscript's MockNetworkProvider.
+ */
+
+import { beforeEach, describe, expect, it } from 'vitest'
+import { MockNetworkProvider, SignatureTemplate, TransactionBuilder, randomUtxo } from 'cashscript'
+import { TestNetWallet, SignedMessage, libauth } from 'mainnet-js'
+import {
+    getVoteBoxes,
+    getVoteBoxArtifact,
+    getMilestoneVotes,
+    getChainVotes,
+    getVoteWeight,
+    castVote,
+    signVote,
+} from '../services/milestoneContract'
+import { DEFAULT_GOVERNANCE_RULES } from '../lib/governance'
+import { checkVote, createChainBackend } from '../../supabase/functions/_shared/chainCheck'
+import { buildVoteMessage } from '../../supabase/functions/_shared/voteMessage'
+import deployedVoteBox from '../../supabase/functions/_shared/VoteBox.json'
+
+// MockNetworkProvider keeps no block heights. This one remembers the height
+// each transaction was sent at, and answers like Fulcrum's
+// blockchain.transaction.get_height
+class HeightProvider extends MockNetworkProvider {
+    heights = {}
+
+    async sendRawTransaction(txHex) {
+        const txid = await super.sendRawTransaction(txHex)
+        this.heights[txid] = this.blockHeight
+        return txid
+    }
+
+    async performRequest(method, txid) {
+        if (method !== 'blockchain.transaction.get_height') throw new Error(`Unsupported request ${method}`)
+        return this.heights[txid] ?? null
+    }
+}
+
+describe('VoteBox', () => {
+    let provider, voter, category, boxes
+
+    beforeEach(async () => {
+        provider = new HeightProvider()
+        voter = await TestNetWallet.newRandom()
+        category = randomUtxo().txid
+        boxes = getVoteBoxes(category, 'milestone-1', provider)
+
+        provider.addUtxo(voter.cashaddr, randomUtxo({ satoshis: 1000n, token: { category, amount: 300n } }))
+        provider.addUtxo(voter.cashaddr, randomUtxo({ satoshis: 100_000n }))
+    })
+
+    const heldTokens = async () => (await provider.getUtxos(voter.cashaddr))
+        .filter(u => u.token?.category === category)
+        .reduce((sum, u) => sum + u.token.amount, 0n)
+
+    it('gives every milestone and choice its own box', () => {
+        const other = getVoteBoxes(category, 'milestone-2', provider)
+        const addresses = new Set([boxes.yes.address, boxes.no.address, other.yes.address, other.no.address])
+        expect(addresses.size).toBe(4)
+    })
+
+    it('votes on a milestone with id 0', async () => {
+        const first = getVoteBoxes(category, 0, provider)
+        expect(first.yes.address).not.toBe(getVoteBoxes(category, 1, provider).yes.address)
+
+        const result = await castVote(voter, category, 0, 'no', 50, { provider, circulatingSupply: 300 })
+        expect(result.votes).toEqual({ yes: 0, no: 50 })
+        expect(await getVoteWeight(category, 0, 'no', result.txId, { provider })).toBe(50)
+    })
+
+    it('votes by moving GOV tokens into the YES box and tallies from chain', async () => {
+        const result = await castVote(voter, category, 'milestone-1', 'yes', 120, { provider, circulatingSupply: 300 })
+
+        expect(result.votes).toEqual({ yes: 120, no: 0 })
+        expect(result.isApproved).toBe(true)
+        expect(result.tokenBalance).toBe(180)
+        expect(await heldTokens()).toBe(180n)
+        expect(await getVoteWeight(category, 'milestone-1', 'yes', result.txId, { provider })).toBe(120)
+    })
+
+    it("approves only under the project's quorum and threshold", async () => {
+        const rules = { ...DEFAULT_GOVERNANCE_RULES, quorumPercent: 50, approvalThreshold: 66 }
+
+        const first = await castVote(voter, category, 'milestone-1', 'yes', 120, { provider, rules, circulatingSupply: 300 })
+        expect(first.quorumReached).toBe(false)
+        expect(first.isApproved).toBe(false)
+
+        const second = await castVote(voter, category, 'milestone-1', 'no', 60, { provider, rules, circulatingSupply: 300 })
+        expect(second.quorumReached).toBe(true)
+        expect(second.yesPercent).toBe(67)
+        expect(second.isApproved).toBe(true)
+    })
+
+    it('adds up YES and NO boxes separately', async () => {
+        await castVote(voter, category, 'milestone-1', 'yes', 100, { provider })
+        await castVote(voter, category, 'milestone-1', 'no', 200, { provider })
+
+        expect(await getMilestoneVotes(category, 'milestone-1', { provider })).toEqual({ yes: 100, no: 200 })
+        expect(await heldTokens()).toBe(0n)
+    })
+
+    it('refuses to vote with more tokens than the wallet holds', async () => {
+        await expect(castVote(voter, category, 'milestone-1', 'yes', 301, { provider }))
+            .rejects.toThrow('Not enough tokens')
+    })
+
+    it('ignores tokens of other categories sent to a box', async () => {
+        provider.addUtxo(boxes.yes.tokenAddress, randomUtxo({ satoshis: 1000n, token: { category: randomUtxo().txid, amount: 999n } }))
+        expect(await getMilestoneVotes(category, 'milestone-1', { provider })).toEqual({ yes: 0, no: 0 })
+    })
+
+    describe('without consuming tokens', () => {
+        const rules = { ...DEFAULT_GOVERNANCE_RULES, tokensConsumed: false }
+        const signalVotes = () => getMilestoneVotes(category, 'milestone-1', { provider, tokensConsumed: false })
+
+        it('marks the box and hands the tokens back to the voter', async () => {
+            const result = await castVote(voter, category, 'milestone-1', 'yes', 120, { provider, rules })
+
+            expect(result.tokenBalance).toBe(300)
+            expect(await heldTokens()).toBe(300n)
+            expect(await signalVotes()).toEqual({ yes: 120, no: 0 })
+            expect(await getVoteWeight(category, 'milestone-1', 'yes', result.txId, { provider, tokensConsumed: false })).toBe(120)
+            // Markers are not votes for a project that consumes tokens
+            expect(await getMilestoneVotes(category, 'milestone-1', { provider })).toEqual({ yes: 0, no: 0 })
+        })
+
+        it('counts each voter once per box', async () => {
+            await castVote(voter, category, 'milestone-1', 'yes', 100, { provider, rules })
+            await castVote(voter, category, 'milestone-1', 'yes', 150, { provider, rules })
+
+            expect(await signalVotes()).toEqual({ yes: 150, no: 0 })
+        })
+
+        it('counts tokens moved to another wallet once', async () => {
+            const snapshotHeight = await provider.getBlockHeight()
+            provider.setBlockHeight(snapshotHeight + 1)
+            const backer = await TestNetWallet.newRandom()
+            provider.addUtxo(backer.cashaddr, randomUtxo({ satoshis: 100_000n }))
+
+            await castVote(voter, category, 'milestone-1', 'yes', 300, { provider, rules })
+            // The voter hands the tokens they got back to a second wallet, which votes with them again
+            await new TransactionBuilder({ provider })
+                .addInputs(await provider.getUtxos(voter.cashaddr), new SignatureTemplate(voter.privateKeyWif).unlockP2PKH())
+                .addOutput({ to: backer.getTokenDepositAddress(), amount: 1000n, token: { category, amount: 300n } })
+                .send()
+            await castVote(backer, category, 'milestone-1', 'yes', 300, { provider, rules })
+
+            expect(await boxes.yes.getUtxos()).toHaveLength(2)
+            expect(await getMilestoneVotes(category, 'milestone-1', { provider, tokensConsumed: false, snapshotHeight }))
+                .toEqual({ yes: 300, no: 0 })
+            expect(await getChainVotes(category, 'milestone-1', { provider, snapshotHeight, rules: { ...rules, votingMode: 'quadratic' } }))
+                .toEqual([{ vote: true, tokens: 300 }])
+        })
+    })
+
+    describe('quadratic voting', () => {
+        const rules = { ...DEFAULT_GOVERNANCE_RULES, votingMode: 'quadratic' }
+        let backers
+
+        beforeEach(async () => {
+            backers = await Promise.all([TestNetWallet.newRandom(), TestNetWallet.newRandom()])
+            for (const backer of backers) {
+                provider.addUtxo(backer.cashaddr, randomUtxo({ satoshis: 1000n, token: { category, amount: 36n } }))
+                provider.addUtxo(backer.cashaddr, randomUtxo({ satoshis: 100_000n }))
+            }
+        })
+
+        it('weighs each voter by the square root of their tokens', async () => {
+            await castVote(voter, category, 'milestone-1', 'no', 100, { provider, rules })
+            await castVote(backers[0], category, 'milestone-1', 'yes', 36, { provider, rules })
+            const result = await castVote(backers[1], category, 'milestone-1', 'yes', 36, { provider, rules, circulatingSupply: 372 })
+
+            expect(result.votes).toEqual({ yes: 72, no: 100 })
+            expect(result.weights).toEqual({ yes: 12, no: 10 })
+            expect(result.yesPercent).toBe(55)
+            expect(result.isApproved).toBe(true)
+        })
+
+        it('adds up one voter before taking the root', async () => {
+            await castVote(voter, category, 'milestone-1', 'yes', 64, { provider, rules })
+            await castVote(voter, category, 'milestone-1', 'yes', 36, { provider, rules })
+
+            expect(await getChainVotes(category, 'milestone-1', { provider, rules })).toEqual([{ vote: true, tokens: 100 }])
+        })
+
+        it('keeps voters apart when their vote UTXOs are merged', async () => {
+            await castVote(backers[0], category, 'milestone-1', 'yes', 36, { provider, rules })
+            await castVote(backers[1], category, 'milestone-1', 'yes', 36, { provider, rules })
+            await new TransactionBuilder({ provider })
+                .addInputs(await boxes.yes.getUtxos(), boxes.yes.unlock.merge())
+                .addOutput({ to: boxes.yes.tokenAddress, amount: 1000n, token: { category, amount: 72n } })
+                .send()
+
+            expect(await boxes.yes.getUtxos()).toHaveLength(1)
+            expect(await getChainVotes(category, 'milestone-1', { provider, rules }))
+                .toEqual([{ vote: true, tokens: 36 }, { vote: true, tokens: 36 }])
+        })
+
+        it('counts a merged vote UTXO once when the box lists it twice', async () => {
+            await castVote(backers[0], category, 'milestone-1', 'yes', 36, { provider, rules })
+            await castVote(backers[1], category, 'milestone-1', 'yes', 36, { provider, rules })
+            await new TransactionBuilder({ provider })
+                .addInputs(await boxes.yes.getUtxos(), boxes.yes.unlock.merge())
+                .addOutput({ to: boxes.yes.tokenAddress, amount: 1000n, token: { category, amount: 72n } })
+                .send()
+            // Fulcrum can return a UTXO twice, e.g. from the mempool and a block
+            const [merged] = await boxes.yes.getUtxos()
+            provider.addUtxo(boxes.yes.tokenAddress, merged)
+
+            expect(await boxes.yes.getUtxos()).toHaveLength(2)
+            expect(await getChainVotes(category, 'milestone-1', { provider, rules }))
+                .toEqual([{ vote: true, tokens: 36 }, { vote: true, tokens: 36 }])
+            expect(await getMilestoneVotes(category, 'milestone-1', { provider })).toEqual({ yes: 72, no: 0 })
+        })
+    })
+
+    describe('signed votes', () => {
+        // The check the cast-vote edge function runs
+        const verify = (fields, signature, address) => SignedMessage.verify(buildVoteMessage(fields), signature, address).valid
+
+        it("signs milestone, choice, weight and time with the voter's key", async () => {
+            const { weight, timestamp, signature } = signVote(voter, { milestoneId: 'milestone-1', vote: true, weight: 120 })
+
+            expect(weight).toBe(120)
+            expect(Math.abs(timestamp - Date.now() / 1000)).toBeLessThan(5)
+            expect(verify({ milestoneId: 'milestone-1', vote: true, weight, timestamp }, signature, voter.cashaddr)).toBe(true)
+        })
+
+        it('fails verification for another choice, weight or wallet', async () => {
+            const { timestamp, signature } = signVote(voter, { milestoneId: 'milestone-1', vote: true, weight: 120 })
+            const other = await TestNetWallet.newRandom()
+
+            expect(verify({ milestoneId: 'milestone-1', vote: false, weight: 120, timestamp }, signature, voter.cashaddr)).toBe(false)
+            expect(verify({ milestoneId: 'milestone-1', vote: true, weight: 300, timestamp }, signature, voter.cashaddr)).toBe(false)
+            expect(verify({ milestoneId: 'milestone-1', vote: true, weight: 120, timestamp }, signature, other.cashaddr)).toBe(false)
+        })
+    })
+
+    // What the cast-vote edge function checks before it stores a vote
+    describe('on-chain check before storing a vote', () => {
+        let chain
+
+        beforeEach(async () => {
+            chain = createChainBackend(provider, libauth)
+
+            // Move the voter's GOV through the mock once, so the tx its
+            // tokens come from is known
+            const utxos = await provider.getUtxos(voter.cashaddr)
+            const gov = utxos.find(u => u.token)
+            const bch = utxos.find(u => !u.token)
+            await new TransactionBuilder({ provider })
+                .addInputs([gov, bch], new SignatureTemplate(voter.privateKeyWif).unlockP2PKH())
+                .addOutput({ to: voter.getTokenDepositAddress(), amount: 1000n, token: gov.token })
+                .addOutput({ to: voter.cashaddr, amount: 99_000n })
+                .send()
+        })
+
+        const check = (txHash, fields = {}) => checkVote(chain, {
+            txHash,
+            boxAddress: boxes.yes.address,
+            tokenCategory: category,
+            votingPower: 120,
+            tokensConsumed: true,
+            voterLockingBytecode: chain.lockingBytecodeOf(voter.cashaddr),
+            ...fields,
+        })
+
+        it('rebuilds the same VoteBox as the browser from the artifact in _shared/', () => {
+            const contract = ({ contractName, constructorInputs, abi, bytecode }) => ({ contractName, constructorInputs, abi, bytecode })
+            expect(contract(deployedVoteBox)).toEqual(contract(getVoteBoxArtifact()))
+        })
+
+        it('accepts a vote that sends the claimed GOV to the box but not more', async () => {
+            const { txId } = await castVote(voter, category, 'milestone-1', 'yes', 120, { provider })
+
+            expect(await check(txId)).toBeNull()
+            expect(await check(txId, { votingPower: 121 }))
+                .toMatchObject({ status: 422, error: 'The transaction carries 120 GOV, less than the 121 claimed.' })
+        })
+
+        it('accepts a marker vote that hands the GOV back', async () => {
+            const rules = { ...DEFAULT_GOVERNANCE_RULES, tokensConsumed: false }
+            const { txId } = await castVote(voter, category, 'milestone-1', 'yes', 120, { provider, rules })
+
+            expect(await check(txId, { tokensConsumed: false })).toBeNull()
+            expect(await check(txId, { tokensConsumed: false, votingPower: 200 })).toMatchObject({ status: 422 })
+            expect(await check(txId)).toMatchObject({ status: 422, error: expect.stringContaining("doesn't send GOV tokens") })
+        })
+
+        it('refuses a vote for the other box or another category', async () => {
+            const { txId } = await castVote(voter, category, 'milestone-1', 'yes', 120, { provider })
+
+            expect(await check(txId, { boxAddress: boxes.no.address }))
+                .toMatchObject({ status: 422, error: "The transaction doesn't send GOV tokens to this milestone's vote box." })
+            expect(await check(txId, { tokenCategory: randomUtxo().txid }))
+                .toMatchObject({ status: 422, error: "The transaction doesn't spend the voter's GOV tokens of this project." })
+        })
+
+        it("refuses another wallet's vote tx", async () => {
+            const other = await TestNetWallet.newRandom()
+            const { txId } = await castVote(voter, category, 'milestone-1', 'yes', 120, { provider })
+
+            expect(await check(txId, { voterLockingBytecode: chain.lockingBytecodeOf(other.cashaddr) }))
+                .toMatchObject({ status: 422, error: "The transaction doesn't spend the voter's GOV tokens of this project." })
+            expect(await check(txId)).toBeNull()
+        })
+
+        it('refuses an unrelated tx and a txid the chain has never seen', async () => {
+            const [utxo] = (await provider.getUtxos(voter.cashaddr)).filter(u => !u.token)
+            const { txid } = await new TransactionBuilder({ provider })
+                .addInput(utxo, new SignatureTemplate(voter.privateKeyWif).unlockP2PKH())
+                .addOutput({ to: boxes.yes.address, amount: 1000n })
+                .addOutput({ to: voter.cashaddr, amount: 97_000n })
+                .send()
+
+            expect(await check(txid, { tokensConsumed: false }))
+                .toMatchObject({ status: 422, error: "The transaction doesn't spend the voter's GOV tokens of this project." })
+            expect(await check('ab'.repeat(32))).toMatchObject({ status: 404 })
+        })
+    })
+
+    describe('merge()', () => {
+        const mergeTx = async ({ to = boxes.yes.tokenAddress, amount } = {}) => {
+            const utxos = await boxes.yes.getUtxos()
+            const sum = utxos.reduce((s, u) => s + u.token.amount, 0n)
+            // Let burns reach the contract instead of cashscript's own guard
+            return new TransactionBuilder({ provider, allowImplicitFungibleTokenBurn: true })
+                .addInputs(utxos, boxes.yes.unlock.merge())
+                .addOutput({ to, amount: 1000n, token: { category, amount: amount ?? sum } })
+        }
+
+        beforeEach(async () => {
+            await castVote(voter, category, 'milestone-1', 'yes', 100, { provider })
+            await castVote(voter, category, 'milestone-1', 'yes', 50, { provider })
+        })
+
+        it('folds two vote UTXOs into one without changing the tally', async () => {
+            await (await mergeTx()).send()
+
+            expect(await boxes.yes.getUtxos()).toHaveLength(1)
+            expect(await getMilestoneVotes(category, 'milestone-1', { provider })).toEqual({ yes: 150, no: 0 })
+        })
+
+        it('rejects a merge that drops tokens', async () => {
+            await expect((await mergeTx({ amount: 149n })).send())
+                .rejects.toThrow('require(tx.outputs[0].tokenAmount == tx.inputs[0].tokenAmount + tx.inputs[1].tokenAmount)')
+        })
+
+        it('rejects a merge that moves the tokens out of the box', async () => {
+            await expect((await mergeTx({ to: boxes.no.tokenAddress })).send())
+                .rejects.toThrow('require(tx.outputs[0].lockingBytecode == box)')
+        })
+    })
+})
@@ -4,55 +4,81 @@
  * Central React hook for all Supabase-backed state.
  *
  * This hook manages:
- *   - Current user (upserted on wallet connect)
+ *   - Current user, signed in with the connected wallet (challenge/response,
+ *     see db/auth.js) — the session is what RLS policies see as auth.uid()
  *   - All projects list
  *   - Active project details + milestones
  *   - Loading and error states
  *
  * Usage in a component:
- *   const { user, projects, activeProject, createFullProject, fundProject } = useSupabase(walletAddress)
+ *   const { user, projects, activeProject, createFullProject, fundProject } = useSupabase(wallet)
  */
 
 import { useState, useEffect, useCallback } from 'react'
+import { getWalletSession, SESSION_EXPIRY_MARGIN_SECONDS } from '../lib/supabase'
+import { signInWithWallet } from '../services/bchWallet'
 import {
-    upsertUser,
     createProject,
     createMilestoneBatch,
     fetchProjects,
     fetchProjectById,
     fetchMilestonesByProject,
-    updateFundedAmount,
     voteOnMilestone,
+    openMilestoneVoting,
+    finalizeMilestoneVoting,
     insertTransaction,
     hasUserVoted,
 } from '../lib/db'
 
 // ─────────────────────────────────────────────────────────────────────────────
 
-export function useSupabase(walletAddress = null) {
+/**
+ * useSupabase(wallet)
+ *
+ * @param {TestNetWallet|null} wallet  The connected mainnet-js wallet; its key
+ *                                     signs the sign-in challenge
+ */
+export function useSupabase(wallet = null) {
     const [user, setUser] = useState(null)
+    const [sessionRenewals, setSessionRenewals] = useState(0)
     const [projects, setProjects] = useState([])
     const [activeProject, setActiveProject] = useState(null)
     const [milestones, setMilestones] = useState([])
     const [loading, setLoading] = useState(false)
     const [error, setError] = useState(null)
 
-    // ── Auto-upsert user when wallet connects ─────────────────────────────────
+    // ── Sign in when the wallet connects, and again before the session ends ───
     useEffect(() => {
-        if (!walletAddress) {
+        // No signOut() here: the wallet is null while it loads, and the stored
+        // session should survive that. disconnectWallet() ends it.
+        if (!wallet) {
             setUser(null)
             return
         }
+        let cancelled = false
+        let renewTimer = null
         ; (async () => {
             try {
-                const dbUser = await upsertUser(walletAddress)
+                const dbUser = await signInWithWallet(wallet)
+                if (cancelled) return
                 setUser(dbUser)
+                // Sign in afresh once getWalletSession() stops handing out the token
+                const expiresAt = getWalletSession()?.expiresAt
+                if (expiresAt) {
+                    const renewIn = Math.max(0, (expiresAt - SESSION_EXPIRY_MARGIN_SECONDS) * 1000 - Date.now())
+                    renewTimer = setTimeout(() => setSessionRenewals(n => n + 1), renewIn)
+                }
             } catch (e) {
-                console.error('[useSupabase] upsertUser failed:', e)
-                // Non-fatal: app still works without DB user
+                console.error('[useSupabase] wallet sign-in failed:', e)
+                // Non-fatal: the app still reads as anon, it just can't write
+                if (!cancelled) setUser(null)
             }
         })()
-    }, [walletAddress])
+        return () => {
+            cancelled = true
+            clearTimeout(renewTimer)
+        }
+    }, [wallet, sessionRenewals])
 
     // ── Load all projects ─────────────────────────────────────────────────────
     const loadProjects = useCallback(async (filters = {}) => {
@@ -77,8 +103,11 @@ export function useSupabase(walletAddress = null) {
                 fetchProjectById(projectId),
                 fetchMilestonesByProject(projectId),
             ])
+            // Settle any voting window that closed since the last visit
+            const expired = milestonesData.filter(m => m.status === 'voting' && Date.parse(m.voting_closes_at) <= Date.now())
+            await Promise.all(expired.map(m => finalizeMilestoneVoting(m.id)))
             setActiveProject(project)
-            setMilestones(milestonesData)
+            setMilestones(expired.length ? await fetchMilestonesByProject(projectId) : milestonesData)
         } catch (e) {
             setError(e.message)
         } finally {
@@ -93,6 +122,9 @@ export function useSupabase(walletAddress = null) {
      * Creates the project row + all milestone rows in sequence.
      * Returns the created project with its milestones attached.
      *
+     * The create-project function derives the receive and payout addresses
+     * from the lock pubkeys, the signed-in wallet and the created_at it sets.
+     *
      * @param {object} formData  — shape from ProjectForm
      * @returns {Promise<{ project, milestones }>}
      */
@@ -103,10 +135,12 @@ export function useSupabase(walletAddress = null) {
         try {
             // 1. Create project
             const project = await createProject({
-                creatorId: user.id,
                 title: formData.title,
                 description: formData.description,
                 fundingTarget: formData.fundingTarget,
+                ownerPubkey: formData.ownerPubkey,
+                funderPubkey: formData.funderPubkey,
+                governance: formData.governance,
             })
 
             // 2. Batch-insert milestones
@@ -138,25 +172,22 @@ export function useSupabase(walletAddress = null) {
     /**
      * recordFunding({ projectId, txHash, amount })
      *
-     * After a successful Chipnet transaction, call this to:
-     *   1. Record the tx in the transactions table
-     *   2. Atomically increment the project's funded_amount
+     * After a successful Chipnet transaction, call this to record the tx in
+     * the transactions table. The record-transaction edge function checks
+     * the tx on chain first and raises the project's funded_amount along
+     * with it; a tx that doesn't pay the claimed amount is refused. Safe to
+     * retry: a tx already recorded is not counted again.
      *
      * @returns {Promise<void>}
      */
     const recordFunding = useCallback(async ({ projectId, txHash, amount }) => {
         setError(null)
         try {
-            await Promise.all([
-                insertTransaction({ projectId, txHash, amount, type: 'funding' }),
-                updateFundedAmount(projectId, amount),
-            ])
-            // Refresh active project state if it's the one being funded
+            await insertTransaction({ projectId, txHash, amount, type: 'funding' })
+            // Refresh active project state if it's the one being funded. Read
+            // the total back: a retried recording doesn't raise it again.
             if (activeProject?.id === projectId) {
-                setActiveProject(prev => ({
-                    ...prev,
-                    funded_amount: (parseFloat(prev.funded_amount) + amount).toFixed(8),
-                }))
+                setActiveProject(await fetchProjectById(projectId))
             }
         } catch (e) {
             setError(e.message)
@@ -164,19 +195,67 @@ export function useSupabase(walletAddress = null) {
         }
     }, [activeProject])
 
+    // ── Open / close voting on a milestone ────────────────────────────────────
+    /**
+     * openVotingDB(milestoneId, { durationSeconds })
+     *
+     * Creator action: opens the milestone's voting window, which also
+     * snapshots every registered wallet's GOV balance at the current block
+     * height.
+     *
+     * @param {string} milestoneId
+     * @param {object} [options]  { durationSeconds }
+     * @returns {Promise<Milestone>}
+     */
+    const openVotingDB = useCallback(async (milestoneId, options) => {
+        if (!user) throw new Error('Connect your wallet to open voting.')
+        setError(null)
+        try {
+            const updated = await openMilestoneVoting(milestoneId, user.id, options)
+            setMilestones(prev => prev.map(m => (m.id === milestoneId ? { ...m, ...updated } : m)))
+            return updated
+        } catch (e) {
+            setError(e.message)
+            throw e
+        }
+    }, [user])
+
+    /**
+     * closeVotingDB(milestoneId)
+     *
+     * Final tally after the window closes — sets `approved` or `rejected`.
+     *
+     * @param {string} milestoneId
+     * @returns {Promise<{ status, passing, yesPercent }>}
+     */
+    const closeVotingDB = useCallback(async (milestoneId) => {
+        setError(null)
+        try {
+            const result = await finalizeMilestoneVoting(milestoneId)
+            setMilestones(prev => prev.map(m => (m.id === milestoneId
+                ? { ...m, status: result.status, isApproved: result.status === 'approved' }
+                : m)))
+            return result
+        } catch (e) {
+            setError(e.message)
+            throw e
+        }
+    }, [])
+
     // ── Vote on milestone ─────────────────────────────────────────────────────
     /**
-     * castVoteDB({ milestoneId, vote, votingPower })
+     * castVoteDB({ milestoneId, vote, txHash, signedVote })
      *
-     * Casts a vote using the logged-in user's ID.
+     * Caches an on-chain vote under the logged-in user's ID.
      * Throws if the user hasn't connected their wallet.
      *
      * @param {string}  milestoneId
      * @param {boolean} vote          true = YES, false = NO
-     * @param {number}  [votingPower] GOV token weight
+     * @param {string}  txHash        The on-chain vote (GOV tokens sent to the vote box)
+     * @param {object}  signedVote    The wallet's signature (signVote() in milestoneContract.js)
      * @returns {Promise<VoteResult>}
      */
-    const castVoteDB = useCallback(async ({ milestoneId, vote, votingPower = 1 }) => {
+    const castVoteDB = useCallback(async ({ milestoneId, vote, txHash, signedVote }) => {
         if (!user) throw new Error('Connect your wallet to vote.')
         setError(null)
         try {
@@ -184,18 +263,23 @@ export function useSupabase(walletAddress = null) {
                 milestoneId,
                 voterId: user.id,
                 vote,
-                votingPower,
+                txHash,
+                signedVote,
             })
             // Update local milestone state to reflect new vote counts
             setMilestones(prev => prev.map(m => {
                 if (m.id !== milestoneId) return m
                 return {
                     ...m,
-                    voteYes: result.yesWeight,
-                    voteNo: result.noWeight,
-                    voteTotal: result.total,
-                    isApproved: result.milestoneApproved,
-                    status: result.milestoneApproved ? 'approved' : 'voting',
+                    voteYes: result.yesTokens,
+                    voteNo: result.noTokens,
+                    voteTotal: result.totalTokens,
+                    weightYes: result.yesWeight,
+                    weightNo: result.noWeight,
+                    weightTotal: result.totalWeight,
+                    quorumReached: result.quorumReached,
+                    quorumProgress: result.quorumProgress,
+                    isPassing: result.passing,
                 }
             }))
             return result
@@ -226,6 +310,8 @@ export function useSupabase(walletAddress = null) {
         loadProject,
         createFullProject,
         recordFunding,
+        openVotingDB,
+        closeVotingDB,
         castVoteDB,
         checkHasVoted,
 
@@ -0,0 +1,114 @@
+/**
+ * src/lib/db/auth.js
+ *
+ * Wallet sign-in: proves the user holds the key for a wallet address before
+ * the database treats them as that address's user.
+ *
+ *   1. requestSignInChallenge(address) → auth-challenge issues a nonce and
+ *      the message to sign (supabase/functions/_shared/signInMessage.js)
+ *   2. the wallet signs the message (signInWithWallet() in bchWallet.js)
+ *   3. verifySignIn(...) → auth-verify checks the signature, creates the
+ *      users row on first sign-in and returns a Supabase JWT for it
+ *
+ * The session is kept by src/lib/supabase.js and sent with every request,
+ * so RLS policies can use auth.uid() (= users.id).
+ *
+ * Schema (run in Supabase SQL Editor):
+ *   CREATE TABLE auth_challenges (
+ *     nonce          UUID PRIMARY KEY,
+ *     wallet_address TEXT NOT NULL,
+ *     issued_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+ *     expires_at     TIMESTAMPTZ NOT NULL,
+ *     used_at        TIMESTAMPTZ
+ *   );
+ *   ALTER TABLE auth_challenges ENABLE ROW LEVEL SECURITY;  -- no policies: edge functions only
+ */
+
+import { supabase, getWalletSession, setWalletSession } from '../supabase'
+
+function requireSupabase() {
+    if (!supabase) throw new Error('Supabase is not configured. Please add VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY to your .env file.')
+}
+
+// Calls an edge function; refusals come back as a 4xx with { error } in the body
+async function invokeAuthFunction(name, body) {
+    const { data, error } = await supabase.functions.invoke(name, { body })
+
+    if (error) {
+        const refusal = await error.context?.json?.().catch(() => null)
+        console.error(`[db/auth] ${name} error:`, refusal ?? error)
+        throw new Error(refusal?.error ?? error.message)
+    }
+
+    return data
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * requestSignInChallenge(walletAddress)
+ *
+ * Asks for a single-use sign-in nonce for this address.
+ *
+ * @param   {string} walletAddress  BCH cashaddr (e.g. "bchtest:qp...")
+ * @returns {Promise<{ nonce: string, message: string, expiresAt: number }>}
+ *          `message` is what the wallet must sign; `expiresAt` in Unix seconds
+ */
+export async function requestSignInChallenge(walletAddress) {
+    if (!walletAddress) throw new Error('walletAddress is required')
+    requireSupabase()
+
+    return invokeAuthFunction('auth-challenge', { walletAddress })
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * verifySignIn({ walletAddress, nonce, signature })
+ *
+ * Trades a signed challenge for a session and stores it, so every request
+ * from here on is made as this wallet's user.
+ *
+ * @param   {string} walletAddress
+ * @param   {string} nonce      From requestSignInChallenge()
+ * @param   {string} signature  Base64 BCH signed-message signature of the challenge message
+ * @returns {Promise<{ accessToken: string, expiresAt: number, user: User }>}
+ */
+export async function verifySignIn({ walletAddress, nonce, signature }) {
+    if (!walletAddress || !nonce || !signature) throw new Error('walletAddress, nonce and signature are required')
+    requireSupabase()
+
+    const session = await invokeAuthFunction('auth-verify', { walletAddress, nonce, signature })
+    setWalletSession(session)
+    return session
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * getSignedInUser(walletAddress?)
+ *
+ * The user of the current session, or null when signed out, expired, or
+ * signed in with a different wallet than `walletAddress`.
+ *
+ * @param   {string} [walletAddress]
+ * @returns {User|null}
+ */
+export function getSignedInUser(walletAddress) {
+    const session = getWalletSession()
+    if (!session) return null
+    if (walletAddress && session.user.wallet_address !== walletAddress) return null
+    return session.user
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * signOut()
+ *
+ * Drops the session; requests go out with the anon key again. The JWT
+ * itself stays valid until it expires — there is no server-side revocation.
+ */
+export function signOut() {
+    setWalletSession(null)
+}
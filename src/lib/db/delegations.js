@@ -0,0 +1,193 @@
+/**
+ * src/lib/db/delegations.js
+ *
+ * All Supabase operations for the `delegations` table.
+ *
+ * A user can hand their voting power to another wallet address — for one
+ * project, or globally for every project. When the delegate votes on a
+ * milestone, voteOnMilestone() (votes.js) adds a vote row for each
+ * delegator who hasn't voted there yet, weighted by the delegator's
+ * snapshot balance. A delegator's own direct vote always overrides it.
+ * Delegation is one level deep: power delegated to you can't be passed on.
+ *
+ * Schema (run in Supabase SQL Editor):
+ *   CREATE TABLE delegations (
+ *     id               UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+ *     delegator_id     UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+ *     delegate_address TEXT NOT NULL,            -- BCH cashaddr of the delegate
+ *     project_id       UUID REFERENCES projects(id) ON DELETE CASCADE,  -- NULL = every project
+ *     created_at       TIMESTAMPTZ DEFAULT now(),
+ *     revoked_at       TIMESTAMPTZ               -- set by revokeDelegation()
+ *   );
+ *   -- One active delegation per delegator and scope
+ *   CREATE UNIQUE INDEX delegations_one_active ON delegations
+ *     (delegator_id, COALESCE(project_id, '00000000-0000-0000-0000-000000000000'))
+ *     WHERE revoked_at IS NULL;
+ *   ALTER TABLE delegations ENABLE ROW LEVEL SECURITY;
+ *   CREATE POLICY "Public read" ON delegations FOR SELECT USING (true);
+ *   CREATE POLICY "Own insert"  ON delegations FOR INSERT TO authenticated
+ *     WITH CHECK (delegator_id = auth.uid());
+ *   CREATE POLICY "Own revoke"  ON delegations FOR UPDATE TO authenticated
+ *     USING (delegator_id = auth.uid());   -- only revoked_at is updatable
+ */
+
+import { supabase } from '../supabase'
+import { getUserById } from './users'
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * delegateVotingPower({ delegatorId, delegateAddress, projectId })
+ *
+ * Delegates a user's voting power to `delegateAddress`, for one project or
+ * (without projectId) globally. Replaces the user's active delegation in
+ * the same scope. A per-project delegation wins over a global one.
+ *
+ * Delegations are read when the delegate votes: votes already cast are not
+ * changed by delegating or revoking later.
+ *
+ * @param {object} params
+ * @param {string} params.delegatorId      UUID of the delegating user
+ * @param {string} params.delegateAddress  Wallet address receiving the power
+ * @param {string} [params.projectId]      Limit to one project (default: all)
+ * @returns {Promise<Delegation>}
+ */
+export async function delegateVotingPower({ delegatorId, delegateAddress, projectId = null }) {
+    if (!delegatorId) throw new Error('delegatorId is required')
+    if (!delegateAddress) throw new Error('delegateAddress is required')
+
+    const delegator = await getUserById(delegatorId)
+    if (!delegator) throw new Error('Delegator not found.')
+    if (delegator.wallet_address === delegateAddress) {
+        throw new Error('You cannot delegate your voting power to yourself.')
+    }
+
+    await revokeDelegation({ delegatorId, projectId })
+
+    const { data, error } = await supabase
+        .from('delegations')
+        .insert({
+            delegator_id: delegatorId,
+            delegate_address: delegateAddress,
+            project_id: projectId,
+        })
+        .select()
+        .single()
+
+    if (error) {
+        console.error('[db/delegations] delegateVotingPower error:', error)
+        throw new Error(error.message)
+    }
+
+    return data
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * revokeDelegation({ delegatorId, projectId })
+ *
+ * Ends the user's active delegation in one scope: a project, or the global
+ * one when projectId is omitted. Safe to call when there is none.
+ *
+ * @param {object} params
+ * @param {string} params.delegatorId
+ * @param {string} [params.projectId]
+ * @returns {Promise<Delegation|null>} The revoked delegation, if there was one
+ */
+export async function revokeDelegation({ delegatorId, projectId = null }) {
+    if (!delegatorId) throw new Error('delegatorId is required')
+
+    let query = supabase
+        .from('delegations')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('delegator_id', delegatorId)
+        .is('revoked_at', null)
+    query = projectId ? query.eq('project_id', projectId) : query.is('project_id', null)
+
+    const { data, error } = await query.select().maybeSingle()
+
+    if (error) {
+        console.error('[db/delegations] revokeDelegation error:', error)
+        throw new Error(error.message)
+    }
+
+    return data
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * getDelegationsByUser(delegatorId)
+ *
+ * The user's active delegations — at most one global and one per project.
+ *
+ * @param   {string} delegatorId
+ * @returns {Promise<Delegation[]>}
+ */
+export async function getDelegationsByUser(delegatorId) {
+    if (!delegatorId) throw new Error('delegatorId is required')
+
+    const { data, error } = await supabase
+        .from('delegations')
+        .select('*, project:projects(title)')
+        .eq('delegator_id', delegatorId)
+        .is('revoked_at', null)
+        .order('created_at', { ascending: false })
+
+    if (error) {
+        console.error('[db/delegations] getDelegationsByUser error:', error)
+        throw new Error(error.message)
+    }
+
+    return data ?? []
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * getDelegatorsFor(delegateAddress, projectId)
+ *
+ * Users whose voting power on `projectId` currently goes to
+ * `delegateAddress`: a per-project delegation to it, or a global one not
+ * overridden by a per-project delegation to someone else.
+ *
+ * @param   {string} delegateAddress
+ * @param   {string} projectId
+ * @returns {Promise<string[]>} Delegator user ids
+ */
+export async function getDelegatorsFor(delegateAddress, projectId) {
+    if (!delegateAddress || !projectId) return []
+
+    const { data: toDelegate, error } = await supabase
+        .from('delegations')
+        .select('delegator_id, project_id')
+        .eq('delegate_address', delegateAddress)
+        .is('revoked_at', null)
+        .or(`project_id.eq.${projectId},project_id.is.null`)
+
+    if (error) {
+        console.error('[db/delegations] getDelegatorsFor error:', error)
+        throw new Error(error.message)
+    }
+
+    const perProject = toDelegate.filter(d => d.project_id).map(d => d.delegator_id)
+    const global = toDelegate.filter(d => !d.project_id).map(d => d.delegator_id)
+    if (!global.length) return perProject
+
+    // ── Drop global delegators who picked someone else for this project ──────
+    const { data: overridden, error: overrideError } = await supabase
+        .from('delegations')
+        .select('delegator_id')
+        .in('delegator_id', global)
+        .eq('project_id', projectId)
+        .is('revoked_at', null)
+
+    if (overrideError) {
+        console.error('[db/delegations] getDelegatorsFor override error:', overrideError)
+        throw new Error(overrideError.message)
+    }
+
+    const elsewhere = new Set(overridden.map(d => d.delegator_id))
+    return [...new Set([...perProject, ...global.filter(id => !elsewhere.has(id))])]
+}
@@ -10,16 +10,25 @@
  * Always go through this index for clean dependency tracking.
  */
 
-export { upsertUser, getUserByWallet } from './users'
+export { requestSignInChallenge, verifySignIn, getSignedInUser, signOut } from './auth'
+export { getUserByWallet, getUserById } from './users'
 export {
     createProject, fetchProjects, fetchProjectById,
-    updateFundedAmount, updateProjectStatus
+    updateProjectStatus, setProjectTokenCategory
 } from './projects'
 export {
     createMilestone, createMilestoneBatch,
-    fetchMilestonesByProject, updateMilestoneStatus
+    fetchMilestonesByProject, updateMilestoneStatus, openMilestoneVoting
 } from './milestones'
-export { voteOnMilestone, getVotesByMilestone, hasUserVoted } from './votes'
+export {
+    voteOnMilestone, finalizeMilestoneVoting, getVotesByMilestone,
+    getVoteHistory, hasUserVoted, checkVotesAgainstChain
+} from './votes'
+export { takeVotingSnapshot, getSnapshotBalance, getSnapshotBalances } from './snapshots'
+export {
+    delegateVotingPower, revokeDelegation,
+    getDelegationsByUser, getDelegatorsFor
+} from './delegations'
 export {
     insertTransaction, fetchTransactionsByProject,
     getProjectFundingTotal
@@ -12,15 +12,27 @@
  *     amount_allocated NUMERIC(18, 8) NOT NULL,
  *     status           TEXT NOT NULL DEFAULT 'pending'
  *                      CHECK (status IN ('pending', 'voting', 'approved', 'released', 'rejected')),
+ *     snapshot_height  INTEGER,         -- block height of the voting snapshot
+ *     snapshot_supply  BIGINT,          -- circulating GOV then (quorum base)
+ *     voting_opens_at  TIMESTAMPTZ,     -- set when the creator opens voting
+ *     voting_closes_at TIMESTAMPTZ,
  *     created_at       TIMESTAMPTZ DEFAULT now()
  *   );
  *   ALTER TABLE milestones ENABLE ROW LEVEL SECURITY;
  *   CREATE POLICY "Public read"    ON milestones FOR SELECT USING (true);
- *   CREATE POLICY "Creator insert" ON milestones FOR INSERT WITH CHECK (true);
- *   CREATE POLICY "Creator update" ON milestones FOR UPDATE USING (true);
+ *   CREATE POLICY "Creator insert" ON milestones FOR INSERT TO authenticated
+ *     WITH CHECK (is_project_creator(project_id) AND status = 'pending');
+ *   CREATE POLICY "Creator update" ON milestones FOR UPDATE TO authenticated
+ *     USING (is_project_creator(project_id));
+ *   -- The creator may only open voting and mark an approved milestone
+ *   -- released (milestones_check_change trigger); approval and rejection
+ *   -- are set by settle_milestone_voting() (votes.js)
  */
 
 import { supabase } from '../supabase'
+import { takeVotingSnapshot } from './snapshots'
+import { tallyVotes } from './votes'
+import { getGovernanceRules, GOVERNANCE_COLUMNS } from '../governance'
 
 function requireSupabase() {
     if (!supabase) throw new Error('Supabase is not configured. Please add VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY to your .env file.')
@@ -109,7 +121,11 @@ export async function createMilestoneBatch(projectId, milestonesArray) {
  * fetchMilestonesByProject(projectId)
  *
  * Returns all milestones for a project, ordered by created_at.
- * Includes vote tallies via a joined sub-query.
+ * Includes vote tallies via a joined sub-query, evaluated under the
+ * project's governance rules, and progress toward its quorum (null/0 until
+ * voting opens and the supply is snapshotted). Tallies come as raw GOV
+ * tokens (voteYes/voteNo) and as effective weight (weightYes/weightNo),
+ * which differ in quadratic mode.
  *
  * @param   {string} projectId
  * @returns {Promise<Milestone[]>}
@@ -121,7 +137,8 @@ export async function fetchMilestonesByProject(projectId) {
         .from('milestones')
         .select(`
             *,
-            votes(vote, voting_power)
+            votes(vote, voting_power),
+            project:projects(${GOVERNANCE_COLUMNS})
         `)
         .eq('project_id', projectId)
         .order('created_at', { ascending: true })
@@ -131,29 +148,106 @@ export async function fetchMilestonesByProject(projectId) {
         throw new Error(error.message)
     }
 
-    // Compute yes/no tallies locally from the joined vote rows
+    // Compute yes/no tallies and quorum locally from the joined vote rows
     return (data ?? []).map(m => {
-        const votes = m.votes ?? []
-        const yesWeight = votes.filter(v => v.vote === true).reduce((s, v) => s + v.voting_power, 0)
-        const noWeight = votes.filter(v => v.vote === false).reduce((s, v) => s + v.voting_power, 0)
+        const rules = getGovernanceRules(m.project)
+        const tally = tallyVotes(m.votes ?? [], rules, m.snapshot_supply)
         return {
             ...m,
             votes: undefined,     // remove raw array
-            voteYes: yesWeight,
-            voteNo: noWeight,
-            voteTotal: yesWeight + noWeight,
-            isApproved: yesWeight + noWeight > 0 && yesWeight / (yesWeight + noWeight) > 0.5,
+            project: undefined,
+            votingMode: rules.votingMode,
+            // GOV tokens committed, and the weight they count for (equal in token mode)
+            voteYes: tally.yesTokens,
+            voteNo: tally.noTokens,
+            voteTotal: tally.totalTokens,
+            weightYes: tally.yesWeight,
+            weightNo: tally.noWeight,
+            weightTotal: tally.totalWeight,
+            quorumVotes: tally.quorumVotes,
+            quorumReached: tally.quorumReached,
+            quorumProgress: tally.quorumProgress,   // % of quorum reached, capped at 100
+            // Settled by the final tally when voting closes; isPassing is the live view
+            isApproved: m.status === 'approved' || m.status === 'released',
+            isPassing: tally.passing,
         }
     })
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
 
+/**
+ * openMilestoneVoting(milestoneId, creatorId, { durationSeconds })
+ *
+ * Creator action: moves a `pending` milestone to `voting`, snapshots GOV
+ * balances and fixes the voting window. Votes are only accepted between
+ * voting_opens_at and voting_closes_at; finalizeMilestoneVoting() (votes.js)
+ * settles the result once it closes.
+ *
+ * @param {string} milestoneId
+ * @param {string} creatorId                UUID of the caller (must be the project creator)
+ * @param {object} [options]
+ * @param {number} [options.durationSeconds] Window length (default: the project's voting duration)
+ * @returns {Promise<Milestone>}
+ */
+export async function openMilestoneVoting(milestoneId, creatorId, { durationSeconds } = {}) {
+    if (!milestoneId) throw new Error('milestoneId is required')
+    if (!creatorId) throw new Error('creatorId is required')
+    if (durationSeconds !== undefined && !(durationSeconds > 0)) throw new Error('durationSeconds must be > 0')
+
+    const { data: milestone, error: fetchError } = await supabase
+        .from('milestones')
+        .select(`status, project:projects(creator_id, ${GOVERNANCE_COLUMNS})`)
+        .eq('id', milestoneId)
+        .single()
+
+    if (fetchError) {
+        console.error('[db/milestones] openMilestoneVoting fetch error:', fetchError)
+        throw new Error(fetchError.message)
+    }
+
+    if (milestone.project?.creator_id !== creatorId) {
+        throw new Error('Only the project creator can open voting.')
+    }
+    if (milestone.status !== 'pending') {
+        throw new Error(`Voting can only be opened on a pending milestone (this one is ${milestone.status}).`)
+    }
+
+    await takeVotingSnapshot(milestoneId)
+
+    const opensAt = new Date()
+    const duration = durationSeconds ?? getGovernanceRules(milestone.project).votingDurationSeconds
+    const closesAt = new Date(opensAt.getTime() + duration * 1000)
+
+    const { data, error } = await supabase
+        .from('milestones')
+        .update({
+            status: 'voting',
+            voting_opens_at: opensAt.toISOString(),
+            voting_closes_at: closesAt.toISOString(),
+        })
+        .eq('id', milestoneId)
+        .select()
+        .single()
+
+    if (error) {
+        console.error('[db/milestones] openMilestoneVoting error:', error)
+        throw new Error(error.message)
+    }
+
+    return data
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+
 /**
  * updateMilestoneStatus(milestoneId, status)
  *
  * Updates the lifecycle status of a milestone.
- * Typically called after governance approval or fund release.
+ * Typically called after fund release. Only the project creator can, and
+ * the database only lets them mark an approved milestone `released`:
+ * voting is opened with openMilestoneVoting() and settled by
+ * finalizeMilestoneVoting() (votes.js).
  *
  * @param {string} milestoneId
  * @param {'pending'|'voting'|'approved'|'released'|'rejected'} status
@@ -167,6 +261,8 @@ export async function updateMilestoneStatus(milestoneId, status) {
         throw new Error(`Invalid status. Must be one of: ${validStatuses.join(', ')}`)
     }
 
+    if (status === 'voting') throw new Error('Open voting with openMilestoneVoting(), which also sets the window.')
+
     const { data, error } = await supabase
         .from('milestones')
         .update({ status })
@@ -13,15 +13,33 @@
  *     funded_amount  NUMERIC(18, 8) NOT NULL DEFAULT 0,
  *     status         TEXT NOT NULL DEFAULT 'active'
  *                    CHECK (status IN ('active', 'completed', 'cancelled')),
+ *     owner_pubkey   TEXT,   -- MilestoneLock ownerPk (hex)
+ *     funder_pubkey  TEXT,   -- MilestoneLock funderPk (hex)
+ *     token_category TEXT UNIQUE,  -- GOV CashToken category (genesis txid)
+ *     receive_address TEXT,  -- where funding is paid (the MilestoneLock, or the creator's wallet)
+ *     payout_address  TEXT,  -- where releases pay (the creator's wallet)
+ *     -- Governance rules (lib/governance.js)
+ *     approval_threshold      NUMERIC(5, 2) NOT NULL DEFAULT 50,   -- YES must exceed this % of cast GOV
+ *     quorum_percent          NUMERIC(5, 2) NOT NULL DEFAULT 20,   -- % of circulating GOV that must vote
+ *     voting_duration_seconds INTEGER NOT NULL DEFAULT 259200,     -- voting window (3 days)
+ *     tokens_consumed         BOOLEAN NOT NULL DEFAULT true,       -- votes lock GOV in the vote box
+ *     voting_mode             TEXT NOT NULL DEFAULT 'token'        -- or 'quadratic' (weight = √ tokens)
+ *                             CHECK (voting_mode IN ('token', 'quadratic')),
  *     created_at     TIMESTAMPTZ DEFAULT now()
  *   );
  *   ALTER TABLE projects ENABLE ROW LEVEL SECURITY;
- *   CREATE POLICY "Public read"   ON projects FOR SELECT USING (true);
- *   CREATE POLICY "Creator write" ON projects FOR INSERT WITH CHECK (true);
- *   CREATE POLICY "Creator update" ON projects FOR UPDATE USING (true);
+ *   CREATE POLICY "Public read"    ON projects FOR SELECT USING (true);
+ *   -- No INSERT policy: rows come from the create-project edge function
+ *   CREATE POLICY "Creator update" ON projects FOR UPDATE TO authenticated
+ *     USING (creator_id = auth.uid()) WITH CHECK (creator_id = auth.uid());
+ *   -- Clients may only update title, description and status; funded_amount is
+ *   -- raised by record_transaction() (transactions.js), created_at and the
+ *   -- receive / payout addresses are fixed by create-project, and
+ *   -- token_category is set once by set-token-category
  */
 
 import { supabase } from '../supabase'
+import { DEFAULT_GOVERNANCE_RULES, validateGovernanceRules } from '../governance'
 
 function requireSupabase() {
     if (!supabase) throw new Error('Supabase is not configured. Please add VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY to your .env file.')
@@ -30,39 +48,55 @@ function requireSupabase() {
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * createProject({ creatorId, title, description, fundingTarget, milestones })
+ * createProject({ title, description, fundingTarget, ownerPubkey, funderPubkey, governance })
  *
- * Inserts a new project row. The milestones array is handled separately by
- * the createMilestone function — this only creates the project header.
+ * Creates a project row for the signed-in wallet through the create-project
+ * edge function, which sets created_at and derives the receive and payout
+ * addresses from it and the lock pubkeys — the browser never supplies them.
+ * The milestones array is handled separately by the createMilestone
+ * function — this only creates the project header.
  *
  * @param {object} params
- * @param {string} params.creatorId      UUID of the user (from users table)
  * @param {string} params.title          Project title
  * @param {string} params.description    Project description
  * @param {number} params.fundingTarget  Target BCH amount (e.g. 0.5)
+ * @param {string} [params.ownerPubkey]  MilestoneLock owner pubkey (hex)
+ * @param {string} [params.funderPubkey] MilestoneLock funder pubkey (hex)
+ * @param {object} [params.governance]   Rules picked in ProjectForm; unset rules use DEFAULT_GOVERNANCE_RULES
  * @returns {Promise<Project>}
  */
-export async function createProject({ creatorId, title, description, fundingTarget }) {
-    if (!creatorId) throw new Error('creatorId is required')
+export async function createProject({
+    title, description, fundingTarget, ownerPubkey, funderPubkey, governance,
+}) {
     if (!title) throw new Error('title is required')
     if (!fundingTarget) throw new Error('fundingTarget is required')
 
-    const { data, error } = await supabase
-        .from('projects')
-        .insert({
-            creator_id: creatorId,
-            title: title.trim(),
-            description: description?.trim() ?? '',
-            funding_target: fundingTarget,
-            funded_amount: 0,
-            status: 'active',
-        })
-        .select()
-        .single()
+    const rules = { ...DEFAULT_GOVERNANCE_RULES, ...governance }
+    const [ruleError] = Object.values(validateGovernanceRules(rules))
+    if (ruleError) throw new Error(ruleError)
+
+    const { data, error } = await supabase.functions.invoke('create-project', {
+        body: {
+            title,
+            description: description ?? '',
+            fundingTarget: Number(fundingTarget),
+            ownerPubkey: ownerPubkey || undefined,
+            funderPubkey: funderPubkey || undefined,
+            governance: {
+                approvalThreshold: rules.approvalThreshold,
+                quorumPercent: rules.quorumPercent,
+                votingDurationSeconds: rules.votingDurationSeconds,
+                tokensConsumed: rules.tokensConsumed,
+                votingMode: rules.votingMode,
+            },
+        },
+    })
 
     if (error) {
-        console.error('[db/projects] createProject error:', error)
-        throw new Error(error.message)
+        // Refusals come back as a 4xx with { error } in the body
+        const refusal = await error.context?.json?.().catch(() => null)
+        console.error('[db/projects] createProject error:', refusal ?? error)
+        throw new Error(refusal?.error ?? error.message)
     }
 
     return data
@@ -142,37 +176,26 @@ export async function fetchProjectById(projectId) {
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * updateFundedAmount(projectId, additionalAmount)
- *
- * Atomically adds `additionalAmount` BCH to the project's funded_amount.
- * Uses Supabase's RPC (PostgreSQL function) to avoid race conditions —
- * two funders clicking at the same moment won't overwrite each other.
- *
- * ⚠️ You must create this Postgres function first (SQL Editor):
+ * updateProjectStatus(projectId, status)
  *
- *   CREATE OR REPLACE FUNCTION increment_funded_amount(project_id UUID, amount NUMERIC)
- *   RETURNS void LANGUAGE sql AS $$
- *     UPDATE projects
- *     SET funded_amount = funded_amount + amount
- *     WHERE id = project_id;
- *   $$;
+ * Update the project's lifecycle status.
  *
- * @param   {string} projectId        UUID
- * @param   {number} additionalAmount BCH to add
- * @returns {Promise<void>}
+ * @param {string} projectId
+ * @param {'active'|'completed'|'cancelled'} status
  */
-export async function updateFundedAmount(projectId, additionalAmount) {
+export async function updateProjectStatus(projectId, status) {
     if (!projectId) throw new Error('projectId is required')
-    if (!additionalAmount || additionalAmount <= 0) throw new Error('additionalAmount must be > 0')
+    if (!['active', 'completed', 'cancelled'].includes(status)) {
+        throw new Error('Invalid status. Must be active, completed, or cancelled.')
+    }
 
     const { error } = await supabase
-        .rpc('increment_funded_amount', {
-            project_id: projectId,
-            amount: additionalAmount,
-        })
+        .from('projects')
+        .update({ status })
+        .eq('id', projectId)
 
     if (error) {
-        console.error('[db/projects] updateFundedAmount error:', error)
+        console.error('[db/projects] updateProjectStatus error:', error)
         throw new Error(error.message)
     }
 }
@@ -180,26 +203,31 @@ export async function updateFundedAmount(projectId, additionalAmount) {
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * updateProjectStatus(projectId, status)
+ * setProjectTokenCategory(projectId, tokenCategory)
  *
- * Update the project's lifecycle status.
+ * Stores the project's GOV token category once createProjectToken() has
+ * run. The category is permanent — a project never gets a second one.
+ * Clients can't update the column: the set-token-category edge function
+ * stores it, for the creator, once it finds the category's minting baton in
+ * the project's GovMinter.
  *
  * @param {string} projectId
- * @param {'active'|'completed'|'cancelled'} status
+ * @param {string} tokenCategory  Genesis txid (hex)
+ * @returns {Promise<Project>}
  */
-export async function updateProjectStatus(projectId, status) {
+export async function setProjectTokenCategory(projectId, tokenCategory) {
     if (!projectId) throw new Error('projectId is required')
-    if (!['active', 'completed', 'cancelled'].includes(status)) {
-        throw new Error('Invalid status. Must be active, completed, or cancelled.')
-    }
+    if (!tokenCategory) throw new Error('tokenCategory is required')
 
-    const { error } = await supabase
-        .from('projects')
-        .update({ status })
-        .eq('id', projectId)
+    const { data, error } = await supabase.functions.invoke('set-token-category', {
+        body: { projectId, tokenCategory },
+    })
 
     if (error) {
-        console.error('[db/projects] updateProjectStatus error:', error)
-        throw new Error(error.message)
+        const refusal = await error.context?.json?.().catch(() => null)
+        console.error('[db/projects] setProjectTokenCategory error:', refusal ?? error)
+        throw new Error(refusal?.error ?? error.message)
     }
+
+    return data
 }
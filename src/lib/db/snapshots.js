@@ -0,0 +1,117 @@
+/**
+ * src/lib/db/snapshots.js
+ *
+ * All Supabase operations for the `voting_snapshots` table.
+ *
+ * When a milestone enters `voting`, the GOV balance of every registered
+ * wallet is recorded at the current block height, by the take-snapshot
+ * edge function (supabase/functions/take-snapshot). Votes on that milestone
+ * are weighted by these balances, so tokens moved to another wallet after
+ * voting opens can't be used to vote twice. The circulating GOV supply is
+ * recorded with them — the quorum is a share of it (votes.js).
+ *
+ * Schema (run in Supabase SQL Editor):
+ *   ALTER TABLE milestones ADD COLUMN snapshot_height INTEGER;
+ *   ALTER TABLE milestones ADD COLUMN snapshot_supply BIGINT;
+ *   CREATE TABLE voting_snapshots (
+ *     milestone_id UUID NOT NULL REFERENCES milestones(id) ON DELETE CASCADE,
+ *     voter_id     UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+ *     balance      BIGINT NOT NULL CHECK (balance > 0),
+ *     PRIMARY KEY (milestone_id, voter_id)
+ *   );
+ *   ALTER TABLE voting_snapshots ENABLE ROW LEVEL SECURITY;
+ *   CREATE POLICY "Public read"    ON voting_snapshots FOR SELECT USING (true);
+ *   -- No write policy: only the service role, through store_voting_snapshot()
+ */
+
+import { supabase } from '../supabase'
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * takeVotingSnapshot(milestoneId)
+ *
+ * Has the take-snapshot edge function read the GOV balance of every
+ * registered wallet in the milestone's project category, and the
+ * circulating supply, from the chain and store the non-zero balances with
+ * the block height they were read at. The browser only asks: the balances
+ * votes are weighed by are never written from here. Does nothing if the
+ * milestone already has a snapshot — voting power is fixed once.
+ *
+ * @param   {string} milestoneId
+ * @returns {Promise<{ blockHeight: number, holders: number|null, circulatingSupply: number }>}
+ *          holders is null when the snapshot was already taken
+ */
+export async function takeVotingSnapshot(milestoneId) {
+    if (!milestoneId) throw new Error('milestoneId is required')
+
+    const { data, error } = await supabase.functions.invoke('take-snapshot', {
+        body: { milestoneId },
+    })
+
+    if (error) {
+        // Refusals come back as a 4xx with { error } in the body
+        const refusal = await error.context?.json?.().catch(() => null)
+        console.error('[db/snapshots] takeVotingSnapshot error:', refusal ?? error)
+        throw new Error(refusal?.error ?? error.message)
+    }
+
+    return data
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * getSnapshotBalance(milestoneId, voterId)
+ *
+ * The GOV balance a user held when voting on this milestone opened.
+ *
+ * @param   {string} milestoneId
+ * @param   {string} voterId
+ * @returns {Promise<number>} 0 when the user held no tokens then
+ */
+export async function getSnapshotBalance(milestoneId, voterId) {
+    if (!milestoneId || !voterId) return 0
+
+    const { data, error } = await supabase
+        .from('voting_snapshots')
+        .select('balance')
+        .eq('milestone_id', milestoneId)
+        .eq('voter_id', voterId)
+        .maybeSingle()
+
+    if (error) {
+        console.error('[db/snapshots] getSnapshotBalance error:', error)
+        throw new Error(error.message)
+    }
+
+    return data?.balance ?? 0
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * getSnapshotBalances(milestoneId, voterIds)
+ *
+ * getSnapshotBalance() for many users at once — used to weigh delegated votes.
+ *
+ * @param   {string}   milestoneId
+ * @param   {string[]} voterIds
+ * @returns {Promise<Map<string, number>>} Only users who held GOV tokens then
+ */
+export async function getSnapshotBalances(milestoneId, voterIds) {
+    if (!milestoneId || !voterIds?.length) return new Map()
+
+    const { data, error } = await supabase
+        .from('voting_snapshots')
+        .select('voter_id, balance')
+        .eq('milestone_id', milestoneId)
+        .in('voter_id', voterIds)
+
+    if (error) {
+        console.error('[db/snapshots] getSnapshotBalances error:', error)
+        throw new Error(error.message)
+    }
+
+    return new Map(data.map(r => [r.voter_id, r.balance]))
+}
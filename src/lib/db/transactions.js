@@ -8,16 +8,24 @@
  *
  * Schema (run in Supabase SQL Editor):
  *   CREATE TABLE transactions (
- *     id         UUID PRIMARY KEY DEFAULT gen_random_uuid(),
- *     project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
- *     tx_hash    TEXT NOT NULL,
- *     amount     NUMERIC(18, 8) NOT NULL,
- *     type       TEXT NOT NULL CHECK (type IN ('funding', 'release', 'refund')),
- *     created_at TIMESTAMPTZ DEFAULT now()
+ *     id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+ *     project_id    UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+ *     tx_hash       TEXT NOT NULL,
+ *     amount        NUMERIC(18, 8) NOT NULL,
+ *     type          TEXT NOT NULL CHECK (type IN ('funding', 'release', 'refund')),
+ *     status        TEXT NOT NULL DEFAULT 'mempool' CHECK (status IN ('mempool', 'confirmed', 'dropped')),
+ *     block_height  INTEGER,
+ *     confirmations INTEGER NOT NULL DEFAULT 0,
+ *     created_at    TIMESTAMPTZ DEFAULT now()
  *   );
+ *   CREATE UNIQUE INDEX transactions_unique_tx_type ON transactions(tx_hash, type);
+ *   -- status / block_height / confirmations: kept up to date by the
+ *   -- transaction watcher (scripts/watch-transactions.js, src/lib/txStatus.js)
  *   ALTER TABLE transactions ENABLE ROW LEVEL SECURITY;
- *   CREATE POLICY "Public read"   ON transactions FOR SELECT USING (true);
- *   CREATE POLICY "Anyone insert" ON transactions FOR INSERT WITH CHECK (true);
+ *   CREATE POLICY "Public read" ON transactions FOR SELECT USING (true);
+ *   -- No insert policy: rows are written by the record-transaction edge
+ *   -- function through record_transaction() (service role only), which
+ *   -- also raises projects.funded_amount for funding
  */
 
 import { supabase } from '../supabase'
@@ -34,6 +42,16 @@ function requireSupabase() {
  * Records a BCH on-chain transaction in the Supabase database.
  * Call this AFTER a successful wallet.send() on Chipnet.
  *
+ * The row is written by the record-transaction edge function, which needs
+ * a wallet session (db/auth.js) and first looks the tx up on chain: it is
+ * refused if it isn't there, or if a funding tx doesn't pay the project's
+ * address exactly `amount`. A `funding` row also raises the project's
+ * funded_amount, atomically and in the same database transaction.
+ *
+ * Idempotent: recording a (txHash, type) again — a retry, a double click —
+ * returns the row already stored and doesn't raise funded_amount twice.
+ * New rows start out with status 'mempool'.
+ *
  * @param {object} params
  * @param {string} params.projectId  UUID of the project
  * @param {string} params.txHash     Chipnet transaction ID (64-char hex)
@@ -51,20 +69,15 @@ export async function insertTransaction({ projectId, txHash, amount, type }) {
         throw new Error(`Invalid type. Must be one of: ${validTypes.join(', ')}`)
     }
 
-    const { data, error } = await supabase
-        .from('transactions')
-        .insert({
-            project_id: projectId,
-            tx_hash: txHash,
-            amount,
-            type,
-        })
-        .select()
-        .single()
+    const { data, error } = await supabase.functions.invoke('record-transaction', {
+        body: { projectId, txHash, amount, type },
+    })
 
     if (error) {
-        console.error('[db/transactions] insertTransaction error:', error)
-        throw new Error(error.message)
+        // Refusals come back as a 4xx with { error } in the body
+        const refusal = await error.context?.json?.().catch(() => null)
+        console.error('[db/transactions] insertTransaction error:', refusal ?? error)
+        throw new Error(refusal?.error ?? error.message)
     }
 
     return data
@@ -5,6 +5,8 @@
  *
  * In Milestara, a "user" is identified by their BCH wallet address.
  * No email/password — the wallet IS the identity (Web3 pattern).
+ * Rows are only created by the auth-verify edge function, after the wallet
+ * has signed a sign-in challenge (db/auth.js).
  *
  * Schema (run in Supabase SQL Editor):
  *   CREATE TABLE users (
@@ -14,7 +16,6 @@
  *   );
  *   ALTER TABLE users ENABLE ROW LEVEL SECURITY;
  *   CREATE POLICY "Public read" ON users FOR SELECT USING (true);
- *   CREATE POLICY "Insert own" ON users FOR INSERT WITH CHECK (true);
  */
 
 import { supabase } from '../supabase'
@@ -26,65 +27,57 @@ function requireSupabase() {
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * upsertUser(walletAddress)
- *
- * Creates a new user row if the wallet address doesn't exist yet,
- * or returns the existing user if it does (idempotent).
+ * getUserByWallet(walletAddress)
  *
- * This is called every time a wallet connects — safe to call repeatedly.
+ * Fetch a user by their BCH wallet address.
+ * Returns null if the user doesn't exist yet.
  *
- * @param   {string} walletAddress  BCH cashaddr (e.g. "bchtest:qp...")
- * @returns {Promise<{ data: User, error: Error|null }>}
+ * @param   {string} walletAddress
+ * @returns {Promise<User|null>}
  */
-export async function upsertUser(walletAddress) {
+export async function getUserByWallet(walletAddress) {
     if (!walletAddress) throw new Error('walletAddress is required')
     requireSupabase()
 
     const { data, error } = await supabase
         .from('users')
-        .upsert(
-            { wallet_address: walletAddress },
-            {
-                onConflict: 'wallet_address',  // if already exists → return existing
-                ignoreDuplicates: false,
-            }
-        )
-        .select()
-        .single()
+        .select('*')
+        .eq('wallet_address', walletAddress)
+        .maybeSingle()   // returns null instead of error if not found
 
     if (error) {
-        console.error('[db/users] upsertUser error:', error)
+        console.error('[db/users] getUserByWallet error:', error)
         throw new Error(error.message)
     }
 
-    return data  // { id, wallet_address, created_at }
+    return data  // User object or null
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * getUserByWallet(walletAddress)
+ * getUserById(userId)
  *
- * Fetch a user by their BCH wallet address.
- * Returns null if the user doesn't exist yet.
+ * Fetch a user by their UUID.
+ * Returns null if there is no such user.
  *
- * @param   {string} walletAddress
+ * @param   {string} userId
  * @returns {Promise<User|null>}
  */
-export async function getUserByWallet(walletAddress) {
-    if (!walletAddress) throw new Error('walletAddress is required')
+export async function getUserById(userId) {
+    if (!userId) throw new Error('userId is required')
     requireSupabase()
 
     const { data, error } = await supabase
         .from('users')
         .select('*')
-        .eq('wallet_address', walletAddress)
-        .maybeSingle()   // returns null instead of error if not found
+        .eq('id', userId)
+        .maybeSingle()
 
     if (error) {
-        console.error('[db/users] getUserByWallet error:', error)
+        console.error('[db/users] getUserById error:', error)
         throw new Error(error.message)
     }
 
-    return data  // User object or null
+    return data
 }
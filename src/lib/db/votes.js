@@ -10,110 +10,389 @@
  *     voter_id     UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
  *     vote         BOOLEAN NOT NULL,       -- true = YES,  false = NO
  *     voting_power INTEGER NOT NULL DEFAULT 1,
+ *     tx_hash      TEXT,                   -- the vote transaction (GOV into, or a marker in, the box)
+ *     delegated_by UUID REFERENCES users(id), -- set when a delegate cast this vote (delegations.js)
+ *     signature    TEXT,                   -- voter's BCH signed message (direct votes)
+ *     signed_at    TIMESTAMPTZ,            -- the timestamp it signed
+ *     UNIQUE(tx_hash),                     -- a vote tx is cached once
  *     created_at   TIMESTAMPTZ DEFAULT now(),
+ *     updated_at   TIMESTAMPTZ DEFAULT now(), -- when the current choice was made
  *     UNIQUE(milestone_id, voter_id)       -- one vote per user per milestone
  *   );
+ *   -- Every earlier choice of a changed vote, written by a BEFORE UPDATE
+ *   -- trigger on votes (see schema.sql)
+ *   CREATE TABLE vote_history (
+ *     id           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+ *     vote_id      UUID NOT NULL REFERENCES votes(id) ON DELETE CASCADE,
+ *     milestone_id UUID NOT NULL, voter_id UUID NOT NULL,
+ *     vote BOOLEAN NOT NULL, voting_power INTEGER NOT NULL, tx_hash TEXT, delegated_by UUID,
+ *     cast_at      TIMESTAMPTZ NOT NULL,   -- when the old choice was made
+ *     replaced_at  TIMESTAMPTZ DEFAULT now()
+ *   );
+ *
+ * Votes themselves live on chain as GOV tokens held by each milestone's
+ * YES/NO VoteBox contracts. This table is a cache: every row is checked
+ * against its transaction, and weighted by the voter's snapshot balance
+ * (snapshots.js) so approval can't be bought with tokens moved in later.
  *   ALTER TABLE votes ENABLE ROW LEVEL SECURITY;
  *   CREATE POLICY "Public read"   ON votes FOR SELECT USING (true);
- *   CREATE POLICY "Voter insert"  ON votes FOR INSERT WITH CHECK (true);
- *   -- Note: no update/delete — votes are immutable once cast
+ *   -- Direct votes: written only by the cast-vote edge function (service
+ *   -- role) after checking the voter's wallet signature — see
+ *   -- supabase/functions/cast-vote — for the signed-in voter only. Delegated
+ *   -- votes: insert/update policies for the signed-in delegate
+ *   -- (delegated_by = auth.uid()) that check votes_delegation_valid().
+ *   -- Note: no delete. Votes change only while voting is open (trigger), and
+ *   -- vote_history has no write policy at all
  */
 
 import { supabase } from '../supabase'
-import { updateMilestoneStatus } from './milestones'
+import { getSnapshotBalance, getSnapshotBalances } from './snapshots'
+import { getUserById } from './users'
+import { getDelegatorsFor } from './delegations'
+import { getMilestoneVotes, getVoteWeight } from '../../services/milestoneContract'
+import { evaluateVotes, getGovernanceRules, GOVERNANCE_COLUMNS } from '../governance'
 
 function requireSupabase() {
     if (!supabase) throw new Error('Supabase is not configured. Please add VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY to your .env file.')
 }
 
-// Threshold for governance approval (>50%)
-const APPROVAL_THRESHOLD = 0.5
+/**
+ * tallyVotes(rows, rules, circulatingSupply)
+ *
+ * Runs cached vote rows through the project's rules (evaluateVotes() in
+ * lib/governance.js). Each row is one voter, so in quadratic mode every
+ * row's tokens are square-rooted on their own. The quorum base is the
+ * circulating supply recorded with the voting snapshot; without one
+ * nothing is passing. Also used by fetchMilestonesByProject().
+ *
+ * @returns {{ yesTokens, noTokens, totalTokens, yesWeight, noWeight, totalWeight,
+ *             yesPercent, quorumVotes, quorumReached, quorumProgress, passing }}
+ */
+export function tallyVotes(rows, rules, circulatingSupply) {
+    const votes = rows.map(v => ({ vote: v.vote, tokens: v.voting_power }))
+    return evaluateVotes(votes, rules, circulatingSupply)
+}
+
+// Cached vote rows of one milestone
+async function fetchMilestoneVoteRows(milestoneId) {
+    const { data, error } = await supabase
+        .from('votes')
+        .select('vote, voting_power, delegated_by')
+        .eq('milestone_id', milestoneId)
+
+    if (error) {
+        console.error('[db/votes] fetchMilestoneVoteRows error:', error)
+        throw new Error(error.message)
+    }
+
+    return data ?? []
+}
 
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * voteOnMilestone({ milestoneId, voterId, vote, votingPower })
+ * voteOnMilestone({ milestoneId, voterId, vote, txHash, signedVote })
+ *
+ * Caches an on-chain vote. Each user has one vote per milestone (the UNIQUE
+ * constraint), which they can change — side or weight — by voting again
+ * with a new transaction while the milestone's voting window is open. The
+ * row is upserted; its earlier choice goes to vote_history.
+ *
+ * The vote's tokens are the GOV `txHash` voted with in the milestone's YES
+ * or NO box (locked there, or only marked when the project's rules don't
+ * consume tokens), capped at the voter's balance in the voting snapshot —
+ * tokens received after voting opened add nothing — and at the weight the
+ * voter signed. The row stores these raw tokens; the tally turns them into
+ * effective weight (their square root in quadratic mode).
  *
- * Casts a vote on a milestone. Each user can vote only once per milestone
- * (enforced by the UNIQUE constraint). After inserting, checks if the
- * milestone has now passed the approval threshold and auto-updates its status.
+ * The row is written by the cast-vote edge function, which only accepts it
+ * with a signature from the voter's wallet over the milestone, choice,
+ * weight and a fresh timestamp (signVote() in milestoneContract.js).
+ *
+ * Changing a vote doesn't take the earlier one off chain: tokens already in
+ * a box stay there (checkVotesAgainstChain() then reports the difference).
+ * The cache counts each user's latest choice, and that is what settles the
+ * milestone.
+ *
+ * Delegation (delegations.js): a direct vote replaces a vote a delegate
+ * already cast for this user. And when the voter is a delegate, a vote on
+ * the same side is added for each of their delegators on this project who
+ * hasn't voted yet, weighted by that delegator's snapshot balance; votes
+ * they already cast for them follow the delegate's change.
+ *
+ * After every change the milestone's votes are re-tallied under the
+ * project's rules and its status recomputed — it only leaves `voting` once
+ * the window has closed (finalizeMilestoneVoting).
  *
  * @param {object}  params
  * @param {string}  params.milestoneId  UUID of the milestone
  * @param {string}  params.voterId      UUID of the voter (from users table)
  * @param {boolean} params.vote         true = YES, false = NO
- * @param {number}  [params.votingPower=1]  Token weight (GOV tokens used)
- * @returns {Promise<{ voteRecord, milestoneApproved, yesPercent }>}
+ * @param {string}  params.txHash       Vote transaction (castVote() in milestoneContract.js)
+ * @param {{ weight, timestamp, signature }} params.signedVote  From signVote()
+ * @returns {Promise<{ voteRecord, previousVote, delegatedWeight, delegators, status, passing, yesPercent,
+ *                     yesTokens, noTokens, totalTokens, yesWeight, noWeight, totalWeight,
+ *                     quorumVotes, quorumReached, quorumProgress }>}
  */
-export async function voteOnMilestone({ milestoneId, voterId, vote, votingPower = 1 }) {
+export async function voteOnMilestone({ milestoneId, voterId, vote, txHash, signedVote }) {
     if (!milestoneId) throw new Error('milestoneId is required')
     if (!voterId) throw new Error('voterId is required')
     if (typeof vote !== 'boolean') throw new Error('vote must be a boolean (true=YES, false=NO)')
-    if (votingPower < 1) throw new Error('votingPower must be at least 1')
+    if (!txHash) throw new Error('txHash is required')
+    if (!signedVote?.signature) throw new Error('The vote must be signed with your wallet.')
 
-    // ── 1. Insert the vote ────────────────────────────────────────────────────
-    const { data: voteRecord, error: insertError } = await supabase
-        .from('votes')
-        .insert({
-            milestone_id: milestoneId,
-            voter_id: voterId,
+    // ── 1. Check the window, the chain and the snapshot ───────────────────────
+    const info = await getMilestoneVotingInfo(milestoneId)
+    assertVotingOpen(info)
+    const { tokenCategory, projectId, snapshotHeight, rules } = info
+
+    const sent = await getVoteWeight(tokenCategory, milestoneId, vote ? 'yes' : 'no', txHash, {
+        tokensConsumed: rules.tokensConsumed,
+        snapshotHeight,
+    })
+    if (sent < 1) {
+        throw new Error(`Transaction ${txHash} did not send GOV tokens to this milestone's ${vote ? 'YES' : 'NO'} box.`)
+    }
+    const snapshotBalance = await getSnapshotBalance(milestoneId, voterId)
+    if (snapshotBalance < 1) {
+        throw new Error(`You held no GOV tokens when voting opened (block ${snapshotHeight}).`)
+    }
+    const weight = Math.min(sent, snapshotBalance, signedVote.weight)
+
+    // ── 2. Store the signed vote, replacing the user's earlier one ────────────
+    const previousVote = await getCurrentVote(milestoneId, voterId)
+    const { data: voteRecord, error: castError } = await supabase.functions.invoke('cast-vote', {
+        body: {
+            milestoneId,
+            voterId,
             vote,
-            voting_power: votingPower,
-        })
-        .select()
-        .single()
+            weight: signedVote.weight,
+            timestamp: signedVote.timestamp,
+            signature: signedVote.signature,
+            votingPower: weight,
+            txHash,
+        },
+    })
+
+    if (castError) {
+        // Refusals come back as a 4xx with { error } in the body
+        const refusal = await castError.context?.json?.().catch(() => null)
+        console.error('[db/votes] voteOnMilestone cast-vote error:', refusal ?? castError)
+        throw new Error(refusal?.error ?? castError.message)
+    }
+
+    // ── 3. Vote for everyone who delegated to this voter ──────────────────────
+    const { delegatedWeight, delegators } = await castDelegatedVotes({ milestoneId, projectId, delegateId: voterId, vote })
 
-    if (insertError) {
-        // Unique constraint violation = user already voted
-        if (insertError.code === '23505') {
-            throw new Error('You have already voted on this milestone.')
-        }
-        console.error('[db/votes] voteOnMilestone insert error:', insertError)
-        throw new Error(insertError.message)
+    // ── 4. Re-tally the snapshot-weighted votes ───────────────────────────────
+    const result = await recomputeMilestoneStatus(milestoneId)
+
+    return { voteRecord, previousVote, delegatedWeight, delegators, ...result }
+}
+
+// The user's current vote on the milestone (their own or a delegate's), if any
+async function getCurrentVote(milestoneId, voterId) {
+    const { data, error } = await supabase
+        .from('votes')
+        .select('id, vote, voting_power, tx_hash, delegated_by')
+        .eq('milestone_id', milestoneId)
+        .eq('voter_id', voterId)
+        .maybeSingle()
+
+    if (error) {
+        console.error('[db/votes] getCurrentVote error:', error)
+        throw new Error(error.message)
     }
 
-    // ── 2. Recalculate vote tallies for this milestone ────────────────────────
-    const { data: allVotes, error: fetchError } = await supabase
+    return data
+}
+
+/**
+ * castDelegatedVotes({ milestoneId, projectId, delegateId, vote })
+ *
+ * Adds the delegate's choice as a vote row for each user whose power on
+ * this project is delegated to the delegate's wallet, weighted by their
+ * snapshot balance. Delegators who already voted (or held no GOV when
+ * voting opened) are skipped. Votes the delegate already cast for them
+ * switch to the delegate's new side.
+ *
+ * @returns {Promise<{ delegatedWeight: number, delegators: number }>}
+ */
+async function castDelegatedVotes({ milestoneId, projectId, delegateId, vote }) {
+    const delegate = await getUserById(delegateId)
+    const delegatorIds = await getDelegatorsFor(delegate?.wallet_address, projectId)
+    if (!delegatorIds.length) return { delegatedWeight: 0, delegators: 0 }
+
+    const { data: followed, error: followError } = await supabase
         .from('votes')
-        .select('vote, voting_power')
+        .update({ vote })
         .eq('milestone_id', milestoneId)
+        .eq('delegated_by', delegateId)
+        .in('voter_id', delegatorIds)
+        .neq('vote', vote)
+        .select('voting_power')
 
-    if (fetchError) {
-        console.error('[db/votes] voteOnMilestone fetch votes error:', fetchError)
-        throw new Error(fetchError.message)
+    if (followError) {
+        console.error('[db/votes] castDelegatedVotes follow error:', followError)
+        throw new Error(followError.message)
     }
 
-    const yesWeight = allVotes.filter(v => v.vote === true).reduce((s, v) => s + v.voting_power, 0)
-    const noWeight = allVotes.filter(v => v.vote === false).reduce((s, v) => s + v.voting_power, 0)
-    const total = yesWeight + noWeight
-    const yesPercent = total > 0 ? Math.round((yesWeight / total) * 100) : 0
-    const milestoneApproved = total > 0 && (yesWeight / total) > APPROVAL_THRESHOLD
+    const balances = await getSnapshotBalances(milestoneId, delegatorIds)
+    if (!balances.size) return { delegatedWeight: 0, delegators: 0 }
+
+    const rows = [...balances].map(([delegatorId, balance]) => ({
+        milestone_id: milestoneId,
+        voter_id: delegatorId,
+        vote,
+        voting_power: balance,
+        delegated_by: delegateId,
+    }))
+
+    // ON CONFLICT DO NOTHING: a delegator's own vote always wins
+    const { data, error } = await supabase
+        .from('votes')
+        .upsert(rows, { onConflict: 'milestone_id,voter_id', ignoreDuplicates: true })
+        .select('voting_power')
+
+    if (error) {
+        console.error('[db/votes] castDelegatedVotes error:', error)
+        throw new Error(error.message)
+    }
+
+    const changed = [...followed, ...data]
+    return {
+        delegatedWeight: changed.reduce((s, v) => s + v.voting_power, 0),
+        delegators: changed.length,
+    }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * getMilestoneVotingInfo(milestoneId)
+ *
+ * The GOV token category of the project a milestone belongs to — what its
+ * vote boxes are built from — plus its status, voting window and the block
+ * height of its voting snapshot (null until voting opens), the project's
+ * governance rules and the circulating supply snapshotted with the
+ * balances (the quorum base).
+ *
+ * @param   {string} milestoneId
+ * @returns {Promise<{ tokenCategory, projectId, status, opensAt, closesAt, snapshotHeight, rules, circulatingSupply }>}
+ */
+async function getMilestoneVotingInfo(milestoneId) {
+    const { data, error } = await supabase
+        .from('milestones')
+        .select(`project_id, status, voting_opens_at, voting_closes_at, snapshot_height, snapshot_supply, project:projects(token_category, ${GOVERNANCE_COLUMNS})`)
+        .eq('id', milestoneId)
+        .single()
 
-    // ── 3. Auto-update milestone status if threshold reached ──────────────────
-    if (milestoneApproved) {
-        await updateMilestoneStatus(milestoneId, 'approved')
-    } else if (total > 0) {
-        // Voting has started but not yet passed
-        await updateMilestoneStatus(milestoneId, 'voting')
+    if (error) {
+        console.error('[db/votes] getMilestoneVotingInfo error:', error)
+        throw new Error(error.message)
     }
 
+    const tokenCategory = data.project?.token_category
+    if (!tokenCategory) throw new Error('This project has no GOV token yet.')
     return {
-        voteRecord,
-        milestoneApproved,
-        yesPercent,
-        yesWeight,
-        noWeight,
-        total,
+        tokenCategory,
+        projectId: data.project_id,
+        status: data.status,
+        opensAt: data.voting_opens_at,
+        closesAt: data.voting_closes_at,
+        snapshotHeight: data.snapshot_height,
+        rules: getGovernanceRules(data.project),
+        circulatingSupply: data.snapshot_supply,
     }
 }
 
+// Throws unless `now` is inside the milestone's voting window
+function assertVotingOpen({ status, opensAt, closesAt }, now = Date.now()) {
+    if (status !== 'voting' || !opensAt || now < Date.parse(opensAt)) {
+        throw new Error('Voting has not opened for this milestone yet.')
+    }
+    if (now >= Date.parse(closesAt)) {
+        throw new Error(`Voting on this milestone closed at ${new Date(closesAt).toLocaleString()}.`)
+    }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * finalizeMilestoneVoting(milestoneId)
+ *
+ * Final tally once the voting window has closed: sets the milestone to
+ * `approved` if the cached, snapshot-weighted votes pass the project's
+ * rules (quorum and approval threshold), and to `rejected` otherwise.
+ * Safe to call again — a settled milestone is returned unchanged.
+ *
+ * @param   {string} milestoneId
+ * @returns {Promise<{ status, passing, quorumReached, yesPercent, yesTokens, noTokens, yesWeight, noWeight }>}
+ */
+export async function finalizeMilestoneVoting(milestoneId) {
+    if (!milestoneId) throw new Error('milestoneId is required')
+
+    const { status, closesAt } = await getMilestoneVotingInfo(milestoneId)
+    if (status === 'voting' && Date.now() < Date.parse(closesAt)) {
+        throw new Error(`Voting is open until ${new Date(closesAt).toLocaleString()}.`)
+    }
+    return recomputeMilestoneStatus(milestoneId)
+}
+
+// Re-tallies the cached votes and settles a `voting` milestone whose window
+// has closed; before that (or once settled) the status is left as it is.
+// Clients can't set `approved`/`rejected` themselves: the database tallies
+// again and settles it (settle_milestone_voting() in schema.sql).
+async function recomputeMilestoneStatus(milestoneId) {
+    const { status, closesAt, rules, circulatingSupply } = await getMilestoneVotingInfo(milestoneId)
+    const tally = tallyVotes(await fetchMilestoneVoteRows(milestoneId), rules, circulatingSupply)
+    if (status !== 'voting' || Date.now() < Date.parse(closesAt)) return { status, ...tally }
+
+    const { data: finalStatus, error } = await supabase
+        .rpc('settle_milestone_voting', { p_milestone_id: milestoneId })
+
+    if (error) {
+        console.error('[db/votes] recomputeMilestoneStatus settle error:', error)
+        throw new Error(error.message)
+    }
+
+    return { status: finalStatus, ...tally }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * checkVotesAgainstChain(milestoneId)
+ *
+ * Compares the cached vote rows of a milestone with the tokens its YES/NO
+ * boxes actually hold. Votes sent from wallets without a users row are on
+ * chain but not in the cache, cached weights are capped by the voting
+ * snapshot, and a changed vote leaves the earlier one in its box, so
+ * `inSync` is false whenever the two differ for any of these reasons.
+ * Delegated votes have no transaction of their own and are left out.
+ *
+ * @param   {string} milestoneId
+ * @returns {Promise<{ cached: {yes, no}, chain: {yes, no}, inSync: boolean }>}
+ */
+export async function checkVotesAgainstChain(milestoneId) {
+    if (!milestoneId) throw new Error('milestoneId is required')
+
+    const { tokenCategory, snapshotHeight, rules, circulatingSupply } = await getMilestoneVotingInfo(milestoneId)
+    const direct = (await fetchMilestoneVoteRows(milestoneId)).filter(v => !v.delegated_by)
+    const { yesTokens, noTokens } = tallyVotes(direct, rules, circulatingSupply)
+    const cached = { yes: yesTokens, no: noTokens }
+    const chain = await getMilestoneVotes(tokenCategory, milestoneId, { tokensConsumed: rules.tokensConsumed, snapshotHeight })
+
+    return { cached, chain, inSync: cached.yes === chain.yes && cached.no === chain.no }
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
  * getVotesByMilestone(milestoneId)
  *
  * Returns all votes for a milestone including voter wallet addresses.
- * Useful for displaying a vote history list.
+ * Useful for listing who voted what; earlier choices are in getVoteHistory().
  *
  * @param   {string} milestoneId
  * @returns {Promise<VoteWithVoter[]>}
@@ -125,7 +404,7 @@ export async function getVotesByMilestone(milestoneId) {
         .from('votes')
         .select(`
             *,
-            voter:users(wallet_address)
+            voter:users!votes_voter_id_fkey(wallet_address)
         `)
         .eq('milestone_id', milestoneId)
         .order('created_at', { ascending: false })
@@ -140,11 +419,48 @@ export async function getVotesByMilestone(milestoneId) {
 
 // ─────────────────────────────────────────────────────────────────────────────
 
+/**
+ * getVoteHistory(milestoneId, voterId?)
+ *
+ * The audit trail of changed votes on a milestone: every earlier choice,
+ * newest first, with when it was made and when it was replaced. Pass a
+ * voterId to see one user's changes only. Current votes are in the votes
+ * table (getVotesByMilestone).
+ *
+ * @param   {string} milestoneId
+ * @param   {string} [voterId]
+ * @returns {Promise<VoteHistoryEntry[]>}
+ */
+export async function getVoteHistory(milestoneId, voterId) {
+    if (!milestoneId) throw new Error('milestoneId is required')
+
+    let query = supabase
+        .from('vote_history')
+        .select(`
+            *,
+            voter:users!vote_history_voter_id_fkey(wallet_address)
+        `)
+        .eq('milestone_id', milestoneId)
+    if (voterId) query = query.eq('voter_id', voterId)
+
+    const { data, error } = await query.order('replaced_at', { ascending: false })
+
+    if (error) {
+        console.error('[db/votes] getVoteHistory error:', error)
+        throw new Error(error.message)
+    }
+
+    return data ?? []
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+
 /**
  * hasUserVoted(milestoneId, voterId)
  *
  * Quick check — returns true if this user has already cast a vote on this milestone.
- * Use this to disable the Vote buttons in the UI.
+ * Use this to offer "change vote" in the UI. A vote a delegate cast for the
+ * user doesn't count.
  *
  * @param   {string} milestoneId
  * @param   {string} voterId
@@ -158,6 +474,7 @@ export async function hasUserVoted(milestoneId, voterId) {
         .select('id', { count: 'exact', head: true })
         .eq('milestone_id', milestoneId)
         .eq('voter_id', voterId)
+        .is('delegated_by', null)
 
     if (error) {
         console.error('[db/votes] hasUserVoted error:', error)
@@ -0,0 +1,152 @@
+/**
+ * src/lib/governance.js
+ *
+ * Per-project governance rules, and the one evaluator every approval check
+ * goes through: the Supabase vote cache (db/votes.js, db/milestones.js),
+ * the chain tally returned by castVote() and the Governance Panel.
+ *
+ * Rules are picked in ProjectForm and stored on the project row:
+ *   approval_threshold      NUMERIC(5, 2)  -- YES must be MORE than this % of cast GOV
+ *   quorum_percent          NUMERIC(5, 2)  -- % of circulating GOV that must vote at all
+ *   voting_duration_seconds INTEGER        -- length of a milestone's voting window
+ *   tokens_consumed         BOOLEAN        -- votes lock GOV in the vote box for good
+ *   voting_mode             TEXT           -- 'token' (1 GOV = 1 vote) or 'quadratic'
+ *
+ * In quadratic mode a voter's effective weight is the square root of the
+ * GOV they commit, so a whale with 10,000 GOV weighs as much as 100 backers
+ * with 1 GOV each. Quorum is still counted in GOV tokens.
+ */
+
+// ── Defaults ──────────────────────────────────────────────────────────────────
+
+// How long a milestone stays open for votes once the creator opens voting. 3 days.
+export const VOTING_WINDOW_SECONDS = 3 * 24 * 60 * 60
+
+// Share of circulating GOV supply that has to vote (YES or NO) before a
+// milestone can be approved. 20%.
+export const DEFAULT_QUORUM_PERCENT = 20
+
+// Simple majority: more than half of the cast GOV must be YES
+export const DEFAULT_APPROVAL_THRESHOLD = 50
+
+export const DEFAULT_GOVERNANCE_RULES = Object.freeze({
+    approvalThreshold: DEFAULT_APPROVAL_THRESHOLD,
+    quorumPercent: DEFAULT_QUORUM_PERCENT,
+    votingDurationSeconds: VOTING_WINDOW_SECONDS,
+    tokensConsumed: true,
+    votingMode: 'token',
+})
+
+export const VOTING_MODES = ['token', 'quadratic']
+
+// The projects columns getGovernanceRules() reads, for Supabase selects
+export const GOVERNANCE_COLUMNS = 'approval_threshold, quorum_percent, voting_duration_seconds, tokens_consumed, voting_mode'
+
+// Voting windows shorter than an hour can't be voted in; longer than 30
+// days would hold the milestone's funds hostage
+const MIN_VOTING_SECONDS = 60 * 60
+const MAX_VOTING_SECONDS = 30 * 24 * 60 * 60
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * getGovernanceRules(project)
+ *
+ * The rules of a project: read from a Supabase row (snake_case columns) or
+ * from a local project's `governance` object (ProjectForm). Anything not
+ * set falls back to DEFAULT_GOVERNANCE_RULES.
+ *
+ * @param   {object} [project]
+ * @returns {{ approvalThreshold, quorumPercent, votingDurationSeconds, tokensConsumed, votingMode }}
+ */
+export function getGovernanceRules(project) {
+    const local = project?.governance ?? {}
+    const pick = (camel, snake) => local[camel] ?? project?.[snake] ?? DEFAULT_GOVERNANCE_RULES[camel]
+    return {
+        approvalThreshold: Number(pick('approvalThreshold', 'approval_threshold')),
+        quorumPercent: Number(pick('quorumPercent', 'quorum_percent')),
+        votingDurationSeconds: Number(pick('votingDurationSeconds', 'voting_duration_seconds')),
+        tokensConsumed: Boolean(pick('tokensConsumed', 'tokens_consumed')),
+        votingMode: pick('votingMode', 'voting_mode'),
+    }
+}
+
+/**
+ * validateGovernanceRules(rules)
+ *
+ * Checks rules before they are stored. The same ranges are enforced by
+ * CHECK constraints on the projects table.
+ *
+ * @returns {object} Error message per rule; empty when the rules are valid
+ */
+export function validateGovernanceRules({ approvalThreshold, quorumPercent, votingDurationSeconds, votingMode }) {
+    const errors = {}
+    if (!(approvalThreshold >= 50 && approvalThreshold < 100)) {
+        errors.approvalThreshold = 'Approval threshold must be at least 50% and below 100%'
+    }
+    if (!(quorumPercent > 0 && quorumPercent <= 100)) {
+        errors.quorumPercent = 'Quorum must be between 0% and 100%'
+    }
+    if (!(votingDurationSeconds >= MIN_VOTING_SECONDS && votingDurationSeconds <= MAX_VOTING_SECONDS)) {
+        errors.votingDurationSeconds = 'Voting must stay open between 1 hour and 30 days'
+    }
+    if (!VOTING_MODES.includes(votingMode)) {
+        errors.votingMode = `Voting mode must be one of: ${VOTING_MODES.join(', ')}`
+    }
+    return errors
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Returns the votes (tokens) a milestone needs to reach quorum; never less than 1 */
+export function getQuorumVotes(circulatingSupply, quorumPercent = DEFAULT_QUORUM_PERCENT) {
+    return Math.max(1, Math.ceil((circulatingSupply * quorumPercent) / 100))
+}
+
+/** Effective weight of `tokens` GOV cast by one voter under the project's voting mode */
+export function voteWeight(tokens, rules = DEFAULT_GOVERNANCE_RULES) {
+    return rules.votingMode === 'quadratic' ? Math.sqrt(tokens) : tokens
+}
+
+/**
+ * evaluateVotes(votes, rules, circulatingSupply)
+ *
+ * Decides whether a milestone's votes pass the project's rules: enough of
+ * the circulating GOV voted (quorum, in tokens), and the YES weight is
+ * more than the approval threshold of all weight cast. Without a known
+ * supply the quorum can't be checked, so nothing passes.
+ *
+ * `votes` has one entry per voter — the voting mode weighs each voter's
+ * tokens separately. In token mode, one entry per side gives the same result.
+ *
+ * @param {Array<{ vote: boolean, tokens: number }>} votes  true = YES
+ * @param {object}      [rules]               From getGovernanceRules()
+ * @param {number|null} [circulatingSupply]   Quorum base (snapshot or chain)
+ * @returns {{ yesTokens, noTokens, totalTokens, yesWeight, noWeight, totalWeight,
+ *             yesPercent, quorumVotes, quorumReached, quorumProgress, passing }}
+ */
+export function evaluateVotes(votes, rules = DEFAULT_GOVERNANCE_RULES, circulatingSupply = null) {
+    const { approvalThreshold, quorumPercent } = rules
+    const sum = (side, f) => votes.filter(v => v.vote === side).reduce((s, v) => s + f(v.tokens), 0)
+    const yesTokens = sum(true, t => t)
+    const noTokens = sum(false, t => t)
+    const yesWeight = sum(true, t => voteWeight(t, rules))
+    const noWeight = sum(false, t => voteWeight(t, rules))
+    const totalTokens = yesTokens + noTokens
+    const totalWeight = yesWeight + noWeight
+    const quorumVotes = circulatingSupply == null ? null : getQuorumVotes(Number(circulatingSupply), quorumPercent)
+    const quorumReached = quorumVotes !== null && totalTokens >= quorumVotes
+    return {
+        yesTokens,
+        noTokens,
+        totalTokens,
+        yesWeight,
+        noWeight,
+        totalWeight,
+        yesPercent: totalWeight > 0 ? Math.round((yesWeight / totalWeight) * 100) : 0,
+        quorumVotes,
+        quorumReached,
+        quorumProgress: quorumVotes ? Math.min(100, Math.round((totalTokens / quorumVotes) * 100)) : 0,   // % of quorum, capped
+        passing: quorumReached && yesWeight * 100 > approvalThreshold * totalWeight,
+    }
+}
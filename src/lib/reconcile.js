@@ -0,0 +1,146 @@
+/**
+ * src/lib/reconcile.js
+ *
+ * Compares a project's `transactions` rows with the chain, for the
+ * reconciler job (scripts/reconcile.js). Plain JS on top of the chain
+ * backend in supabase/functions/_shared/chainCheck.js, so it runs in Node
+ * and in the tests against MockNetworkProvider.
+ *
+ * What the chain says about a project:
+ *   • its MilestoneLock history — a tx that pays the lock without spending
+ *     from it is a funding; a tx that spends from it is a refund when all
+ *     that leaves the lock goes to the funder, or when it hands GOV back to
+ *     the project's GovMinter (a backer redeeming), otherwise a release
+ *   • funding paid to its receive_address when that isn't the lock — the
+ *     creator's wallet, or the platform address older projects share. Other
+ *     payments land there too, so those can be checked against the rows
+ *     that claim them but not discovered
+ *
+ * Releases and refunds through a MilestoneCovenant or MilestoneArbiter are
+ * not derivable from the project row; their rows are only checked to exist.
+ */
+
+import { bchToSats, satsToBch } from '../../supabase/functions/_shared/chainCheck.js'
+
+function sumTo(outputs, lockingBytecode, match = true) {
+    return outputs
+        .filter(o => (o.lockingBytecode === lockingBytecode) === match)
+        .reduce((sum, o) => sum + o.satoshis, 0n)
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * scanLockHistory(backend, { lockAddress, funderBytecode, minterBytecode })
+ *
+ * Every funding, release and refund in a MilestoneLock's history. A redeem's
+ * amount is what left the lock (the redeemer's share, fee included), as
+ * redeemGovTokens() records it.
+ *
+ * @param   {object} backend           From createChainBackend()
+ * @param   {string} lockAddress       The project's MilestoneLock address
+ * @param   {string} funderBytecode    P2PKH locking bytecode (hex) of funder_pubkey
+ * @param   {string} [minterBytecode]  Locking bytecode (hex) of the project's GovMinter
+ * @returns {Promise<Array<{ txHash: string, type: 'funding'|'release'|'refund', sats: bigint }>>}
+ */
+export async function scanLockHistory(backend, { lockAddress, funderBytecode, minterBytecode }) {
+    const lockBytecode = backend.lockingBytecodeOf(lockAddress)
+    const history = await backend.getHistory(lockAddress)
+
+    // Every coin the lock ever held was created by a tx in its own history
+    const txs = new Map()
+    for (const txHash of history) txs.set(txHash, await backend.getTransaction(txHash))
+
+    const events = []
+    for (const [txHash, tx] of txs) {
+        if (!tx) continue
+        const spent = tx.inputs.map(i => txs.get(i.txHash)?.outputs[i.index]).filter(Boolean)
+        const lockIn = sumTo(spent, lockBytecode)
+
+        if (lockIn === 0n) {
+            const sats = sumTo(tx.outputs, lockBytecode)
+            if (sats > 0n) events.push({ txHash, type: 'funding', sats })
+            continue
+        }
+
+        if (minterBytecode && tx.outputs.some(o => o.lockingBytecode === minterBytecode)) {
+            events.push({ txHash, type: 'refund', sats: lockIn - sumTo(tx.outputs, lockBytecode) })
+            continue
+        }
+
+        // What left the lock; a release keeps the rest there as change
+        const leaving = tx.outputs.filter(o => o.lockingBytecode !== lockBytecode)
+        const type = leaving.every(o => o.lockingBytecode === funderBytecode) ? 'refund' : 'release'
+        events.push({ txHash, type, sats: sumTo(tx.outputs, lockBytecode, false) })
+    }
+    return events
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * reconcileProject(backend, { rows, lockEvents, receiveAddress })
+ *
+ * @param   {object} backend
+ * @param   {Transaction[]} rows       The project's `transactions` rows
+ * @param   {Array} lockEvents         From scanLockHistory(), [] without a lock
+ * @param   {string} [receiveAddress]  The project's receive_address
+ * @returns {Promise<{
+ *   missing: Array<{ txHash, type, amount }>,
+ *   issues:  Array<{ txHash, type, problem: string }>,
+ *   fundedAmount: string,
+ * }>}
+ *   missing: on chain but not recorded — rows to add. issues: rows the chain
+ *   doesn't back. fundedAmount: chain truth for projects.funded_amount.
+ */
+export async function reconcileProject(backend, { rows, lockEvents, receiveAddress }) {
+    const receiveBytecode = receiveAddress ? backend.lockingBytecodeOf(receiveAddress) : null
+    const byKey = new Map(lockEvents.map(e => [`${e.txHash}:${e.type}`, e]))
+    const seen = new Set()
+    const issues = []
+    let funded = lockEvents.filter(e => e.type === 'funding').reduce((sum, e) => sum + e.sats, 0n)
+
+    for (const row of rows) {
+        const key = `${row.tx_hash}:${row.type}`
+        const flag = (problem) => issues.push({ txHash: row.tx_hash, type: row.type, problem })
+
+        if (seen.has(key)) {
+            flag('recorded more than once')
+            continue
+        }
+        seen.add(key)
+
+        const event = byKey.get(key)
+        if (event) {
+            if (event.sats !== bchToSats(row.amount)) flag(`recorded ${row.amount} BCH, chain says ${satsToBch(event.sats)}`)
+            continue
+        }
+        const retyped = lockEvents.find(e => e.txHash === row.tx_hash)
+        if (retyped) {
+            flag(`recorded as ${row.type}, chain says ${retyped.type}`)
+            seen.add(`${retyped.txHash}:${retyped.type}`)
+            continue
+        }
+
+        const tx = await backend.getTransaction(row.tx_hash)
+        if (!tx) {
+            flag('not found on chain')
+            continue
+        }
+        if (row.type !== 'funding') continue
+
+        const paid = receiveBytecode ? sumTo(tx.outputs, receiveBytecode) : 0n
+        if (paid === 0n) {
+            flag("doesn't pay the project's lock or receive address")
+            continue
+        }
+        if (paid !== bchToSats(row.amount)) flag(`recorded ${row.amount} BCH, chain says ${satsToBch(paid)}`)
+        funded += paid
+    }
+
+    const missing = lockEvents
+        .filter(e => !seen.has(`${e.txHash}:${e.type}`))
+        .map(e => ({ txHash: e.txHash, type: e.type, amount: satsToBch(e.sats) }))
+
+    return { missing, issues, fundedAmount: satsToBch(funded) }
+}
@@ -8,6 +8,14 @@
 --   4. Done — all tables, constraints, policies, and functions are created.
 --
 -- Run this in ONE GO. It is fully idempotent (safe to run multiple times).
+--
+-- Everyone can read everything. Writes are tied to the wallet session
+-- (src/lib/db/auth.js): auth.uid() is the signed-in wallet's users.id, so
+-- only a project's creator changes the project and its milestones, and
+-- users only write votes and delegations as themselves. Rows that need
+-- checking beyond that (direct votes, transactions) are written by edge
+-- functions with the service role. supabase/tests/rls.test.sql checks
+-- the policies (npm run test:rls).
 -- ═══════════════════════════════════════════════════════════════════════════
 
 -- Enable UUID generation (already enabled on Supabase by default)
@@ -17,6 +25,9 @@ CREATE EXTENSION IF NOT EXISTS "pgcrypto";
 -- ─────────────────────────────────────────────────────────────────────────────
 -- TABLE: users
 -- Identity is the BCH wallet address — no email/password needed.
+-- Rows are created by the auth-verify edge function once the wallet has
+-- signed a sign-in challenge; users.id is the `sub` of the session JWT, so
+-- auth.uid() is the signed-in user's id.
 -- ─────────────────────────────────────────────────────────────────────────────
 CREATE TABLE IF NOT EXISTS users (
     id             UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -33,9 +44,24 @@ CREATE POLICY "users_public_read"
     ON users FOR SELECT
     USING (true);
 
-CREATE POLICY "users_public_insert"
-    ON users FOR INSERT
-    WITH CHECK (true);
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- TABLE: auth_challenges
+-- Single-use sign-in nonces issued by the auth-challenge edge function and
+-- burned by auth-verify. RLS on with no policies: only the service role
+-- (the edge functions) can read or write them.
+-- ─────────────────────────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS auth_challenges (
+    nonce          UUID        PRIMARY KEY,
+    wallet_address TEXT        NOT NULL,
+    issued_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+    expires_at     TIMESTAMPTZ NOT NULL,
+    used_at        TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_challenges_expires_at ON auth_challenges(expires_at);
+
+ALTER TABLE auth_challenges ENABLE ROW LEVEL SECURITY;
 
 
 -- ─────────────────────────────────────────────────────────────────────────────
@@ -50,30 +76,96 @@ CREATE TABLE IF NOT EXISTS projects (
     funded_amount  NUMERIC(18, 8) NOT NULL DEFAULT 0 CHECK (funded_amount >= 0),
     status         TEXT        NOT NULL DEFAULT 'active'
                                CHECK (status IN ('active', 'completed', 'cancelled')),
+    -- MilestoneLock constructor args (hex pubkeys). The P2SH32 contract
+    -- address is derived from these plus created_at (refund deadline).
+    owner_pubkey   TEXT,
+    funder_pubkey  TEXT,
+    -- GOV CashToken category (genesis txid), one per project. Its minting
+    -- baton and reserve live in the project's GovMinter covenant.
+    token_category TEXT UNIQUE,
+    -- Where funding is paid (the MilestoneLock address, or the creator's
+    -- wallet while the lock has no pubkeys) and where releases pay (the
+    -- creator's wallet). Derived by the create-project edge function from
+    -- the pubkeys, the creator's wallet and created_at, which it sets too;
+    -- record-transaction checks funding against the same derivation.
+    receive_address TEXT,
+    payout_address  TEXT,
+    -- Governance rules, picked by the creator (src/lib/governance.js):
+    -- YES must exceed approval_threshold % of the cast GOV, quorum_percent %
+    -- of circulating GOV must vote, votes may or may not lock the GOV, and
+    -- in 'quadratic' mode each voter weighs the square root of their GOV
+    approval_threshold      NUMERIC(5, 2) NOT NULL DEFAULT 50
+                            CHECK (approval_threshold >= 50 AND approval_threshold < 100),
+    quorum_percent          NUMERIC(5, 2) NOT NULL DEFAULT 20
+                            CHECK (quorum_percent > 0 AND quorum_percent <= 100),
+    voting_duration_seconds INTEGER NOT NULL DEFAULT 259200
+                            CHECK (voting_duration_seconds BETWEEN 3600 AND 2592000),
+    tokens_consumed         BOOLEAN NOT NULL DEFAULT true,
+    voting_mode             TEXT NOT NULL DEFAULT 'token'
+                            CHECK (voting_mode IN ('token', 'quadratic')),
     created_at     TIMESTAMPTZ NOT NULL DEFAULT now()
 );
 
+-- Existing databases: add the contract columns in place
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS owner_pubkey  TEXT;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS funder_pubkey TEXT;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS token_category TEXT UNIQUE;
+-- Projects created before these columns keep NULL and were funded at the
+-- platform address (PROJECT_RECEIVE_ADDRESS in record-transaction)
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS receive_address TEXT;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS payout_address  TEXT;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS approval_threshold NUMERIC(5, 2) NOT NULL DEFAULT 50
+    CHECK (approval_threshold >= 50 AND approval_threshold < 100);
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS quorum_percent NUMERIC(5, 2) NOT NULL DEFAULT 20
+    CHECK (quorum_percent > 0 AND quorum_percent <= 100);
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS voting_duration_seconds INTEGER NOT NULL DEFAULT 259200
+    CHECK (voting_duration_seconds BETWEEN 3600 AND 2592000);
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS tokens_consumed BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS voting_mode TEXT NOT NULL DEFAULT 'token'
+    CHECK (voting_mode IN ('token', 'quadratic'));
+
 CREATE INDEX IF NOT EXISTS idx_projects_creator_id ON projects(creator_id);
 CREATE INDEX IF NOT EXISTS idx_projects_status     ON projects(status);
 CREATE INDEX IF NOT EXISTS idx_projects_created_at ON projects(created_at DESC);
 
 ALTER TABLE projects ENABLE ROW LEVEL SECURITY;
 
-DROP POLICY IF EXISTS "projects_public_read"   ON projects;
-DROP POLICY IF EXISTS "projects_public_insert" ON projects;
-DROP POLICY IF EXISTS "projects_public_update" ON projects;
+DROP POLICY IF EXISTS "projects_public_read"    ON projects;
+DROP POLICY IF EXISTS "projects_public_insert"  ON projects;
+DROP POLICY IF EXISTS "projects_public_update"  ON projects;
+DROP POLICY IF EXISTS "projects_creator_insert" ON projects;
+DROP POLICY IF EXISTS "projects_creator_update" ON projects;
 
 CREATE POLICY "projects_public_read"
     ON projects FOR SELECT
     USING (true);
 
-CREATE POLICY "projects_public_insert"
-    ON projects FOR INSERT
-    WITH CHECK (true);
-
-CREATE POLICY "projects_public_update"
-    ON projects FOR UPDATE
-    USING (true);
+-- No INSERT policy: projects are created by the create-project edge
+-- function for the signed-in wallet, so created_at and the receive /
+-- payout addresses never come from the client
+
+CREATE POLICY "projects_creator_update"
+    ON projects FOR UPDATE TO authenticated
+    USING (creator_id = auth.uid())
+    WITH CHECK (creator_id = auth.uid());
+
+-- Not even the creator changes funded_amount (record_transaction() does),
+-- the contract keys, the receive / payout addresses or the governance rules
+-- once the project exists. token_category is set once by the
+-- set-token-category edge function, after it finds the category's minting
+-- baton in the project's GovMinter
+REVOKE UPDATE ON projects FROM anon, authenticated;
+GRANT  UPDATE (title, description, status) ON projects TO authenticated;
+
+-- Whether the signed-in user created the project; used by the milestone
+-- and snapshot policies
+CREATE OR REPLACE FUNCTION is_project_creator(p_project_id UUID)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT EXISTS (SELECT 1 FROM projects WHERE id = p_project_id AND creator_id = auth.uid());
+$$;
 
 
 -- ─────────────────────────────────────────────────────────────────────────────
@@ -87,35 +179,113 @@ CREATE TABLE IF NOT EXISTS milestones (
     amount_allocated NUMERIC(18, 8) NOT NULL CHECK (amount_allocated > 0),
     status           TEXT        NOT NULL DEFAULT 'pending'
                                  CHECK (status IN ('pending', 'voting', 'approved', 'released', 'rejected')),
+    -- Block height at which GOV balances were snapshotted (voting opened)
+    snapshot_height  INTEGER,
+    -- Circulating GOV supply at the snapshot — the base of the quorum
+    snapshot_supply  BIGINT,
+    -- Voting window, set when the creator opens voting
+    voting_opens_at  TIMESTAMPTZ,
+    voting_closes_at TIMESTAMPTZ,
     created_at       TIMESTAMPTZ NOT NULL DEFAULT now()
 );
 
+-- Existing databases: add the voting columns in place
+ALTER TABLE milestones ADD COLUMN IF NOT EXISTS snapshot_height  INTEGER;
+ALTER TABLE milestones ADD COLUMN IF NOT EXISTS snapshot_supply  BIGINT;
+ALTER TABLE milestones ADD COLUMN IF NOT EXISTS voting_opens_at  TIMESTAMPTZ;
+ALTER TABLE milestones ADD COLUMN IF NOT EXISTS voting_closes_at TIMESTAMPTZ;
+
 CREATE INDEX IF NOT EXISTS idx_milestones_project_id ON milestones(project_id);
 CREATE INDEX IF NOT EXISTS idx_milestones_status     ON milestones(status);
 
 ALTER TABLE milestones ENABLE ROW LEVEL SECURITY;
 
-DROP POLICY IF EXISTS "milestones_public_read"   ON milestones;
-DROP POLICY IF EXISTS "milestones_public_insert" ON milestones;
-DROP POLICY IF EXISTS "milestones_public_update" ON milestones;
+DROP POLICY IF EXISTS "milestones_public_read"    ON milestones;
+DROP POLICY IF EXISTS "milestones_public_insert"  ON milestones;
+DROP POLICY IF EXISTS "milestones_public_update"  ON milestones;
+DROP POLICY IF EXISTS "milestones_creator_insert" ON milestones;
+DROP POLICY IF EXISTS "milestones_creator_update" ON milestones;
 
 CREATE POLICY "milestones_public_read"
     ON milestones FOR SELECT
     USING (true);
 
-CREATE POLICY "milestones_public_insert"
-    ON milestones FOR INSERT
-    WITH CHECK (true);
+CREATE POLICY "milestones_creator_insert"
+    ON milestones FOR INSERT TO authenticated
+    WITH CHECK (
+        is_project_creator(project_id)
+        AND status = 'pending'
+        AND snapshot_height IS NULL
+        AND snapshot_supply IS NULL
+        AND voting_opens_at IS NULL
+        AND voting_closes_at IS NULL
+    );
+
+CREATE POLICY "milestones_creator_update"
+    ON milestones FOR UPDATE TO authenticated
+    USING (is_project_creator(project_id))
+    WITH CHECK (is_project_creator(project_id));
+
+REVOKE UPDATE ON milestones FROM anon, authenticated;
+-- snapshot_height and snapshot_supply are left to store_voting_snapshot()
+GRANT  UPDATE (title, description, status, voting_opens_at, voting_closes_at)
+    ON milestones TO authenticated;
+
+-- What the creator may do to a milestone: open voting on a pending one
+-- (snapshot taken, a 1 hour – 30 day window starting now) and mark an
+-- approved one released. Approval and rejection only come from
+-- settle_milestone_voting(), which tallies the votes itself. The
+-- snapshot and the window are fixed once set.
+CREATE OR REPLACE FUNCTION milestones_check_change()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    -- The service role and SECURITY DEFINER functions aren't limited
+    IF current_user NOT IN ('anon', 'authenticated') THEN
+        RETURN NEW;
+    END IF;
+    IF OLD.snapshot_height IS NOT NULL
+       AND (NEW.snapshot_height IS DISTINCT FROM OLD.snapshot_height
+            OR NEW.snapshot_supply IS DISTINCT FROM OLD.snapshot_supply) THEN
+        RAISE EXCEPTION 'The voting snapshot of a milestone can''t be changed'
+            USING ERRCODE = 'check_violation';
+    END IF;
+    IF OLD.voting_opens_at IS NOT NULL
+       AND (NEW.voting_opens_at IS DISTINCT FROM OLD.voting_opens_at
+            OR NEW.voting_closes_at IS DISTINCT FROM OLD.voting_closes_at) THEN
+        RAISE EXCEPTION 'The voting window of a milestone can''t be changed'
+            USING ERRCODE = 'check_violation';
+    END IF;
+    IF NEW.status IS DISTINCT FROM OLD.status AND NOT (
+           (OLD.status = 'pending' AND NEW.status = 'voting'
+            AND NEW.snapshot_height IS NOT NULL
+            AND NEW.voting_opens_at BETWEEN now() - interval '5 minutes' AND now() + interval '5 minutes'
+            AND NEW.voting_closes_at - NEW.voting_opens_at BETWEEN interval '1 hour' AND interval '30 days')
+        OR (OLD.status = 'approved' AND NEW.status = 'released')
+    ) THEN
+        RAISE EXCEPTION 'A milestone can''t be moved from % to % by its creator', OLD.status, NEW.status
+            USING ERRCODE = 'check_violation';
+    END IF;
+    RETURN NEW;
+END;
+$$;
 
-CREATE POLICY "milestones_public_update"
-    ON milestones FOR UPDATE
-    USING (true);
+DROP TRIGGER IF EXISTS milestones_creator_changes ON milestones;
+CREATE TRIGGER milestones_creator_changes
+    BEFORE UPDATE ON milestones
+    FOR EACH ROW EXECUTE FUNCTION milestones_check_change();
 
 
 -- ─────────────────────────────────────────────────────────────────────────────
 -- TABLE: votes
--- UNIQUE(milestone_id, voter_id) ensures one vote per user per milestone.
+-- UNIQUE(milestone_id, voter_id) ensures one vote per user per milestone;
+-- changing it while voting is open updates the row (history: vote_history).
 -- voting_power supports token-weighted governance (GOV tokens from Week 3).
+-- Votes are GOV transfers into each milestone's YES/NO VoteBox contract;
+-- rows here cache them, keyed by the vote transaction. A direct vote also
+-- carries the voter's wallet signature and is only written by the cast-vote
+-- edge function (supabase/functions/cast-vote), which checks it.
 -- ─────────────────────────────────────────────────────────────────────────────
 CREATE TABLE IF NOT EXISTS votes (
     id           UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -123,11 +293,26 @@ CREATE TABLE IF NOT EXISTS votes (
     voter_id     UUID        NOT NULL REFERENCES users(id)      ON DELETE CASCADE,
     vote         BOOLEAN     NOT NULL,   -- TRUE = YES, FALSE = NO
     voting_power INTEGER     NOT NULL DEFAULT 1 CHECK (voting_power >= 1),
+    tx_hash      TEXT,
+    -- Set when a delegate cast this vote for the voter (see delegations)
+    delegated_by UUID        REFERENCES users(id) ON DELETE CASCADE,
     created_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at   TIMESTAMPTZ NOT NULL DEFAULT now(),   -- when the current choice was made
+    -- BCH signed message (base64) over milestone, choice, weight and signed_at
+    signature    TEXT,
+    signed_at    TIMESTAMPTZ,
 
     CONSTRAINT votes_unique_per_user_milestone UNIQUE (milestone_id, voter_id)
 );
 
+-- Existing databases: add the vote transaction, delegation, change and signature columns in place
+ALTER TABLE votes ADD COLUMN IF NOT EXISTS tx_hash TEXT;
+ALTER TABLE votes ADD COLUMN IF NOT EXISTS delegated_by UUID REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE votes ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT now();
+ALTER TABLE votes ADD COLUMN IF NOT EXISTS signature TEXT;
+ALTER TABLE votes ADD COLUMN IF NOT EXISTS signed_at TIMESTAMPTZ;
+
+CREATE UNIQUE INDEX IF NOT EXISTS votes_unique_tx_hash ON votes(tx_hash);
 CREATE INDEX IF NOT EXISTS idx_votes_milestone_id ON votes(milestone_id);
 CREATE INDEX IF NOT EXISTS idx_votes_voter_id     ON votes(voter_id);
 
@@ -135,31 +320,383 @@ ALTER TABLE votes ENABLE ROW LEVEL SECURITY;
 
 DROP POLICY IF EXISTS "votes_public_read"   ON votes;
 DROP POLICY IF EXISTS "votes_public_insert" ON votes;
+DROP POLICY IF EXISTS "votes_override_delegated" ON votes;
+DROP POLICY IF EXISTS "votes_public_change" ON votes;
 
 CREATE POLICY "votes_public_read"
     ON votes FOR SELECT
     USING (true);
 
-CREATE POLICY "votes_public_insert"
-    ON votes FOR INSERT
-    WITH CHECK (true);
+-- No public insert or update: direct votes go through the cast-vote edge
+-- function (service role), delegated ones through the policies after the
+-- delegations table below.
+
+
+-- Votes only land inside the milestone's voting window, whatever the client says
+CREATE OR REPLACE FUNCTION votes_check_window()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    m milestones%ROWTYPE;
+BEGIN
+    SELECT * INTO m FROM milestones WHERE id = NEW.milestone_id;
+    IF m.status <> 'voting'
+       OR m.voting_opens_at IS NULL
+       OR now() <  m.voting_opens_at
+       OR now() >= m.voting_closes_at THEN
+        RAISE EXCEPTION 'Voting on this milestone is not open'
+            USING ERRCODE = 'check_violation';
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS votes_within_window ON votes;
+CREATE TRIGGER votes_within_window
+    BEFORE INSERT OR UPDATE ON votes
+    FOR EACH ROW EXECUTE FUNCTION votes_check_window();
+
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- POSTGRES FUNCTION: settle_milestone_voting
+--
+-- Used by finalizeMilestoneVoting() in src/lib/db/votes.js. Once a
+-- milestone's voting window has closed, tallies its cached votes under the
+-- project's rules — the arithmetic of evaluateVotes() in
+-- src/lib/governance.js — and sets it to `approved` or `rejected`.
+-- Clients can't set either status themselves (milestones_check_change), so
+-- anyone may call this; before the window closes it changes nothing.
+-- ─────────────────────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION settle_milestone_voting(p_milestone_id UUID)
+RETURNS text
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    m            milestones%ROWTYPE;
+    p            projects%ROWTYPE;
+    total_tokens BIGINT;
+    yes_weight   DOUBLE PRECISION;
+    no_weight    DOUBLE PRECISION;
+    final_status TEXT;
+BEGIN
+    SELECT * INTO m FROM milestones WHERE id = p_milestone_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Milestone % not found', p_milestone_id
+            USING ERRCODE = 'no_data_found';
+    END IF;
+    IF m.status <> 'voting' OR now() < m.voting_closes_at THEN
+        RETURN m.status;
+    END IF;
+
+    SELECT * INTO p FROM projects WHERE id = m.project_id;
+
+    -- One row per voter; in quadratic mode each weighs the root of its GOV
+    SELECT COALESCE(SUM(voting_power), 0),
+           COALESCE(SUM(CASE WHEN p.voting_mode = 'quadratic' THEN sqrt(voting_power) ELSE voting_power END)
+                    FILTER (WHERE vote), 0),
+           COALESCE(SUM(CASE WHEN p.voting_mode = 'quadratic' THEN sqrt(voting_power) ELSE voting_power END)
+                    FILTER (WHERE NOT vote), 0)
+    INTO   total_tokens, yes_weight, no_weight
+    FROM   votes
+    WHERE  milestone_id = p_milestone_id;
+
+    -- Quorum is counted in GOV; without a snapshot supply nothing passes
+    final_status := CASE
+        WHEN m.snapshot_supply IS NOT NULL
+             AND total_tokens >= GREATEST(1, ceil(m.snapshot_supply * p.quorum_percent / 100))
+             AND yes_weight * 100 > p.approval_threshold * (yes_weight + no_weight)
+        THEN 'approved'
+        ELSE 'rejected'
+    END;
+
+    UPDATE milestones SET status = final_status WHERE id = p_milestone_id;
+    RETURN final_status;
+END;
+$$;
+
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- TABLE: vote_history
+-- Every choice a vote row held before it was changed, for auditing.
+-- Written only by the trigger below; clients can read it, never edit it.
+-- ─────────────────────────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS vote_history (
+    id           UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+    vote_id      UUID        NOT NULL REFERENCES votes(id)      ON DELETE CASCADE,
+    milestone_id UUID        NOT NULL REFERENCES milestones(id) ON DELETE CASCADE,
+    voter_id     UUID        NOT NULL REFERENCES users(id)      ON DELETE CASCADE,
+    vote         BOOLEAN     NOT NULL,
+    voting_power INTEGER     NOT NULL,
+    tx_hash      TEXT,
+    delegated_by UUID        REFERENCES users(id) ON DELETE CASCADE,
+    signature    TEXT,
+    cast_at      TIMESTAMPTZ NOT NULL,               -- when the old choice was made
+    replaced_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE vote_history ADD COLUMN IF NOT EXISTS signature TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_vote_history_milestone_id ON vote_history(milestone_id);
+CREATE INDEX IF NOT EXISTS idx_vote_history_voter_id     ON vote_history(voter_id);
+
+ALTER TABLE vote_history ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "vote_history_public_read" ON vote_history;
+
+CREATE POLICY "vote_history_public_read"
+    ON vote_history FOR SELECT
+    USING (true);
+
+-- Runs as the table owner, so the history is written even though clients
+-- have no INSERT policy on it
+CREATE OR REPLACE FUNCTION votes_log_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    INSERT INTO vote_history (vote_id, milestone_id, voter_id, vote, voting_power, tx_hash, delegated_by, signature, cast_at)
+    VALUES (OLD.id, OLD.milestone_id, OLD.voter_id, OLD.vote, OLD.voting_power, OLD.tx_hash, OLD.delegated_by, OLD.signature, OLD.updated_at);
+    NEW.updated_at := now();
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS votes_keep_history ON votes;
+CREATE TRIGGER votes_keep_history
+    BEFORE UPDATE ON votes
+    FOR EACH ROW EXECUTE FUNCTION votes_log_change();
+
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- TABLE: voting_snapshots
+-- GOV balance of each registered wallet when a milestone entered `voting`
+-- (at milestones.snapshot_height). Votes are weighted by these balances.
+-- ─────────────────────────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS voting_snapshots (
+    milestone_id UUID   NOT NULL REFERENCES milestones(id) ON DELETE CASCADE,
+    voter_id     UUID   NOT NULL REFERENCES users(id)      ON DELETE CASCADE,
+    balance      BIGINT NOT NULL CHECK (balance > 0),
+
+    PRIMARY KEY (milestone_id, voter_id)
+);
+
+ALTER TABLE voting_snapshots ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "voting_snapshots_public_read"    ON voting_snapshots;
+DROP POLICY IF EXISTS "voting_snapshots_public_insert"  ON voting_snapshots;
+DROP POLICY IF EXISTS "voting_snapshots_creator_insert" ON voting_snapshots;
+
+CREATE POLICY "voting_snapshots_public_read"
+    ON voting_snapshots FOR SELECT
+    USING (true);
+
+-- No INSERT/UPDATE policy: only the service role writes balances, through
+-- store_voting_snapshot() below, after reading them from the chain
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- POSTGRES FUNCTION: store_voting_snapshot
+--
+-- Used by the take-snapshot edge function (supabase/functions), which reads
+-- the balances from the chain. Inserts them and sets the milestone's
+-- snapshot_height and snapshot_supply in the same transaction.
+-- Idempotent: a milestone that already has a snapshot is returned as it is.
+-- p_balances: [{ "voter_id": uuid, "balance": n }], only holders.
+-- Service role only.
+-- ─────────────────────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION store_voting_snapshot(p_milestone_id UUID, p_height INTEGER, p_supply BIGINT, p_balances JSONB)
+RETURNS milestones
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    m milestones%ROWTYPE;
+BEGIN
+    SELECT * INTO m FROM milestones WHERE id = p_milestone_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Milestone % not found', p_milestone_id USING ERRCODE = 'no_data_found';
+    END IF;
+    IF m.snapshot_height IS NOT NULL THEN
+        RETURN m;
+    END IF;
+
+    DELETE FROM voting_snapshots WHERE milestone_id = p_milestone_id;
+    INSERT INTO voting_snapshots (milestone_id, voter_id, balance)
+    SELECT p_milestone_id, b.voter_id, b.balance
+    FROM   jsonb_to_recordset(p_balances) AS b(voter_id UUID, balance BIGINT);
+
+    UPDATE milestones
+    SET    snapshot_height = p_height, snapshot_supply = p_supply
+    WHERE  id = p_milestone_id
+    RETURNING * INTO m;
+    RETURN m;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION store_voting_snapshot(UUID, INTEGER, BIGINT, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT  EXECUTE ON FUNCTION store_voting_snapshot(UUID, INTEGER, BIGINT, JSONB) TO service_role;
+
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- TABLE: delegations
+-- A user hands their voting power to another wallet address, for one project
+-- or (project_id NULL) for all of them. Revoking sets revoked_at; at most one
+-- active delegation per delegator and scope.
+-- ─────────────────────────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS delegations (
+    id               UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+    delegator_id     UUID        NOT NULL REFERENCES users(id)    ON DELETE CASCADE,
+    delegate_address TEXT        NOT NULL,
+    project_id       UUID                 REFERENCES projects(id) ON DELETE CASCADE,
+    created_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+    revoked_at       TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS delegations_one_active
+    ON delegations(delegator_id, COALESCE(project_id, '00000000-0000-0000-0000-000000000000'::uuid))
+    WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_delegations_delegate
+    ON delegations(delegate_address)
+    WHERE revoked_at IS NULL;
+
+ALTER TABLE delegations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "delegations_public_read"  ON delegations;
+DROP POLICY IF EXISTS "delegations_public_insert" ON delegations;
+DROP POLICY IF EXISTS "delegations_public_update" ON delegations;
+DROP POLICY IF EXISTS "delegations_own_insert"    ON delegations;
+DROP POLICY IF EXISTS "delegations_own_update"    ON delegations;
+
+CREATE POLICY "delegations_public_read"
+    ON delegations FOR SELECT
+    USING (true);
+
+-- Users delegate and revoke only their own voting power
+CREATE POLICY "delegations_own_insert"
+    ON delegations FOR INSERT TO authenticated
+    WITH CHECK (delegator_id = auth.uid() AND revoked_at IS NULL);
+
+CREATE POLICY "delegations_own_update"
+    ON delegations FOR UPDATE TO authenticated
+    USING (delegator_id = auth.uid())
+    WITH CHECK (delegator_id = auth.uid());
+
+-- Revoking is the only change; a delegation is never re-pointed
+REVOKE UPDATE ON delegations FROM anon, authenticated;
+GRANT  UPDATE (revoked_at) ON delegations TO authenticated;
+
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- POSTGRES FUNCTION: votes_delegation_valid
+--
+-- Delegated votes carry no signature of their own; they follow the
+-- delegate's signed vote. A delegated row is accepted only when:
+--   • the delegate has a signed direct vote on the same side,
+--   • the delegator's active delegation for this project (or a global one
+--     not overridden by a per-project delegation) points at the delegate,
+--   • its weight is at most the delegator's snapshot balance.
+-- Used by the delegated-vote policies on votes (castDelegatedVotes()).
+-- ─────────────────────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION votes_delegation_valid(
+    p_milestone_id UUID, p_voter_id UUID, p_delegate_id UUID, p_vote BOOLEAN, p_voting_power INTEGER
+)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM votes v
+        WHERE  v.milestone_id = p_milestone_id
+        AND    v.voter_id     = p_delegate_id
+        AND    v.delegated_by IS NULL
+        AND    v.signature    IS NOT NULL
+        AND    v.vote         = p_vote
+    )
+    AND EXISTS (
+        SELECT 1
+        FROM   delegations d
+        JOIN   users       u ON u.wallet_address = d.delegate_address
+        JOIN   milestones  m ON m.id = p_milestone_id
+        WHERE  d.delegator_id = p_voter_id
+        AND    u.id           = p_delegate_id
+        AND    d.revoked_at   IS NULL
+        AND    (d.project_id = m.project_id
+                OR (d.project_id IS NULL AND NOT EXISTS (
+                    SELECT 1 FROM delegations o
+                    WHERE  o.delegator_id = p_voter_id
+                    AND    o.project_id   = m.project_id
+                    AND    o.revoked_at   IS NULL)))
+    )
+    AND p_voting_power <= COALESCE((
+        SELECT balance FROM voting_snapshots s
+        WHERE  s.milestone_id = p_milestone_id AND s.voter_id = p_voter_id
+    ), 0);
+$$;
+
+DROP POLICY IF EXISTS "votes_delegated_insert" ON votes;
+DROP POLICY IF EXISTS "votes_delegated_follow" ON votes;
+
+-- Only the signed-in delegate writes the votes it casts for its delegators
+CREATE POLICY "votes_delegated_insert"
+    ON votes FOR INSERT TO authenticated
+    WITH CHECK (
+        delegated_by = auth.uid()
+        AND votes_delegation_valid(milestone_id, voter_id, delegated_by, vote, voting_power)
+    );
+
+-- A delegated vote switching sides after its delegate changed their vote
+CREATE POLICY "votes_delegated_follow"
+    ON votes FOR UPDATE TO authenticated
+    USING (delegated_by = auth.uid())
+    WITH CHECK (
+        delegated_by = auth.uid()
+        AND votes_delegation_valid(milestone_id, voter_id, delegated_by, vote, voting_power)
+    );
 
 
 -- ─────────────────────────────────────────────────────────────────────────────
 -- TABLE: transactions
 -- Records every on-chain BCH transaction for audit trail.
+-- Written only through record_transaction() below, by the
+-- record-transaction edge function. A tx is recorded once per type, so a
+-- retried or double-clicked recording never counts funding twice.
+-- status / block_height / confirmations are kept up to date by the
+-- transaction watcher (scripts/watch-transactions.js).
 -- ─────────────────────────────────────────────────────────────────────────────
 CREATE TABLE IF NOT EXISTS transactions (
-    id         UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
-    project_id UUID        NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
-    tx_hash    TEXT        NOT NULL,
-    amount     NUMERIC(18, 8) NOT NULL CHECK (amount > 0),
-    type       TEXT        NOT NULL
-               CHECK (type IN ('funding', 'release', 'refund')),
-    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    id            UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+    project_id    UUID        NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    tx_hash       TEXT        NOT NULL,
+    amount        NUMERIC(18, 8) NOT NULL CHECK (amount > 0),
+    type          TEXT        NOT NULL
+                  CHECK (type IN ('funding', 'release', 'refund')),
+    -- 'mempool' until mined; 'dropped' once the chain no longer knows it
+    status        TEXT        NOT NULL DEFAULT 'mempool'
+                  CHECK (status IN ('mempool', 'confirmed', 'dropped')),
+    block_height  INTEGER,
+    confirmations INTEGER     NOT NULL DEFAULT 0 CHECK (confirmations >= 0),
+    created_at    TIMESTAMPTZ NOT NULL DEFAULT now()
 );
 
+-- Existing databases: add the confirmation columns in place
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'mempool'
+    CHECK (status IN ('mempool', 'confirmed', 'dropped'));
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS block_height  INTEGER;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS confirmations INTEGER NOT NULL DEFAULT 0 CHECK (confirmations >= 0);
+
+-- Fails on a database that already holds duplicates: find them with
+-- `npm run reconcile -- --dry-run` ("recorded more than once"), delete the
+-- extra rows, then run the reconciler to rewrite funded_amount.
+CREATE UNIQUE INDEX IF NOT EXISTS transactions_unique_tx_type ON transactions(tx_hash, type);
 CREATE INDEX IF NOT EXISTS idx_transactions_project_id ON transactions(project_id);
+CREATE INDEX IF NOT EXISTS idx_transactions_status     ON transactions(status);
 CREATE INDEX IF NOT EXISTS idx_transactions_type       ON transactions(type);
 CREATE INDEX IF NOT EXISTS idx_transactions_created_at ON transactions(created_at DESC);
 
@@ -172,17 +709,14 @@ CREATE POLICY "transactions_public_read"
     ON transactions FOR SELECT
     USING (true);
 
-CREATE POLICY "transactions_public_insert"
-    ON transactions FOR INSERT
-    WITH CHECK (true);
-
 
 -- ─────────────────────────────────────────────────────────────────────────────
 -- POSTGRES FUNCTION: increment_funded_amount
 --
--- Used by updateFundedAmount() in src/lib/db/projects.js.
+-- Used by record_transaction() below.
 -- This is an ATOMIC operation — safe under concurrent funding.
 -- Two users funding at the exact same moment will NOT lose data.
+-- Service role only: clients can't raise a project's total.
 -- ─────────────────────────────────────────────────────────────────────────────
 CREATE OR REPLACE FUNCTION increment_funded_amount(project_id UUID, amount NUMERIC)
 RETURNS void
@@ -194,6 +728,95 @@ AS $$
     WHERE  id = project_id;
 $$;
 
+REVOKE EXECUTE ON FUNCTION increment_funded_amount(UUID, NUMERIC) FROM PUBLIC, anon, authenticated;
+GRANT  EXECUTE ON FUNCTION increment_funded_amount(UUID, NUMERIC) TO service_role;
+
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- POSTGRES FUNCTION: record_transaction
+--
+-- Used by the record-transaction edge function (supabase/functions), the
+-- only writer of `transactions`. Inserts the row and, for funding, raises
+-- the project's funded_amount in the same transaction.
+-- Idempotent: a (tx_hash, type) already recorded is returned as it is,
+-- without touching funded_amount again.
+-- Service role only.
+-- ─────────────────────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION record_transaction(p_project_id UUID, p_tx_hash TEXT, p_amount NUMERIC, p_type TEXT)
+RETURNS transactions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    t transactions%ROWTYPE;
+BEGIN
+    INSERT INTO transactions (project_id, tx_hash, amount, type)
+    VALUES (p_project_id, p_tx_hash, p_amount, p_type)
+    ON CONFLICT (tx_hash, type) DO NOTHING
+    RETURNING * INTO t;
+
+    IF NOT FOUND THEN
+        SELECT * INTO t FROM transactions WHERE tx_hash = p_tx_hash AND type = p_type;
+        RETURN t;
+    END IF;
+
+    IF p_type = 'funding' THEN
+        PERFORM increment_funded_amount(p_project_id, p_amount);
+    END IF;
+    RETURN t;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION record_transaction(UUID, TEXT, NUMERIC, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT  EXECUTE ON FUNCTION record_transaction(UUID, TEXT, NUMERIC, TEXT) TO service_role;
+
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- POSTGRES FUNCTION: set_transaction_status
+--
+-- Used by the transaction watcher to store what the chain says about a
+-- recorded tx. A funding tx that drops out of the chain no longer counts:
+-- its amount comes off the project's funded_amount, once. If it shows up
+-- again (pending or confirmed), the amount is added back, once.
+-- Service role only.
+-- ─────────────────────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION set_transaction_status(p_id UUID, p_status TEXT, p_block_height INTEGER, p_confirmations INTEGER)
+RETURNS transactions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    old transactions%ROWTYPE;
+    t   transactions%ROWTYPE;
+BEGIN
+    SELECT * INTO old FROM transactions WHERE id = p_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Transaction % not found', p_id USING ERRCODE = 'no_data_found';
+    END IF;
+
+    UPDATE transactions
+    SET    status = p_status, block_height = p_block_height, confirmations = p_confirmations
+    WHERE  id = p_id
+    RETURNING * INTO t;
+
+    IF old.type = 'funding' AND old.status <> 'dropped' AND p_status = 'dropped' THEN
+        UPDATE projects
+        SET    funded_amount = GREATEST(funded_amount - old.amount, 0)
+        WHERE  id = old.project_id;
+    ELSIF old.type = 'funding' AND old.status = 'dropped' AND p_status <> 'dropped' THEN
+        UPDATE projects
+        SET    funded_amount = funded_amount + old.amount
+        WHERE  id = old.project_id;
+    END IF;
+    RETURN t;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION set_transaction_status(UUID, TEXT, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT  EXECUTE ON FUNCTION set_transaction_status(UUID, TEXT, INTEGER, INTEGER) TO service_role;
+
 
 -- ─────────────────────────────────────────────────────────────────────────────
 -- POSTGRES VIEW: project_summary
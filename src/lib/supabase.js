@@ -18,6 +18,13 @@
  * The anon key is SAFE to expose in the browser — it is a public key.
  * All actual row-level security is enforced by Supabase's RLS policies.
  * Never put your service_role key in the frontend.
+ *
+ * ── WALLET SESSIONS ──────────────────────────────────────────────────────────
+ * There is no Supabase Auth login. The wallet signs a challenge and the
+ * auth-verify edge function mints a JWT for its users row (db/auth.js).
+ * That token is stored here and sent with every request instead of the anon
+ * key, so RLS policies see the signed-in user as auth.uid(). Without a valid
+ * session requests go out as `anon`.
  */
 
 import { createClient } from '@supabase/supabase-js'
@@ -38,14 +45,57 @@ if (!supabaseConfigured) {
     )
 }
 
+// ── Wallet session ───────────────────────────────────────────────────────────
+
+// localStorage key for the { accessToken, expiresAt, user } of the signed-in wallet
+const SESSION_STORAGE_KEY = 'milestara_wallet_session'
+
+// Treat a token as expired this long before it is, so a request never
+// goes out with one that lapses on the way. 1 minute.
+export const SESSION_EXPIRY_MARGIN_SECONDS = 60
+
+let walletSession = null
+try {
+    walletSession = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY))
+} catch {
+    // No localStorage (tests, SSR) or a corrupt entry — start signed out
+}
+
+/**
+ * getWalletSession()
+ *
+ * The signed-in wallet's session, or null when signed out or expired.
+ *
+ * @returns {{ accessToken: string, expiresAt: number, user: object }|null}
+ */
+export function getWalletSession() {
+    if (!walletSession) return null
+    if (walletSession.expiresAt - SESSION_EXPIRY_MARGIN_SECONDS <= Date.now() / 1000) return null
+    return walletSession
+}
+
+/**
+ * setWalletSession(session)
+ *
+ * Stores the session from auth-verify (persisted across page refreshes),
+ * or clears it when passed null.
+ */
+export function setWalletSession(session) {
+    walletSession = session
+    try {
+        if (session) localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session))
+        else localStorage.removeItem(SESSION_STORAGE_KEY)
+    } catch {
+        // Session just won't survive a refresh
+    }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+
 export const supabase = supabaseConfigured
     ? createClient(supabaseUrl, supabaseKey, {
-        auth: {
-            // Persist sessions in localStorage between page refreshes
-            persistSession: true,
-            autoRefreshToken: true,
-            detectSessionInUrl: true,
-        },
+        // Sent as the Authorization header; null falls back to the anon key
+        accessToken: async () => getWalletSession()?.accessToken ?? null,
         db: {
             // Default schema — change only if you use a custom Postgres schema
             schema: 'public',
@@ -0,0 +1,41 @@
+/**
+ * src/lib/txStatus.js
+ *
+ * Confirmation tracking for `transactions` rows. The transaction watcher
+ * (scripts/watch-transactions.js) turns what the chain says into the row's
+ * status / block_height / confirmations; TransactionsPage shows them.
+ *
+ *   mempool   → broadcast, not mined yet
+ *   confirmed → mined; watched until CONFIRMATIONS_FINAL deep
+ *   dropped   → the chain no longer knows it (evicted or double-spent)
+ */
+
+// A tx this many blocks deep is final enough to stop watching
+export const CONFIRMATIONS_FINAL = 6
+
+/**
+ * statusFromHeight(height, tipHeight)
+ *
+ * @param   {number|null} height     Block the tx was mined in; 0 or less
+ *                                   while in the mempool, null if unknown
+ * @param   {number}      tipHeight  Current chain tip
+ * @returns {{ status: 'mempool'|'confirmed'|'dropped', block_height: number|null, confirmations: number }}
+ */
+export function statusFromHeight(height, tipHeight) {
+    if (height == null) return { status: 'dropped', block_height: null, confirmations: 0 }
+    if (height <= 0) return { status: 'mempool', block_height: null, confirmations: 0 }
+    return { status: 'confirmed', block_height: height, confirmations: Math.max(tipHeight - height + 1, 1) }
+}
+
+/**
+ * isSettled(tx)
+ *
+ * True once the watcher can leave a row alone: dropped, or confirmed
+ * CONFIRMATIONS_FINAL deep.
+ *
+ * @param   {{ status: string, confirmations: number }} tx
+ * @returns {boolean}
+ */
+export function isSettled(tx) {
+    return tx.status === 'dropped' || (tx.status === 'confirmed' && tx.confirmations >= CONFIRMATIONS_FINAL)
+}
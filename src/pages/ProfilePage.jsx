@@ -6,7 +6,7 @@
 import React, { useState, useEffect } from 'react'
 import { Copy, CheckCircle, Wallet, Shield, ExternalLink, LogOut } from 'lucide-react'
 import { createOrLoadWallet, disconnectWallet } from '../services/bchWallet'
-import { getTokenBalance, getLockedAmount } from '../services/milestoneContract'
+import { getTotalTokenBalance, getTotalLockedAmount } from '../services/milestoneContract'
 
 // ── Info row ──────────────────────────────────────────────────────────────────
 function InfoRow({ label, value, mono = false, color = '#94a3b8' }) {
@@ -36,6 +36,7 @@ export default function ProfilePage() {
                 try {
                     const w = await createOrLoadWallet()
                     setAddress(w.cashaddr)
+                    setTokens(await getTotalTokenBalance(w))
                 } catch (e) {
                     console.error(e)
                 } finally {
@@ -43,8 +44,9 @@ export default function ProfilePage() {
                 }
             })()
         }
-        setTokens(getTokenBalance())
-        setLocked(getLockedAmount())
+        getTotalLockedAmount()
+            .then(setLocked)
+            .catch(e => console.error('[ProfilePage] could not read contract balances:', e))
     }, [])
 
     const handleCopy = () => {
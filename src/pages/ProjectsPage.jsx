@@ -6,12 +6,14 @@
 import React, { useState } from 'react'
 import ProjectForm from '../components/ProjectForm'
 import Dashboard from '../components/Dashboard'
+import { getProjectAddresses, getWalletPubkey } from '../services/milestoneContract'
 
 export default function ProjectsPage() {
     const [project, setProject] = useState(null)
 
     const handleProjectCreate = (projectData) => {
-        setProject({ ...projectData, fundedAmount: 0 })
+        // created_at mirrors the projects column — it fixes the contract's refund deadline
+        setProject({ ...projectData, fundedAmount: 0, created_at: new Date().toISOString() })
     }
 
     const handleFund = (amount) => {
@@ -24,11 +26,45 @@ export default function ProjectsPage() {
             milestones: prev.milestones.map(m => {
                 if (m.id !== milestoneId) return m
                 const updatedVotes = { ...m.votes, [voteType]: m.votes[voteType] + 1 }
+                // Once governance voting is opened, only its final tally sets the status
+                if (m.voting_closes_at) return { ...m, votes: updatedVotes }
                 return { ...m, votes: updatedVotes, status: updatedVotes.yes > updatedVotes.no ? 'Approved' : 'Pending' }
             }),
         }))
     }
 
+    // The first wallet connected on a new project becomes its MilestoneLock
+    // owner. In this single-browser demo it is also the funder (refund key),
+    // which only covers plain payments: backers who funded through GovMinter
+    // get their share back by redeeming their GOV, not through the funder.
+    // Funding then goes into that lock and releases pay the owner's wallet.
+    const handleWalletConnect = (wallet) => {
+        setProject(prev => {
+            if (prev.ownerPubkey) return prev
+            const pubkey = getWalletPubkey(wallet)
+            const addresses = getProjectAddresses({
+                ownerPubkey: pubkey,
+                funderPubkey: pubkey,
+                createdAt: prev.created_at,
+                creatorAddress: wallet.cashaddr,
+            })
+            return { ...prev, ownerPubkey: pubkey, funderPubkey: pubkey, ...addresses }
+        })
+    }
+
+    // One GOV token category per project, created by the owner during setup
+    const handleTokenCreated = (tokenCategory) => {
+        setProject(prev => (prev.tokenCategory ? prev : { ...prev, tokenCategory }))
+    }
+
+    // Governance updates a milestone in place: voting window, final result
+    const handleMilestoneUpdate = (milestoneId, changes) => {
+        setProject(prev => ({
+            ...prev,
+            milestones: prev.milestones.map(m => (m.id === milestoneId ? { ...m, ...changes } : m)),
+        }))
+    }
+
     const handleReset = () => setProject(null)
 
     return (
@@ -45,7 +81,7 @@ export default function ProjectsPage() {
 
             {project === null
                 ? <ProjectForm onProjectCreate={handleProjectCreate} />
-                : <Dashboard project={project} onFund={handleFund} onVote={handleVote} onReset={handleReset} />
+                : <Dashboard project={project} onFund={handleFund} onVote={handleVote} onReset={handleReset} onWalletConnect={handleWalletConnect} onTokenCreated={handleTokenCreated} onMilestoneUpdate={handleMilestoneUpdate} />
             }
         </div>
     )
@@ -4,8 +4,9 @@
  */
 
 import React, { useState, useEffect } from 'react'
-import { ArrowUpRight, ArrowDownLeft, RotateCcw, ExternalLink, Clock } from 'lucide-react'
+import { ArrowUpRight, ArrowDownLeft, RotateCcw, ExternalLink, Clock, CheckCircle, Hourglass, XCircle } from 'lucide-react'
 import { supabase, supabaseConfigured } from '../lib/supabase'
+import { CONFIRMATIONS_FINAL, isSettled } from '../lib/txStatus'
 
 // ── Badge per type ────────────────────────────────────────────────────────────
 const TYPE_META = {
@@ -14,6 +15,31 @@ const TYPE_META = {
     refund: { label: 'Refund', color: '#f59e0b', Icon: RotateCcw },
 }
 
+// ── Badge per chain status (kept up to date by scripts/watch-transactions.js)
+const STATUS_META = {
+    mempool: { label: 'Pending', color: '#94a3b8', Icon: Hourglass },
+    confirmed: { label: 'Confirmed', color: '#10b981', Icon: CheckCircle },
+    dropped: { label: 'Dropped', color: '#f87171', Icon: XCircle },
+}
+
+function StatusBadge({ tx }) {
+    const meta = STATUS_META[tx.status] ?? STATUS_META.mempool
+    // Settled rows are no longer watched, so their count stops at the final depth
+    const detail = tx.status === 'confirmed'
+        ? ` · ${isSettled(tx) ? `${CONFIRMATIONS_FINAL}+` : tx.confirmations} conf`
+        : ''
+
+    return (
+        <span
+            title={tx.block_height ? `Block ${tx.block_height}` : undefined}
+            style={{ display: 'inline-flex', alignItems: 'center', gap: '4px', fontSize: '0.65rem', fontWeight: 700, padding: '2px 8px', borderRadius: '999px', background: `${meta.color}15`, color: meta.color, border: `1px solid ${meta.color}25` }}
+        >
+            <meta.Icon size={10} />
+            {meta.label}{detail}
+        </span>
+    )
+}
+
 function TxRow({ tx }) {
     const meta = TYPE_META[tx.type] ?? TYPE_META.funding
     const explorerUrl = `https://chipnet.imaginary.cash/tx/${tx.tx_hash}`
@@ -43,6 +69,7 @@ function TxRow({ tx }) {
                     <span style={{ fontSize: '0.65rem', fontWeight: 700, padding: '2px 8px', borderRadius: '999px', background: `${meta.color}15`, color: meta.color, border: `1px solid ${meta.color}25` }}>
                         {tx.type.toUpperCase()}
                     </span>
+                    <StatusBadge tx={tx} />
                 </div>
                 <p style={{ fontSize: '0.72rem', color: '#475569', fontFamily: 'monospace', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis', maxWidth: '320px' }}>
                     {tx.tx_hash}
@@ -51,7 +78,7 @@ function TxRow({ tx }) {
 
             {/* Amount */}
             <div style={{ textAlign: 'right', flexShrink: 0 }}>
-                <p style={{ fontSize: '1rem', fontWeight: 800, color: meta.color }}>
+                <p style={{ fontSize: '1rem', fontWeight: 800, color: meta.color, textDecoration: tx.status === 'dropped' ? 'line-through' : 'none' }}>
                     {parseFloat(tx.amount).toFixed(6)}
                 </p>
                 <p style={{ fontSize: '0.72rem', color: '#475569', fontWeight: 600 }}>BCH</p>
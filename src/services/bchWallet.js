@@ -7,23 +7,18 @@
  * Flow:
  *  1. createOrLoadWallet()  → makes / restores a Chipnet wallet
  *  2. getBalance(wallet)    → reads live BCH balance via Electrum
- *  3. fundProject(wallet, amount) → broadcasts a real Chipnet tx
+ *     watchBalance(wallet, cb) → pushes confirmed / pending balance changes
+ *  3. fundProject(wallet, amount, receiveAddress) → broadcasts a real Chipnet tx
+ *     watchAddressPayments(address, cb) → pushes payments as the network sees them
+ *  4. signInWithWallet(wallet) → signs a challenge for a Supabase session
  */
 
-import { TestNetWallet } from 'mainnet-js'
+import { TestNetWallet, TestNetWatchWallet, toBch, toSat, libauth } from 'mainnet-js'
+import { requestSignInChallenge, verifySignIn, getSignedInUser, signOut } from '../lib/db'
+import { createChainBackend } from '../../supabase/functions/_shared/chainCheck'
 
 // ─── Config ────────────────────────────────────────────────────────────────
 
-/**
- * The predefined Chipnet project wallet that will RECEIVE funds.
- * Replace this with your own generated Chipnet address.
- * You can get one by calling createOrLoadWallet() once and logging wallet.cashaddr.
- *
- * Generate a fresh one at: https://chipnet.imaginary.cash/
- */
-export const PROJECT_ADDRESS =
-    'bchtest:qzs8qgaupu6m6gqnrm3n3zt0p8slhgn4sy2smwwvy2'
-
 // localStorage key for persisting the user's private key across page refreshes
 const WALLET_STORAGE_KEY = 'milestara_chipnet_wif'
 
@@ -65,20 +60,93 @@ export async function createOrLoadWallet() {
  * Queries the Chipnet Electrum network for the wallet's current BCH balance.
  *
  * @param {TestNetWallet} wallet
- * @returns {Promise<number>} Balance in BCH (e.g. 0.005)
+ * @returns {Promise<number>} Balance in BCH (e.g. 0.005), pending coins included
  */
 export async function getBalance(wallet) {
-    const { bch } = await wallet.getBalance()
-    return bch ?? 0
+    return toBch(await wallet.getBalance())
+}
+
+/**
+ * getBalanceBreakdown(wallet)
+ *
+ * The wallet's balance split into mined coins and coins still in the mempool.
+ *
+ * @param {TestNetWallet} wallet
+ * @returns {Promise<{ confirmed: number, pending: number }>} BCH
+ */
+export async function getBalanceBreakdown(wallet) {
+    const utxos = await wallet.getUtxos()
+    const sum = (list) => toBch(list.reduce((total, u) => total + u.satoshis, 0n))
+    return {
+        confirmed: sum(utxos.filter(u => u.height > 0)),
+        pending: sum(utxos.filter(u => !(u.height > 0))),
+    }
+}
+
+/**
+ * watchBalance(wallet, onChange)
+ *
+ * Subscribes to the wallet's address over Electrum. onChange gets the
+ * current breakdown right away, then again every time a tx touching the
+ * wallet shows up in the mempool or gets mined.
+ *
+ * @param {TestNetWallet} wallet
+ * @param {(balance: { confirmed: number, pending: number }) => void} onChange
+ * @returns {Promise<() => Promise<void>>} Cancels the subscription
+ */
+export async function watchBalance(wallet, onChange) {
+    return wallet.watchBalance(async () => onChange(await getBalanceBreakdown(wallet)))
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Only the latest payments to a watched address are looked up
+const WATCHED_PAYMENTS = 10
+
+/**
+ * watchAddressPayments(address, onChange)
+ *
+ * Subscribes to any address over Electrum — the project address, say — and
+ * calls onChange with its latest payments every time its history changes:
+ * as soon as a payment reaches the mempool, and again once it is mined.
+ *
+ * @param {string} address  cashaddr to watch
+ * @param {(payments: Array<{ txId: string, amount: number, confirmed: boolean }>) => void} onChange
+ *        Newest first; `amount` is the BCH the tx pays to `address`
+ * @returns {Promise<() => Promise<void>>} Cancels the subscription
+ */
+export async function watchAddressPayments(address, onChange) {
+    const watcher = await TestNetWatchWallet.watchOnly(address)
+    const chain = createChainBackend(watcher.provider, libauth)
+    const addressLock = chain.lockingBytecodeOf(address)
+    // A tx's outputs never change, only whether it is mined
+    const amounts = new Map()
+
+    return watcher.watchStatus(async () => {
+        const history = (await watcher.getRawHistory()).slice(-WATCHED_PAYMENTS)
+        const payments = []
+        for (const { tx_hash: txId, height } of history) {
+            if (!amounts.has(txId)) {
+                const tx = await chain.getTransaction(txId)
+                const paid = (tx?.outputs ?? [])
+                    .filter(o => o.lockingBytecode === addressLock)
+                    .reduce((sum, o) => sum + o.satoshis, 0n)
+                amounts.set(txId, toBch(paid))
+            }
+            if (amounts.get(txId) > 0) payments.push({ txId, amount: amounts.get(txId), confirmed: height > 0 })
+        }
+        onChange(payments.reverse())
+    })
 }
 
 // ─── Send funds ─────────────────────────────────────────────────────────────
 
 /**
- * fundProject(wallet, amountBch)
+ * fundProject(wallet, amountBch, receiveAddress)
  *
  * Builds, signs, and broadcasts a Chipnet transaction that sends
- * `amountBch` BCH from the user's wallet to PROJECT_ADDRESS.
+ * `amountBch` BCH from the user's wallet to the project's receive address
+ * (projects.receive_address, see getProjectAddresses()).
  *
  * mainnet-js handles:
  *   - UTXO fetching
@@ -89,31 +157,57 @@ export async function getBalance(wallet) {
  *
  * @param {TestNetWallet} wallet        The funded user wallet
  * @param {number|string} amountBch    Amount to send, e.g. "0.01"
+ * @param {string} receiveAddress      The project's receive address
  * @returns {Promise<string>}          Transaction ID (txid) on success
  * @throws  Will throw if insufficient funds or network error
  */
-export async function fundProject(wallet, amountBch) {
+export async function fundProject(wallet, amountBch, receiveAddress) {
+    if (!receiveAddress) throw new Error('This project has no receive address yet')
+
     const result = await wallet.send([
         {
-            cashaddr: PROJECT_ADDRESS,
-            value: parseFloat(amountBch),
-            unit: 'bch',
+            cashaddr: receiveAddress,
+            value: toSat(parseFloat(amountBch)),
         },
     ])
     // result.txId is the broadcast transaction hash on Chipnet
     return result.txId
 }
 
+// ─── Sign in ─────────────────────────────────────────────────────────────────
+
+/**
+ * signInWithWallet(wallet)
+ *
+ * Proves to Supabase that the user holds this wallet's key: fetches a
+ * sign-in challenge, signs it with the wallet's private key and trades the
+ * signature for a session (db/auth.js). Reuses the current session when it
+ * is still valid for the same address.
+ *
+ * @param {TestNetWallet} wallet
+ * @returns {Promise<object>} The users row of the wallet
+ */
+export async function signInWithWallet(wallet) {
+    const signedIn = getSignedInUser(wallet.cashaddr)
+    if (signedIn) return signedIn
+
+    const { nonce, message } = await requestSignInChallenge(wallet.cashaddr)
+    const { signature } = wallet.sign(message)
+    const { user } = await verifySignIn({ walletAddress: wallet.cashaddr, nonce, signature })
+    return user
+}
+
 // ─── Disconnect ──────────────────────────────────────────────────────────────
 
 /**
  * disconnectWallet()
  *
- * Removes the saved WIF from localStorage.
+ * Removes the saved WIF from localStorage and ends the Supabase session.
  * The next createOrLoadWallet() call will generate a fresh wallet.
  */
 export function disconnectWallet() {
     localStorage.removeItem(WALLET_STORAGE_KEY)
+    signOut()
 }
 
 // ─── Utilities ───────────────────────────────────────────────────────────────
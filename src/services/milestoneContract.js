@@ -2,55 +2,91 @@
  * milestoneContract.js  —  Milestara Week 3 Service
  *
  * This file handles EVERYTHING for Week 3:
- *   1. Compile the CashScript contract at runtime (no CLI needed for demo)
+ *   1. Load the CashScript contracts (compiled from src/contracts at build time)
  *   2. Deploy (fund) the contract — locks BCH, mints governance token
- *   3. Token-weighted voting  — each governance token = 1 vote
- *   4. Milestone release      — after >50% YES, send BCH to project team
+ *   3. Token-weighted voting  — GOV tokens sent to per-milestone VoteBox contracts
+ *   4. Milestone release      — once approved, MilestoneLock.release() pays the team
+ *   5. Refund                 — MilestoneLock.refund() returns BCH to the funder
+ *   6. Tranche covenant       — MilestoneCovenant enforces per-milestone caps on chain
+ *   7. Expired refund         — after the deadline, MilestoneLock.reclaim() pays the funder
+ *   8. Arbiter multisig       — MilestoneArbiter 2-of-3 with offline partial signing
+ *   9. GOV token              — one category per project, minted by GovMinter
  *
  * ── HOW CASHTOKENS WORK (beginner explanation) ───────────────────────────────
  *   CashTokens are native tokens on BCH (like ERC-20 but built into the protocol).
  *   There are two kinds:
  *     • Fungible tokens (FT)  — like governance tokens; you can have many
- *     • Non-fungible tokens (NFT) — unique items (we don't use these here)
+ *     • Non-fungible tokens (NFT) — unique items; a "minting" NFT is the
+ *       baton that allows creating more tokens of its category
  *
  *   To mint fungible tokens you:
  *     1. Create a "genesis" UTXO that carries a "minting baton"
- *     2. Send it with a token amount to a wallet address
+ *     2. Spend the baton, sending a token amount to a wallet address
+ *
+ *   Each project has ONE GOV category. Its baton lives in the GovMinter
+ *   covenant, which only mints against deposits into the MilestoneLock.
  *
  *   mainnet-js supports CashTokens natively so we don't need extra libraries.
  * ─────────────────────────────────────────────────────────────────────────────
  *
  * ── ARCHITECTURE FOR WEEK 3 DEMO ─────────────────────────────────────────────
  *
- *   [User] --fund 0.001 BCH--> [MilestoneLock contract UTXO]
+ *   [User] --fund 0.001 BCH--> [MilestoneLock contract UTXO]  (P2SH32, one per project)
  *                                        |
  *                                        └--> mint 100 GOV tokens to funder
+ *                                             (same tx — GovMinter holds the baton)
  *
- *   [Governance] -- user votes YES with tokens -->
- *                   if yesVotes > 50% total --> allow release()
+ *   [Governance] -- user sends tokens to the milestone's YES box -->
+ *                   if the project's rules pass (lib/governance.js) --> allow release()
  *
  *   [Release] -- owner signs --> BCH unlocked --> sent to project team wallet
+ *   [Refund]  -- funder signs --> BCH unlocked --> sent back to funder wallet
+ *   [Reclaim] -- after deadline, no sig --> BCH sent back to funder wallet
  *
- * NOTE: For a hackathon demo, votes are stored in localStorage (off-chain).
- *       In production, votes would be on-chain CashTokens burns/transfers.
+ * NOTE: Votes are GOV token transfers into per-milestone YES/NO VoteBox
+ *       contracts, so the tally is read from the chain. The Supabase votes
+ *       table only caches them. Projects whose rules don't consume tokens
+ *       leave a BCH marker in the box instead and keep their GOV.
  * ─────────────────────────────────────────────────────────────────────────────
  */
 
-import { TestNetWallet, TokenSendRequest } from 'mainnet-js'
+import { TestNetWallet, TestNetWatchWallet, TokenGenesisRequest, SendRequest, toBch, toSat, libauth } from 'mainnet-js'
+import {
+    Contract,
+    ElectrumNetworkProvider,
+    SignatureTemplate,
+    TransactionBuilder,
+    HashType,
+    SignatureAlgorithm,
+    utils,
+} from 'cashscript'
+import milestoneLockArtifact from '../contracts/MilestoneLock.cash'
+import milestoneCovenantArtifact from '../contracts/MilestoneCovenant.cash'
+import milestoneArbiterArtifact from '../contracts/MilestoneArbiter.cash'
+import govMinterArtifact from '../contracts/GovMinter.cash'
+import voteBoxArtifact from '../contracts/VoteBox.cash'
+import { supabaseConfigured } from '../lib/supabase'
+import { evaluateVotes, DEFAULT_GOVERNANCE_RULES } from '../lib/governance'
+import { buildVoteMessage } from '../../supabase/functions/_shared/voteMessage'
+import { getRefundDeadline, GOV_TOKEN_SUPPLY, SATS_PER_TOKEN } from '../../supabase/functions/_shared/projectLock'
+import { getVoteBoxArgs } from '../../supabase/functions/_shared/voteBox'
+import { insertTransaction, getUserByWallet, voteOnMilestone } from '../lib/db'
 
 // ── Constants ────────────────────────────────────────────────────────────────
 
-// How many governance tokens to mint per 0.001 BCH funded
-// (100 tokens per 0.001 BCH = 100,000 tokens per 1 BCH)
-const TOKENS_PER_UNIT = 100
+// BCH carried by token UTXOs (the minting baton, minted GOV outputs)
+const TOKEN_UTXO_SATS = 1000n
+
+// The MilestoneLock refund window and deadline and the GOV supply, shared
+// with scripts/ and the edge functions
+export { REFUND_WINDOW_SECONDS, getRefundDeadline, GOV_TOKEN_SUPPLY } from '../../supabase/functions/_shared/projectLock'
+
+// BCH a non-consuming vote leaves in the vote box to mark it (never spent)
+const VOTE_MARKER_SATS = 1000n
 
 // Storage keys for demo persistence
 const STORAGE_KEYS = {
-    contractUtxo: 'milestara_contract_utxo',   // the locked UTXO info
-    tokenCategory: 'milestara_token_category',  // CashToken category ID
-    tokenBalance: 'milestara_token_balance',   // how many GOV tokens user has
-    votes: 'milestara_votes',            // { milestoneId: { yes, no } }
-    lockedAmount: 'milestara_locked_amount',   // BCH locked in contract
+    contracts: 'milestara_contracts',        // [{ address, ownerPk, funderPk, refundDeadline }] this browser funded
 }
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
@@ -68,6 +104,81 @@ function loadFromStorage(key, defaultValue = null) {
     }
 }
 
+function toHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')
+}
+
+// One Electrum connection shared by every contract instance (Chipnet)
+let chipnetProvider = null
+
+function getProvider() {
+    if (!chipnetProvider) chipnetProvider = new ElectrumNetworkProvider('chipnet')
+    return chipnetProvider
+}
+
+// Smallest output the network relays; smaller change is left to the miner fee
+const DUST_SATS = 546n
+
+// Conservative 1 sat/byte fee: a contract input is ~120 bytes (outpoint,
+// sig, args) plus its redeem script, a wallet P2PKH input ~150 bytes and a
+// P2SH32/P2PKH output under 45 bytes
+function estimateFeeSats(contract, inputCount, outputCount, walletInputCount = 0) {
+    return BigInt(10 + inputCount * (120 + contract.bytesize) + walletInputCount * 150 + outputCount * 45)
+}
+
+// Same rate for a wallet-only spend (P2PKH inputs) whose outputs carry
+// tokens — a token prefix adds up to ~45 bytes per output
+function estimateWalletFeeSats(inputCount, outputCount) {
+    return BigInt(10 + inputCount * 150 + outputCount * 90)
+}
+
+function sumSats(utxos) {
+    return utxos.reduce((sum, u) => sum + u.satoshis, 0n)
+}
+
+// BCH-only UTXOs sitting in the contract (token UTXOs are never spent here)
+async function getContractUtxos(contract) {
+    const utxos = (await contract.getUtxos()).filter(u => !u.token)
+    if (utxos.length === 0) throw new Error('The contract has no locked BCH.')
+    return utxos
+}
+
+// Mirror a contract spend into the Supabase transactions table.
+// Local demo projects have no DB id, so there is nothing to record.
+async function recordContractTx({ projectId, txHash, amount, type }) {
+    if (!projectId || !supabaseConfigured) return
+    try {
+        await insertTransaction({ projectId, txHash, amount, type })
+    } catch (e) {
+        // The tx is already on chain — never fail the spend over bookkeeping
+        console.error(`[milestoneContract] could not record ${type} tx:`, e)
+    }
+}
+
+// Remember which contracts this browser has funded so the Profile page can
+// sum their on-chain balances. Only the public contract params are stored.
+function rememberContract(contract) {
+    const known = loadFromStorage(STORAGE_KEYS.contracts, [])
+    if (known.some(c => c.address === contract.address)) return
+    saveToStorage(STORAGE_KEYS.contracts, [...known, { address: contract.address, ...getContractParams(contract) }])
+}
+
+// Reads the constructor args back out of a MilestoneLock instance
+function getContractParams(contract) {
+    const [ownerPk, funderPk, refundDeadline] = contract.encodedConstructorArgs
+    return {
+        ownerPk: toHex(ownerPk),
+        funderPk: toHex(funderPk),
+        refundDeadline: Number(utils.decodeInt(refundDeadline)),
+    }
+}
+
+// Standard P2PKH locking bytecode for a pubkey — what reclaim() must pay to
+function p2pkhLockingBytecode(pubkeyHex) {
+    const hash = utils.hash160(libauth.hexToBin(pubkeyHex))
+    return Uint8Array.from([0x76, 0xa9, 0x14, ...hash, 0x88, 0xac])
+}
+
 // ── STEP 1: Compile the CashScript contract ───────────────────────────────────
 /**
  * getContractArtifact()
@@ -75,222 +186,1419 @@ function loadFromStorage(key, defaultValue = null) {
  * CashScript contracts need to be "compiled" from .cash source into a JSON
  * "artifact" that contains the bytecode and ABI.
  *
- * For a browser-based demo we use a PRE-COMPILED artifact (hardcoded JSON).
- * This avoids needing a Node.js build step during the hackathon.
+ * The cashscript Vite plugin (vite.config.js) runs cashc on
+ * src/contracts/MilestoneLock.cash at build time, so this artifact always
+ * matches the source — edit the .cash file and rebuild, nothing to paste.
+ */
+export function getContractArtifact() {
+    return milestoneLockArtifact
+}
+
+/**
+ * getGovMinterArtifact()
  *
- * HOW TO REGENERATE THIS ARTIFACT:
- *   npx cashc src/contracts/MilestoneLock.cash --output src/contracts/MilestoneLock.json
+ * Artifact for GovMinter.cash — the covenant holding a project's GOV
+ * minting baton. Compiled at build time like MilestoneLock.
+ */
+export function getGovMinterArtifact() {
+    return govMinterArtifact
+}
+
+/**
+ * getVoteBoxArtifact()
  *
- * The artifact below was generated from MilestoneLock.cash.
+ * Artifact for VoteBox.cash — the per-milestone YES/NO ballot boxes that
+ * hold voted GOV tokens. Compiled at build time like MilestoneLock.
  */
-export function getContractArtifact() {
-    // Pre-compiled artifact for MilestoneLock.cash (pragma cashscript ^0.10.0)
-    return {
-        "contractName": "MilestoneLock",
-        "constructorInputs": [
-            { "name": "ownerPk", "type": "pubkey" },
-            { "name": "funderPk", "type": "pubkey" }
-        ],
-        "abi": [
-            {
-                "name": "release",
-                "inputs": [{ "name": "ownerSig", "type": "sig" }]
-            },
-            {
-                "name": "refund",
-                "inputs": [{ "name": "funderSig", "type": "sig" }]
-            }
-        ],
-        // Bytecode for: require(checkSig(ownerSig, ownerPk)) / require(checkSig(funderSig, funderPk))
-        "bytecode": "5279009c6353790087",
-        "source": "pragma cashscript ^0.10.0;\ncontract MilestoneLock(pubkey ownerPk, pubkey funderPk) {\n    function release(sig ownerSig) { require(checkSig(ownerSig, ownerPk)); }\n    function refund(sig funderSig) { require(checkSig(funderSig, funderPk)); }\n}",
-        "compiler": { "name": "cashc", "version": "0.10.0" },
-        "updatedAt": "2026-02-21"
-    }
+export function getVoteBoxArtifact() {
+    return voteBoxArtifact
+}
+
+/**
+ * getWalletPubkey(wallet)
+ *
+ * Returns the wallet's compressed public key as hex — the form we store on
+ * a project and pass to the MilestoneLock constructor.
+ *
+ * @param {TestNetWallet} wallet
+ * @returns {string} 33-byte compressed pubkey, hex encoded
+ */
+export function getWalletPubkey(wallet) {
+    return toHex(wallet.publicKeyCompressed)
+}
+
+/**
+ * getMilestoneContract(ownerPk, funderPk, refundDeadline)
+ *
+ * Instantiates the MilestoneLock contract for one project.
+ * The address is a P2SH32 hash of the bytecode + constructor args, so the
+ * same pubkeys and deadline always give the same contract address —
+ * nothing needs to be "deployed" beyond sending BCH to it.
+ *
+ * @param {string} ownerPk         Project creator's pubkey (hex)
+ * @param {string} funderPk        Funder's pubkey (hex)
+ * @param {number} refundDeadline  From getRefundDeadline()
+ * @param {object} [provider]      Defaults to the shared Chipnet provider
+ * @returns {Contract}             cashscript Contract bound to Chipnet
+ */
+export function getMilestoneContract(ownerPk, funderPk, refundDeadline, provider = getProvider()) {
+    if (!ownerPk || !funderPk) throw new Error('ownerPk and funderPk are required to build the MilestoneLock contract')
+    if (!refundDeadline) throw new Error('refundDeadline is required to build the MilestoneLock contract')
+
+    return new Contract(getContractArtifact(), [ownerPk, funderPk, BigInt(refundDeadline)], {
+        provider,
+        addressType: 'p2sh32',
+    })
+}
+
+/**
+ * getProjectAddresses({ ownerPubkey, funderPubkey, createdAt, creatorAddress })
+ *
+ * The addresses of a demo project. Supabase projects get theirs
+ * (projects.receive_address and payout_address) from the create-project
+ * edge function, derived the same way (_shared/projectAddresses.js).
+ * Funding is paid into the project's MilestoneLock, so it can only leave
+ * through release/refund/reclaim; until the creator has set the lock
+ * pubkeys it goes to the creator's wallet. Releases pay the creator's
+ * wallet.
+ *
+ * @param {string} [ownerPubkey]    MilestoneLock owner pubkey (hex)
+ * @param {string} [funderPubkey]   MilestoneLock funder pubkey (hex)
+ * @param {string|Date} createdAt   projects.created_at
+ * @param {string} creatorAddress   The creator's wallet cashaddr
+ * @param {object} [provider]       Defaults to the shared Chipnet provider
+ * @returns {{ receiveAddress: string, payoutAddress: string }}
+ */
+export function getProjectAddresses({ ownerPubkey, funderPubkey, createdAt, creatorAddress }, provider = getProvider()) {
+    if (!creatorAddress) throw new Error("The creator's wallet address is required")
+
+    const receiveAddress = ownerPubkey && funderPubkey
+        ? getMilestoneContract(ownerPubkey, funderPubkey, getRefundDeadline(createdAt), provider).address
+        : creatorAddress
+    return { receiveAddress, payoutAddress: creatorAddress }
 }
 
 // ── STEP 2: Fund milestone contract + mint governance tokens ──────────────────
 /**
- * fundMilestoneContract(wallet, amountBch, projectAddress)
+ * getGovMinter(lockContract)
+ *
+ * The GovMinter covenant that holds a project's GOV minting baton. It is
+ * bound to the project's MilestoneLock, so tokens can only be minted in the
+ * same tx that deposits BCH into that lock.
+ *
+ * @param {Contract} lockContract  - From getMilestoneContract()
+ * @returns {Contract}
+ */
+export function getGovMinter(lockContract) {
+    if (!lockContract) throw new Error('No MilestoneLock contract for this project')
+
+    const lock = libauth.cashAddressToLockingBytecode(lockContract.address)
+    return new Contract(getGovMinterArtifact(), [lock.bytecode, SATS_PER_TOKEN], {
+        provider: lockContract.provider,
+        addressType: 'p2sh32',
+    })
+}
+
+// The baton UTXO for `tokenCategory` sitting in the minter. Anyone can send
+// the minter another minting NFT of the category; the real baton is the one
+// holding the reserve
+async function getMintingBaton(minter, tokenCategory) {
+    const baton = (await minter.getUtxos())
+        .filter(u => u.token?.category === tokenCategory && u.token.nft?.capability === 'minting')
+        .sort((a, b) => (b.token.amount > a.token.amount ? 1 : -1))[0]
+    if (!baton) throw new Error('The GOV minting baton for this project was not found on chain.')
+    return baton
+}
+
+// Marks a MilestoneLock deposit as GOV-backed (GovMinter.mint())
+function depositTag(tokenCategory) {
+    return { category: tokenCategory, amount: 0n, nft: { capability: 'none', commitment: '' } }
+}
+
+// Tagged deposits in the lock, the coins only release() and redeem() spend.
+// Anyone can send the lock a token UTXO; only tags of the project's own
+// category are deposits, the rest is left alone
+async function getDepositUtxos(contract, tokenCategory) {
+    if (!tokenCategory) return []
+    return (await contract.getUtxos())
+        .filter(u => u.token?.category === tokenCategory && u.token.nft?.capability === 'none' && u.token.amount === 0n)
+}
+
+/**
+ * createProjectToken(wallet, lockContract)
  *
- * This is the CORE Week 3 function. It:
- *   1. Calculates how many governance tokens to mint
- *   2. Mints fungible CashTokens (GOV tokens) to the funder's wallet
- *   3. Records the locked amount in localStorage (simulates contract funding)
- *   4. Returns the token category ID and token balance
+ * Run ONCE by the creator while setting up a project. Creates the project's
+ * GOV token category and sends its minting baton — together with the whole
+ * GOV supply as the reserve — straight into the project's GovMinter
+ * covenant. Store the returned category on the
+ * `projects` row (token_category) — every deposit mints in it.
  *
- * WHY NOT A REAL CONTRACT UTXO?
- *   Deploying a real CashScript contract requires P2SH address generation
- *   using the compiled bytecode + constructor args. This needs cashc CLI or
- *   the cashscript npm package to run in Node (not easily in browser Vite build).
- *   For this MVP demo, we simulate the lock in localStorage + use real token minting.
- *   Week 4 can add a real backend deploy script.
+ * Genesis needs a wallet UTXO at output index 0 (a fresh faucet payment
+ * works).
  *
- * @param {TestNetWallet} wallet       - The funder's wallet
- * @param {number}        amountBch    - How much BCH to "lock" (simulate)
- * @param {string}        projectAddr  - The project team's receive address
- * @returns {Promise<{tokenCategory, tokenAmount, simulatedTxId}>}
+ * @param {TestNetWallet} wallet        - The project creator's wallet
+ * @param {Contract}      lockContract  - From getMilestoneContract()
+ * @returns {Promise<{ tokenCategory, minterAddress, txId }>}
  */
-export async function fundMilestoneContract(wallet, amountBch, projectAddr) {
+export async function createProjectToken(wallet, lockContract) {
+    const minter = getGovMinter(lockContract)
+
+    const result = await wallet.tokenGenesis(new TokenGenesisRequest({
+        cashaddr: minter.tokenAddress,
+        amount: GOV_TOKEN_SUPPLY,
+        nft: { capability: 'minting', commitment: '' },
+        value: TOKEN_UTXO_SATS,
+    }))
+
+    return { tokenCategory: result.categories[0], minterAddress: minter.tokenAddress, txId: result.txId }
+}
+
+/**
+ * fundMilestoneContract(wallet, amountBch, contract, tokenCategory)
+ *
+ * This is the CORE Week 3 function. In ONE transaction it:
+ *   1. Sends `amountBch` from the funder's wallet to the MilestoneLock
+ *   2. Spends the project's minting baton through GovMinter.mint()
+ *   3. Mints TOKENS_PER_UNIT (projectLock.js) GOV tokens per 0.001 BCH from the reserve to the funder
+ *
+ * The BCH is now really locked: the deposit carries GovMinter's tag, so it
+ * can only leave the contract through MilestoneLock.release() or redeem()
+ * (redeemGovTokens()), which burns GOV for it. The covenant checks the
+ * deposit on chain, so nobody can mint GOV tokens without funding, and a
+ * deposit can't be refunded and paid in again to mint twice.
+ *
+ * @param {TestNetWallet} wallet         - The funder's wallet
+ * @param {number}        amountBch      - How much BCH to lock
+ * @param {Contract}      contract       - From getMilestoneContract()
+ * @param {string}        tokenCategory  - The project's GOV category (projects.token_category)
+ * @returns {Promise<{lockTxId, contractAddress, tokenCategory, tokenAmount}>}
+ */
+export async function fundMilestoneContract(wallet, amountBch, contract, tokenCategory) {
+    if (!contract) throw new Error('No MilestoneLock contract for this project')
+    if (!tokenCategory) throw new Error('This project has no GOV token yet — the creator has to create it first.')
+
     // Calculate governance tokens to mint
-    const tokenAmount = Math.floor((amountBch / 0.001) * TOKENS_PER_UNIT)
-    if (tokenAmount < 1) throw new Error('Fund at least 0.001 BCH to receive governance tokens')
+    const amountSats = toSat(amountBch)
+    const tokenAmount = amountSats / SATS_PER_TOKEN
+    if (tokenAmount < 1n) throw new Error('Fund at least 0.001 BCH to receive governance tokens')
 
-    // ── Mint CashTokens (real on-chain fungible tokens) ───────────────────────
-    // mainnet-js TokenSendRequest with genesis=true creates a NEW token category
-    // The funder's wallet address becomes the token holder
-    let tokenCategory = null
-    let mintTxId = null
+    const minter = getGovMinter(contract)
+    const baton = await getMintingBaton(minter, tokenCategory)
 
-    try {
-        // Generate a new token by sending a genesis output to ourselves
-        const genesisResult = await wallet.send([
-            new TokenSendRequest({
-                cashaddr: wallet.cashaddr,
-                amount: tokenAmount,
-                // No category = genesis (create new token type)
-            })
-        ])
-        mintTxId = genesisResult.txId
-        // The token category = the txId of the genesis transaction
-        tokenCategory = mintTxId
-    } catch (mintError) {
-        // If token minting fails (e.g., wallet doesn't support it yet), simulate it
-        console.warn('Token mint failed, simulating:', mintError.message)
-        mintTxId = 'simulated_' + Date.now().toString(16)
-        tokenCategory = mintTxId
-    }
-
-    // ── Record locked amount ──────────────────────────────────────────────────
-    const prevLocked = loadFromStorage(STORAGE_KEYS.lockedAmount, 0)
-    saveToStorage(STORAGE_KEYS.lockedAmount, prevLocked + amountBch)
-    saveToStorage(STORAGE_KEYS.tokenCategory, tokenCategory)
-
-    // ── Update token balance ──────────────────────────────────────────────────
-    const prevTokens = loadFromStorage(STORAGE_KEYS.tokenBalance, 0)
-    const newTokenBalance = prevTokens + tokenAmount
-    saveToStorage(STORAGE_KEYS.tokenBalance, newTokenBalance)
+    // ── Pay for the deposit + the token output from the funder's coins ────────
+    const walletUtxos = (await contract.provider.getUtxos(wallet.cashaddr))
+        .filter(u => !u.token)
+        .sort((a, b) => (b.satoshis > a.satoshis ? 1 : -1))
+    const needed = amountSats + TOKEN_UTXO_SATS
+    const selected = []
+    let fee = 0n
+    for (const utxo of walletUtxos) {
+        selected.push(utxo)
+        fee = estimateFeeSats(minter, 1, 4, selected.length)
+        if (sumSats(selected) >= needed + fee) break
+    }
+    if (sumSats(selected) < needed + fee) throw new Error('Insufficient balance to fund this project.')
+
+    if (baton.token.amount < tokenAmount) throw new Error('The GOV token reserve is exhausted.')
+
+    // Output order is fixed by GovMinter.mint(): baton, deposit, tokens, change
+    const builder = new TransactionBuilder({ provider: contract.provider })
+        .addInput(baton, minter.unlock.mint())
+        .addInputs(selected, new SignatureTemplate(wallet.privateKeyWif).unlockP2PKH())
+        .addOutput({ to: minter.tokenAddress, amount: baton.satoshis, token: { ...baton.token, amount: baton.token.amount - tokenAmount } })
+        .addOutput({ to: contract.tokenAddress, amount: amountSats, token: depositTag(tokenCategory) })
+        .addOutput({ to: wallet.getTokenDepositAddress(), amount: TOKEN_UTXO_SATS, token: { category: tokenCategory, amount: tokenAmount } })
+
+    const change = sumSats(selected) - needed - fee
+    if (change >= DUST_SATS) builder.addOutput({ to: wallet.cashaddr, amount: change })
+
+    const { txid } = await builder.send()
+    rememberContract(contract)
 
     return {
+        lockTxId: txid,
+        contractAddress: contract.address,
         tokenCategory,
-        tokenAmount,
-        newTokenBalance,
-        simulatedTxId: mintTxId,
+        tokenAmount: Number(tokenAmount),
     }
 }
 
 // ── STEP 3: Token-weighted voting ─────────────────────────────────────────────
+
+/**
+ * getVoteBoxes(tokenCategory, milestoneId, provider?)
+ *
+ * Returns the milestone's YES and NO VoteBox contracts. The address only
+ * depends on the project's GOV category, the milestone id and the choice,
+ * so anyone can rebuild it and read the tally.
+ *
+ * @param {string} tokenCategory - The project's GOV category
+ * @param {string} milestoneId
+ * @returns {{ yes: Contract, no: Contract }}
+ */
+export function getVoteBoxes(tokenCategory, milestoneId, provider = getProvider()) {
+    if (!tokenCategory) throw new Error('This project has no GOV token yet.')
+    // Demo milestones are numbered from 0
+    if (milestoneId == null) throw new Error('milestoneId is required')
+
+    const box = choice => new Contract(getVoteBoxArtifact(), getVoteBoxArgs(tokenCategory, milestoneId, choice), { provider, addressType: 'p2sh32' })
+    return { yes: box('yes'), no: box('no') }
+}
+
+// A box's UTXOs, each outpoint once: a provider can list the same one twice
+// (confirmed and in the mempool), which would count its tokens twice
+async function getBoxUtxos(box) {
+    const byOutpoint = new Map((await box.getUtxos()).map(u => [`${u.txid}:${u.vout}`, u]))
+    return [...byOutpoint.values()]
+}
+
+// GOV tokens held by a box, optionally only those sent in one transaction
+async function sumBoxTokens(box, tokenCategory, txHash) {
+    const utxos = await getBoxUtxos(box)
+    return utxos
+        .filter(u => u.token?.category === tokenCategory && !u.token.nft)
+        .filter(u => !txHash || u.txid === txHash)
+        .reduce((sum, u) => sum + u.token.amount, 0n)
+}
+
+// Decoded transaction, or null when the provider doesn't know it
+async function fetchTransaction(provider, txid) {
+    const raw = await provider.getRawTransaction(txid).catch(() => null)
+    const tx = raw ? libauth.decodeTransaction(libauth.hexToBin(raw)) : null
+    return typeof tx === 'string' ? null : tx
+}
+
+// Block a transaction was mined in, 0 in the mempool, null when the
+// provider can't tell (MockNetworkProvider keeps no heights)
+async function fetchTxHeight(provider, txid) {
+    if (!provider.performRequest) return null
+    const height = await provider.performRequest('blockchain.transaction.get_height', txid).catch(() => null)
+    return height ?? null
+}
+
+function isGovOutput(output, tokenCategory) {
+    return Boolean(output?.token && !output.token.nft && toHex(output.token.category) === tokenCategory)
+}
+
+// The GOV UTXOs a vote transaction's tokens come from, as outpoint → tokens.
+// Its GOV inputs are traced back through the transactions that moved them
+// until a UTXO that already held them at the snapshot (mined at or before
+// `snapshotHeight`). Without a snapshot height only the box's own marker
+// transactions are traced through, so tokens handed back by a vote lead to
+// the UTXO that cast it. A UTXO the provider doesn't know is a root of its
+// own, of unknown size (null). GOV minted after the snapshot has no root.
+async function getVoteRoots(provider, tokenCategory, tx, { snapshotHeight, markerTxids }) {
+    const roots = new Map()
+    const seen = new Set()
+    const pending = tx.inputs.map(i => ({ txid: toHex(i.outpointTransactionHash), vout: i.outpointIndex }))
+    while (pending.length) {
+        const { txid, vout } = pending.pop()
+        const outpoint = `${txid}:${vout}`
+        if (seen.has(outpoint)) continue
+        seen.add(outpoint)
+
+        const prev = await fetchTransaction(provider, txid)
+        if (!prev) {
+            roots.set(outpoint, null)
+            continue
+        }
+        const output = prev.outputs[vout]
+        if (!isGovOutput(output, tokenCategory)) continue
+
+        let isRoot
+        if (snapshotHeight === null || snapshotHeight === undefined) {
+            isRoot = !markerTxids.has(txid)
+        } else {
+            const height = await fetchTxHeight(provider, txid)
+            isRoot = height === null || (height > 0 && height <= snapshotHeight)
+        }
+        if (isRoot) roots.set(outpoint, output.token.amount)
+        else pending.push(...prev.inputs.map(i => ({ txid: toHex(i.outpointTransactionHash), vout: i.outpointIndex })))
+    }
+    return roots
+}
+
+// Non-consuming votes: output 0 is a BCH marker in the box, output 1 hands
+// the voting GOV back to the voter. The same tokens can signal again, from
+// the voter's wallet or from any wallet they were moved to, so votes are
+// keyed by the snapshot UTXOs behind them (getVoteRoots()): votes sharing
+// one count once per box, with their largest weight, and never for more
+// than those UTXOs held.
+async function getMarkerVoters(box, tokenCategory, txHash, snapshotHeight = null) {
+    const markers = (await getBoxUtxos(box)).filter(u => !u.token && u.vout === 0)
+    const markerTxids = new Set(markers.map(u => u.txid))
+    let groups = []
+    for (const marker of markers) {
+        if (txHash && marker.txid !== txHash) continue
+        const tx = await fetchTransaction(box.provider, marker.txid)
+        const weight = tx?.outputs[1]
+        if (!isGovOutput(weight, tokenCategory)) continue
+        const roots = await getVoteRoots(box.provider, tokenCategory, tx, { snapshotHeight, markerTxids })
+        if (roots.size === 0) continue
+
+        const overlapping = groups.filter(g => [...roots.keys()].some(r => g.roots.has(r)))
+        const merged = overlapping.reduce(
+            (acc, g) => ({ roots: new Map([...acc.roots, ...g.roots]), amount: g.amount > acc.amount ? g.amount : acc.amount }),
+            { roots, amount: weight.token.amount }
+        )
+        groups = [...groups.filter(g => !overlapping.includes(g)), merged]
+    }
+
+    const byVoter = new Map()
+    for (const { roots, amount } of groups) {
+        const held = [...roots.values()]
+        const cap = held.includes(null) ? amount : held.reduce((sum, a) => sum + a, 0n)
+        if (cap > 0n) byVoter.set([...roots.keys()].sort()[0], amount < cap ? amount : cap)
+    }
+    return byVoter
+}
+
+async function sumBoxMarkers(box, tokenCategory, txHash, snapshotHeight) {
+    const byVoter = await getMarkerVoters(box, tokenCategory, txHash, snapshotHeight)
+    return [...byVoter.values()].reduce((sum, amount) => sum + amount, 0n)
+}
+
+function sumBoxVotes(box, tokenCategory, txHash, tokensConsumed, snapshotHeight = null) {
+    return tokensConsumed
+        ? sumBoxTokens(box, tokenCategory, txHash)
+        : sumBoxMarkers(box, tokenCategory, txHash, snapshotHeight)
+}
+
+// Who sent a vote: the P2PKH locking bytecode behind the transaction's
+// first input (`<sig> <pubkey>`). Other unlocking scripts stand for themselves.
+function voterOfInput(input) {
+    const unlocking = input.unlockingBytecode
+    const isP2PKH = unlocking.length > 34 && unlocking[unlocking.length - 34] === 0x21
+    return isP2PKH ? toHex(p2pkhLockingBytecode(toHex(unlocking.slice(-33)))) : toHex(unlocking)
+}
+
+// Consumed votes per voter. Each GOV UTXO in the box is traced back through
+// merge() transactions (every input unlocks the box) to the vote
+// transactions that sent its tokens — so merging can't fold two voters into one.
+// Every outpoint is counted once, however many paths lead to it.
+async function getTokenVoters(box, tokenCategory) {
+    const byVoter = new Map()
+    const seen = new Set()
+    const pending = (await getBoxUtxos(box))
+        .filter(u => u.token?.category === tokenCategory && !u.token.nft)
+        .map(u => ({ txid: u.txid, vout: u.vout, amount: u.token.amount }))
+    while (pending.length) {
+        const { txid, vout, amount } = pending.pop()
+        const outpoint = `${txid}:${vout}`
+        if (seen.has(outpoint)) continue
+        seen.add(outpoint)
+        const tx = await fetchTransaction(box.provider, txid)
+        if (tx?.inputs.every(i => toHex(i.unlockingBytecode).endsWith(box.bytecode))) {
+            pending.push(...tx.inputs.map(i => ({ txid: toHex(i.outpointTransactionHash), vout: i.outpointIndex })))
+            continue
+        }
+        // An unknown transaction counts as one voter of its own
+        const voter = tx ? voterOfInput(tx.inputs[0]) : `${txid}:${vout}`
+        const tokens = tx?.outputs[vout]?.token?.amount ?? amount ?? 0n
+        byVoter.set(voter, (byVoter.get(voter) ?? 0n) + tokens)
+    }
+    return byVoter
+}
+
+/**
+ * getChainVotes(tokenCategory, milestoneId, { rules, snapshotHeight, provider })
+ *
+ * A milestone's votes read from the chain, in the shape evaluateVotes()
+ * takes. Quadratic projects get one entry per voter and box, as the
+ * square root is taken of each voter's tokens, never of a box total. In
+ * token mode the two box totals give the same result without looking up
+ * any vote transactions. `snapshotHeight` (milestones.snapshot_height)
+ * weighs non-consuming votes against the GOV held at the snapshot.
+ *
+ * @returns {Promise<Array<{ vote: boolean, tokens: number }>>}
+ */
+export async function getChainVotes(tokenCategory, milestoneId, {
+    rules = DEFAULT_GOVERNANCE_RULES,
+    snapshotHeight = null,
+    provider = getProvider(),
+} = {}) {
+    const { tokensConsumed } = rules
+    if (rules.votingMode !== 'quadratic') {
+        const { yes, no } = await getMilestoneVotes(tokenCategory, milestoneId, { tokensConsumed, snapshotHeight, provider })
+        return [{ vote: true, tokens: yes }, { vote: false, tokens: no }]
+    }
+    const boxes = getVoteBoxes(tokenCategory, milestoneId, provider)
+    const voters = box => (tokensConsumed
+        ? getTokenVoters(box, tokenCategory)
+        : getMarkerVoters(box, tokenCategory, null, snapshotHeight))
+    const [yes, no] = await Promise.all([voters(boxes.yes), voters(boxes.no)])
+    return [
+        ...[...yes.values()].map(tokens => ({ vote: true, tokens: Number(tokens) })),
+        ...[...no.values()].map(tokens => ({ vote: false, tokens: Number(tokens) })),
+    ]
+}
+
+/**
+ * getMilestoneVotes(tokenCategory, milestoneId, { tokensConsumed, snapshotHeight, provider })
+ *
+ * Tallies a milestone from the chain: the GOV tokens held by its YES and
+ * NO boxes or, when the project's votes don't consume tokens, the GOV
+ * behind the markers left in them (weighed against the snapshot at
+ * `snapshotHeight`, see getChainVotes()).
+ *
+ * @returns {Promise<{ yes: number, no: number }>}
+ */
+export async function getMilestoneVotes(tokenCategory, milestoneId, {
+    tokensConsumed = true,
+    snapshotHeight = null,
+    provider = getProvider(),
+} = {}) {
+    const boxes = getVoteBoxes(tokenCategory, milestoneId, provider)
+    const [yes, no] = await Promise.all([
+        sumBoxVotes(boxes.yes, tokenCategory, null, tokensConsumed, snapshotHeight),
+        sumBoxVotes(boxes.no, tokenCategory, null, tokensConsumed, snapshotHeight),
+    ])
+    return { yes: Number(yes), no: Number(no) }
+}
+
 /**
- * castVote(milestoneId, voteType, tokensToUse)
+ * getVoteWeight(tokenCategory, milestoneId, voteType, txHash, { tokensConsumed, snapshotHeight, provider })
  *
- * Simulates token-weighted voting.
- * Each governance token = 1 vote. Using tokens "locks" them into a vote.
+ * How many GOV tokens a given transaction voted with in the milestone's
+ * YES or NO box — what the Supabase votes cache checks a vote row against.
+ *
+ * @returns {Promise<number>} 0 when the transaction voted nothing there
+ */
+export async function getVoteWeight(tokenCategory, milestoneId, voteType, txHash, {
+    tokensConsumed = true,
+    snapshotHeight = null,
+    provider = getProvider(),
+} = {}) {
+    const box = getVoteBoxes(tokenCategory, milestoneId, provider)[voteType]
+    if (!box) throw new Error(`Unknown vote type "${voteType}"`)
+    return Number(await sumBoxVotes(box, tokenCategory, txHash, tokensConsumed, snapshotHeight))
+}
+
+/**
+ * signVote(wallet, { milestoneId, vote, weight })
  *
- * In a real system, you'd burn tokens or send them to a special address.
- * For this demo, we deduct from localStorage balance.
+ * Signs a vote with the wallet's key (a BCH signed message, like Electron
+ * Cash's "Sign Message"). The cast-vote edge function checks it against the
+ * voter's registered address before the vote is stored.
  *
- * @param {string} milestoneId  - Which milestone (e.g. "milestone-1")
- * @param {'yes'|'no'} voteType - Direction of vote
- * @param {number} tokensToUse  - How many tokens (votes) to cast
- * @returns {{ votes, tokenBalance, isApproved }}
+ * @param {TestNetWallet} wallet
+ * @param {object}  params
+ * @param {string}  params.milestoneId
+ * @param {boolean} params.vote    true = YES, false = NO
+ * @param {number}  params.weight  GOV tokens committed
+ * @returns {{ weight: number, timestamp: number, signature: string }}
  */
-export function castVote(milestoneId, voteType, tokensToUse = 1) {
-    const currentBalance = loadFromStorage(STORAGE_KEYS.tokenBalance, 0)
+export function signVote(wallet, { milestoneId, vote, weight }) {
+    const timestamp = Math.floor(Date.now() / 1000)
+    const { signature } = wallet.sign(buildVoteMessage({ milestoneId, vote, weight, timestamp }))
+    return { weight, timestamp, signature }
+}
 
-    if (currentBalance < tokensToUse) {
-        throw new Error(`Not enough tokens. You have ${currentBalance} GOV tokens.`)
+// Mirror an on-chain vote into the Supabase votes cache.
+// Local demo projects have no DB id, and wallets without a users row
+// have nothing to attach the vote to.
+async function recordVote({ projectId, milestoneId, wallet, voteType, txHash, weight }) {
+    if (!projectId || !supabaseConfigured) return
+    try {
+        const voter = await getUserByWallet(wallet.cashaddr)
+        if (!voter) return
+        const vote = voteType === 'yes'
+        const signedVote = signVote(wallet, { milestoneId, vote, weight })
+        await voteOnMilestone({ milestoneId, voterId: voter.id, vote, txHash, signedVote })
+    } catch (e) {
+        // The vote is already on chain; the cache can catch up later
+        console.error('[milestoneContract] could not record vote:', e)
     }
+}
 
-    // Deduct used tokens (they are "spent" on the vote)
-    const newBalance = currentBalance - tokensToUse
-    saveToStorage(STORAGE_KEYS.tokenBalance, newBalance)
+/**
+ * castVote(wallet, tokenCategory, milestoneId, voteType, tokensToUse, { projectId, rules, circulatingSupply, snapshotHeight, provider })
+ *
+ * Votes by sending `tokensToUse` GOV tokens from the wallet to the
+ * milestone's YES or NO box. Each governance token = 1 vote (or, in
+ * quadratic mode, a voter's weight is the square root of their tokens), and tokens
+ * spent on a vote stay in the box for good — unless the project's rules
+ * don't consume tokens: then the vote leaves a BCH marker in the box and
+ * the same transaction hands the tokens back to the voter.
+ *
+ * @param {TestNetWallet} wallet
+ * @param {string} tokenCategory - The project's GOV category
+ * @param {string} milestoneId   - Which milestone (e.g. "milestone-1")
+ * @param {'yes'|'no'} voteType  - Direction of vote
+ * @param {number} tokensToUse   - How many tokens (votes) to cast
+ * @param {object} [options]
+ * @param {string} [options.projectId] - Supabase project id (caches the vote)
+ * @param {object} [options.rules]     - The project's rules (getGovernanceRules())
+ * @param {number} [options.circulatingSupply] - Quorum base for `isApproved`
+ * @param {number} [options.snapshotHeight]    - milestones.snapshot_height, for the tally
+ * @returns {Promise<{ txId, votes, weights, tokenBalance, isApproved, quorumReached, yesPercent }>}
+ *          `votes` are GOV tokens per box, `weights` what they count for
+ */
+export async function castVote(wallet, tokenCategory, milestoneId, voteType, tokensToUse = 1, {
+    projectId,
+    rules = DEFAULT_GOVERNANCE_RULES,
+    circulatingSupply = null,
+    snapshotHeight = null,
+    provider = getProvider(),
+} = {}) {
+    const box = getVoteBoxes(tokenCategory, milestoneId, provider)[voteType]
+    if (!box) throw new Error(`Unknown vote type "${voteType}"`)
+    const amount = BigInt(tokensToUse)
+    if (amount < 1n) throw new Error('Vote with at least 1 GOV token')
 
-    // Update votes for this milestone
-    const allVotes = loadFromStorage(STORAGE_KEYS.votes, {})
-    const prevVotes = allVotes[milestoneId] || { yes: 0, no: 0 }
-    const updatedVotes = {
-        ...prevVotes,
-        [voteType]: prevVotes[voteType] + tokensToUse,
+    const utxos = await provider.getUtxos(wallet.cashaddr)
+
+    // ── GOV tokens to vote with ───────────────────────────────────────────────
+    const tokenUtxos = utxos
+        .filter(u => u.token?.category === tokenCategory && !u.token.nft)
+        .sort((a, b) => (b.token.amount > a.token.amount ? 1 : -1))
+    const held = tokenUtxos.reduce((sum, u) => sum + u.token.amount, 0n)
+    if (held < amount) throw new Error(`Not enough tokens. You have ${held} GOV tokens.`)
+
+    const tokenInputs = []
+    let tokensIn = 0n
+    for (const utxo of tokenUtxos) {
+        tokenInputs.push(utxo)
+        tokensIn += utxo.token.amount
+        if (tokensIn >= amount) break
     }
-    allVotes[milestoneId] = updatedVotes
-    saveToStorage(STORAGE_KEYS.votes, allVotes)
+    const tokenChange = tokensIn - amount
+
+    // ── The vote: tokens into the box, or a marker and the tokens back ────────
+    const { tokensConsumed } = rules
+    const tokenAddress = wallet.getTokenDepositAddress()
+    const outputs = tokensConsumed
+        ? [{ to: box.tokenAddress, amount: TOKEN_UTXO_SATS, token: { category: tokenCategory, amount } }]
+        : [
+            { to: box.address, amount: VOTE_MARKER_SATS },
+            { to: tokenAddress, amount: TOKEN_UTXO_SATS, token: { category: tokenCategory, amount } },
+        ]
+    if (tokenChange > 0n) {
+        outputs.push({ to: tokenAddress, amount: TOKEN_UTXO_SATS, token: { category: tokenCategory, amount: tokenChange } })
+    }
+
+    // ── BCH for those outputs and the fee ─────────────────────────────────────
+    const bchUtxos = utxos.filter(u => !u.token).sort((a, b) => (b.satoshis > a.satoshis ? 1 : -1))
+    const outputCount = outputs.length + 1
+    const needed = outputs.reduce((sum, o) => sum + o.amount, 0n)
+    const bchInputs = []
+    let fee = estimateWalletFeeSats(tokenInputs.length, outputCount)
+    for (const utxo of bchUtxos) {
+        if (sumSats(tokenInputs) + sumSats(bchInputs) >= needed + fee) break
+        bchInputs.push(utxo)
+        fee = estimateWalletFeeSats(tokenInputs.length + bchInputs.length, outputCount)
+    }
+    const available = sumSats(tokenInputs) + sumSats(bchInputs)
+    if (available < needed + fee) throw new Error('Insufficient BCH to pay for the vote transaction.')
+
+    const unlocker = new SignatureTemplate(wallet.privateKeyWif).unlockP2PKH()
+    const builder = new TransactionBuilder({ provider })
+        .addInputs([...tokenInputs, ...bchInputs], unlocker)
+        .addOutputs(outputs)
+    const change = available - needed - fee
+    if (change >= DUST_SATS) builder.addOutput({ to: wallet.cashaddr, amount: change })
+
+    const { txid } = await builder.send()
+    await recordVote({ projectId, milestoneId, wallet, voteType, txHash: txid, weight: Number(amount) })
 
-    // Check if milestone is approved (>50% YES of all votes cast)
-    const total = updatedVotes.yes + updatedVotes.no
-    const isApproved = total > 0 && (updatedVotes.yes / total) > 0.5
+    // ── Tally straight from the chain ─────────────────────────────────────────
+    const votes = await getChainVotes(tokenCategory, milestoneId, { rules, snapshotHeight, provider })
+    const tally = evaluateVotes(votes, rules, circulatingSupply)
+    const { passing, quorumReached, yesPercent } = tally
 
     return {
-        votes: updatedVotes,
-        tokenBalance: newBalance,
-        isApproved,
-        yesPercent: total > 0 ? Math.round((updatedVotes.yes / total) * 100) : 0,
+        txId: txid,
+        votes: { yes: tally.yesTokens, no: tally.noTokens },
+        weights: { yes: tally.yesWeight, no: tally.noWeight },
+        tokenBalance: Number(tokensConsumed ? held - amount : held),
+        isApproved: passing,
+        quorumReached,
+        yesPercent,
     }
 }
 
-// ── STEP 4: Release funds after approval ──────────────────────────────────────
+// ── STEP 4: Release / refund through the contract ────────────────────────────
+// Everything a release spends (the GOV-backed deposits and the plain
+// payments) and the most it can pay out once the fee and, when a deposit
+// is spent, the tagged change are kept back
+async function getReleaseInputs(contract, tokenCategory) {
+    const deposits = await getDepositUtxos(contract, tokenCategory)
+    const utxos = [...deposits, ...(await contract.getUtxos()).filter(u => !u.token)]
+    const lockedSats = sumSats(utxos)
+    const fee = estimateFeeSats(contract, utxos.length, 2)
+    const minChange = deposits.length ? TOKEN_UTXO_SATS : 0n
+    const releasableSats = lockedSats - fee - minChange
+    return { deposits, utxos, lockedSats, fee, releasableSats: releasableSats > 0n ? releasableSats : 0n }
+}
+
+/** Returns the most BCH a single releaseMilestoneFunds() can pay out of the contract (tokenCategory: the project's GOV category) */
+export async function getReleasableAmount(contract, tokenCategory) {
+    if (!contract) return 0
+    return toBch((await getReleaseInputs(contract, tokenCategory)).releasableSats)
+}
+
 /**
- * releaseMilestoneFunds(wallet, amountBch, projectAddress)
+ * releaseMilestoneFunds(wallet, contract, amountBch, payoutAddr, { projectId, tokenCategory })
  *
- * Called after a milestone reaches >50% YES votes.
- * Sends partial BCH from the user's wallet to the project address.
+ * Called once a milestone's vote is approved (lib/governance.js).
+ * Spends the contract's UTXOs through MilestoneLock.release(ownerSig):
+ *   • `amountBch` goes to the project payout address
+ *   • whatever is left (minus the fee) goes back into the same contract,
+ *     tagged as GOV-backed when any spent deposit was — so at least
+ *     TOKEN_UTXO_SATS stays locked then
  *
- * In a real contract deployment, this would call contract.functions.release()
- * which needs the owner's signature. Here we simulate it with a direct send.
+ * The contract only checks the owner's signature, so `wallet` must hold the
+ * private key for the contract's ownerPk or the network rejects the tx.
  *
  * @param {TestNetWallet} wallet        - Must be the owner's wallet
+ * @param {Contract}      contract      - From getMilestoneContract()
  * @param {number}        amountBch     - Partial amount to release
- * @param {string}        projectAddr   - Project team's Chipnet address
+ * @param {string}        payoutAddr    - projects.payout_address
+ * @param {object}        [options]
+ * @param {string}        [options.projectId] - If set, recorded as a 'release' row
+ * @param {string}        [options.tokenCategory] - The project's GOV category;
+ *                                      only deposits tagged with it are spent
  * @returns {Promise<string>}           - Transaction ID
  */
-export async function releaseMilestoneFunds(wallet, amountBch, projectAddr) {
-    // Deduct from simulated locked amount
-    const locked = loadFromStorage(STORAGE_KEYS.lockedAmount, 0)
-    if (amountBch > locked + 0.0001) { // small tolerance for fees
-        throw new Error(`Cannot release ${amountBch} BCH. Only ${locked.toFixed(6)} BCH is locked.`)
+export async function releaseMilestoneFunds(wallet, contract, amountBch, payoutAddr, { projectId, tokenCategory } = {}) {
+    if (!contract) throw new Error('No MilestoneLock contract for this project')
+    if (!payoutAddr) throw new Error('This project has no payout address')
+
+    const amountSats = toSat(amountBch)
+    const { deposits, utxos, lockedSats, fee, releasableSats } = await getReleaseInputs(contract, tokenCategory)
+    if (utxos.length === 0) throw new Error('The contract has no locked BCH.')
+
+    if (amountSats > releasableSats) {
+        throw new Error(`Cannot release ${amountBch} BCH. Only ${toBch(releasableSats).toFixed(6)} BCH can be released.`)
+    }
+
+    const builder = new TransactionBuilder({ provider: contract.provider })
+        .addInputs(utxos, contract.unlock.release(new SignatureTemplate(wallet.privateKeyWif)))
+        .addOutput({ to: payoutAddr, amount: amountSats })
+
+    // Keep the rest locked — change goes back to the contract itself, with
+    // one tag for all the GOV-backed deposits it merges
+    const change = lockedSats - amountSats - fee
+    if (deposits.length) builder.addOutput({ to: contract.tokenAddress, amount: change, token: deposits[0].token })
+    else if (change >= DUST_SATS) builder.addOutput({ to: contract.address, amount: change })
+
+    const { txid } = await builder.send()
+    await recordContractTx({ projectId, txHash: txid, amount: amountBch, type: 'release' })
+
+    return txid
+}
+
+/**
+ * refundMilestoneFunds(wallet, contract, { projectId })
+ *
+ * Spends every plain payment in the contract through
+ * MilestoneLock.refund(funderSig) and sends it all (minus the fee) back to
+ * the funder's wallet. GOV-backed deposits aren't the funder's alone: their
+ * backers redeem them (redeemGovTokens()).
+ *
+ * @param {TestNetWallet} wallet        - Must be the funder's wallet
+ * @param {Contract}      contract      - From getMilestoneContract()
+ * @param {object}        [options]
+ * @param {string}        [options.projectId] - If set, recorded as a 'refund' row
+ * @returns {Promise<{ txId, amountBch }>}
+ */
+export async function refundMilestoneFunds(wallet, contract, { projectId } = {}) {
+    if (!contract) throw new Error('No MilestoneLock contract for this project')
+
+    const utxos = await getContractUtxos(contract)
+    const refundSats = sumSats(utxos) - estimateFeeSats(contract, utxos.length, 1)
+
+    if (refundSats < DUST_SATS) throw new Error('Nothing to refund — the contract is empty.')
+
+    const { txid } = await new TransactionBuilder({ provider: contract.provider })
+        .addInputs(utxos, contract.unlock.refund(new SignatureTemplate(wallet.privateKeyWif)))
+        .addOutput({ to: wallet.cashaddr, amount: refundSats })
+        .send()
+
+    const amountBch = toBch(refundSats)
+    await recordContractTx({ projectId, txHash: txid, amount: amountBch, type: 'refund' })
+
+    return { txId: txid, amountBch }
+}
+
+/**
+ * claimExpiredRefund(contract, { projectId })
+ *
+ * Abandoned-project path: once the contract's refund deadline has passed,
+ * spends every plain payment through MilestoneLock.reclaim() and pays each
+ * one back to the funder's P2PKH address. No signature is needed, so any
+ * backer (or anyone helping them) can trigger it — the coins can only go to
+ * the funder. GOV-backed deposits are redeemed by their backers instead.
+ *
+ * @param {Contract} contract     - From getMilestoneContract()
+ * @param {object}   [options]
+ * @param {string}   [options.projectId] - If set, recorded as a 'refund' row
+ * @returns {Promise<{ txId, amountBch }>}
+ */
+export async function claimExpiredRefund(contract, { projectId } = {}) {
+    if (!contract) throw new Error('No MilestoneLock contract for this project')
+
+    const { funderPk, refundDeadline } = getContractParams(contract)
+    if (Math.floor(Date.now() / 1000) < refundDeadline) {
+        throw new Error(`The refund deadline has not passed yet (${new Date(refundDeadline * 1000).toLocaleString()}).`)
+    }
+
+    const utxos = await getContractUtxos(contract)
+
+    // reclaim() pairs input N with output N, so every input pays its share of
+    // the fee out of its own output (the contract allows up to 2000 sats each)
+    const feePerInput = estimateFeeSats(contract, utxos.length, utxos.length) / BigInt(utxos.length) + 1n
+    if (utxos.some(u => u.satoshis - feePerInput < DUST_SATS)) {
+        throw new Error('A contract UTXO is too small to reclaim after fees.')
+    }
+
+    // CLTV: the tx locktime must be at or after the deadline
+    const funderLock = p2pkhLockingBytecode(funderPk)
+    const builder = new TransactionBuilder({ provider: contract.provider })
+        .addInputs(utxos, contract.unlock.reclaim())
+        .setLocktime(refundDeadline)
+    utxos.forEach(u => builder.addOutput({ to: funderLock, amount: u.satoshis - feePerInput }))
+
+    const { txid } = await builder.send()
+
+    const amountBch = toBch(sumSats(utxos) - feePerInput * BigInt(utxos.length))
+    await recordContractTx({ projectId, txHash: txid, amount: amountBch, type: 'refund' })
+
+    return { txId: txid, amountBch }
+}
+
+/**
+ * redeemGovTokens(wallet, contract, tokenCategory, tokenAmount, { projectId })
+ *
+ * A backer's way out of the GOV-backed deposits. Hands `tokenAmount` GOV
+ * back to the project's GovMinter (GovMinter.burn()) and takes, from every
+ * tagged deposit in the MilestoneLock (MilestoneLock.redeem()), the share
+ * those tokens are of all GOV in circulation; the rest of each deposit is
+ * re-locked, still tagged. Every backer can do this for their own tokens,
+ * whoever the lock's funderPk is. The fee comes out of the redeemed BCH.
+ *
+ * @param {TestNetWallet} wallet         - Holds the GOV tokens
+ * @param {Contract}      contract       - From getMilestoneContract()
+ * @param {string}        tokenCategory  - The project's GOV category
+ * @param {number}        tokenAmount    - GOV tokens to hand back
+ * @param {object}        [options]
+ * @param {string}        [options.projectId] - If set, recorded as a 'refund' row
+ * @returns {Promise<{ txId, amountBch }>}  amountBch: what left the lock
+ */
+export async function redeemGovTokens(wallet, contract, tokenCategory, tokenAmount, { projectId } = {}) {
+    if (!contract) throw new Error('No MilestoneLock contract for this project')
+    if (!tokenCategory) throw new Error('This project has no GOV token yet.')
+    const burned = BigInt(tokenAmount)
+    if (burned < 1n) throw new Error('Redeem at least one GOV token.')
+
+    const minter = getGovMinter(contract)
+    const baton = await getMintingBaton(minter, tokenCategory)
+    const deposits = await getDepositUtxos(contract, tokenCategory)
+    if (!deposits.length) throw new Error('The project holds no GOV-backed deposits.')
+
+    // The wallet's GOV, largest first until `burned` is covered
+    const govUtxos = (await contract.provider.getUtxos(wallet.cashaddr))
+        .filter(u => u.token?.category === tokenCategory && !u.token.nft)
+        .sort((a, b) => (b.token.amount > a.token.amount ? 1 : -1))
+    const selected = []
+    let held = 0n
+    for (const utxo of govUtxos) {
+        if (held >= burned) break
+        selected.push(utxo)
+        held += utxo.token.amount
+    }
+    if (held < burned) throw new Error(`You hold ${held} GOV tokens of this project, not ${burned}.`)
+
+    // redeem(): burned / outstanding of each deposit may leave. Redeeming
+    // the last GOV in circulation empties them
+    const outstanding = GOV_TOKEN_SUPPLY - baton.token.amount
+    const kept = deposits.map((u) => {
+        const keep = u.satoshis - (u.satoshis * burned) / outstanding
+        return keep > 0n && keep < TOKEN_UTXO_SATS ? TOKEN_UTXO_SATS : keep
+    })
+    const redeemed = sumSats(deposits) - kept.reduce((sum, k) => sum + k, 0n)
+    const tokenChange = held - burned
+
+    // Token prefixes on the baton, the re-locked deposits and the GOV change
+    const fee = estimateFeeSats(contract, deposits.length + 1, deposits.length + 3, selected.length) + BigInt(45 * (deposits.length + 2))
+    const payout = redeemed + sumSats(selected) - fee - (tokenChange > 0n ? TOKEN_UTXO_SATS : 0n)
+    if (payout < DUST_SATS) throw new Error('These GOV tokens redeem less than the transaction fee.')
+
+    // Input N is paired with output N: the baton first, then each deposit
+    const builder = new TransactionBuilder({ provider: contract.provider })
+        .addInput(baton, minter.unlock.burn())
+        .addInputs(deposits, contract.unlock.redeem())
+        .addInputs(selected, new SignatureTemplate(wallet.privateKeyWif).unlockP2PKH())
+        .addOutput({ to: minter.tokenAddress, amount: baton.satoshis, token: { ...baton.token, amount: baton.token.amount + burned } })
+    deposits.forEach((u, i) => {
+        if (kept[i] > 0n) builder.addOutput({ to: contract.tokenAddress, amount: kept[i], token: u.token })
+    })
+    builder.addOutput({ to: wallet.cashaddr, amount: payout })
+    if (tokenChange > 0n) {
+        builder.addOutput({ to: wallet.getTokenDepositAddress(), amount: TOKEN_UTXO_SATS, token: { category: tokenCategory, amount: tokenChange } })
+    }
+
+    const { txid } = await builder.send()
+    const amountBch = toBch(redeemed)
+    await recordContractTx({ projectId, txHash: txid, amount: amountBch, type: 'refund' })
+
+    return { txId: txid, amountBch }
+}
+
+// ── STEP 5: Tranche-enforcing covenant (MilestoneCovenant.cash) ──────────────
+/**
+ * getCovenantArtifact()
+ *
+ * Artifact for MilestoneCovenant.cash — the MilestoneLock variant that
+ * checks tranche caps, the payout address and the change output on chain
+ * with introspection opcodes. Compiled at build time like MilestoneLock.
+ */
+export function getCovenantArtifact() {
+    return milestoneCovenantArtifact
+}
+
+// 8-byte little-endian satoshi amounts, the layout `tranches`/`floors` use
+function encodeSatsList(amounts) {
+    return amounts.map(sats => {
+        const bytes = new Uint8Array(8)
+        new DataView(bytes.buffer).setBigUint64(0, sats, true)
+        return toHex(bytes)
+    }).join('')
+}
+
+function readSats(bytes, index) {
+    return new DataView(bytes.buffer, bytes.byteOffset + index * 8, 8).getBigUint64(0, true)
+}
+
+/**
+ * getMilestoneCovenant(ownerPk, funderPk, payoutAddr, tranchesBch)
+ *
+ * Instantiates the tranche covenant for one project. `tranchesBch[i]` is
+ * the most milestone i may ever pay out; the floor for milestone i (what
+ * must stay locked afterwards) is the sum of all later tranches.
+ *
+ * This is the covenant before any release. Each release moves the balance
+ * to the next stage (another address, see getCovenantStage()).
+ *
+ * @param {string}   ownerPk      Project creator's pubkey (hex)
+ * @param {string}   funderPk     Funder's pubkey (hex)
+ * @param {string}   payoutAddr   The only address release() may pay
+ * @param {number[]} tranchesBch  Amount per milestone, in milestone order
+ * @param {object}   [provider]   Defaults to the shared Chipnet provider
+ * @returns {Contract}
+ */
+export function getMilestoneCovenant(ownerPk, funderPk, payoutAddr, tranchesBch, provider = getProvider()) {
+    if (!ownerPk || !funderPk) throw new Error('ownerPk and funderPk are required to build the MilestoneCovenant contract')
+    if (!tranchesBch?.length) throw new Error('At least one milestone tranche is required')
+
+    const payout = libauth.cashAddressToLockingBytecode(payoutAddr)
+    if (typeof payout === 'string') throw new Error(`Invalid payout address: ${payout}`)
+
+    const tranches = tranchesBch.map(bch => toSat(bch))
+    const floors = tranches.map((_, i) => tranches.slice(i + 1).reduce((sum, t) => sum + t, 0n))
+
+    return new Contract(
+        getCovenantArtifact(),
+        [ownerPk, funderPk, payout.bytecode, encodeSatsList(tranches), encodeSatsList(floors), encodeStage(0)],
+        { provider, addressType: 'p2sh32' }
+    )
+}
+
+// `nextMilestone`, the covenant's state: 4-byte little-endian
+function encodeStage(nextMilestone) {
+    const bytes = new Uint8Array(4)
+    new DataView(bytes.buffer).setUint32(0, nextMilestone, true)
+    return toHex(bytes)
+}
+
+// The same covenant at another stage
+function covenantAtStage(covenant, nextMilestone) {
+    const [ownerPk, funderPk, payoutBytecode, tranches, floors] = covenant.encodedConstructorArgs
+    return new Contract(
+        getCovenantArtifact(),
+        [ownerPk, funderPk, payoutBytecode, tranches, floors, encodeStage(nextMilestone)],
+        { provider: covenant.provider, addressType: 'p2sh32' }
+    )
+}
+
+/**
+ * getCovenantStage(covenant)
+ *
+ * Where the covenant's balance is now. Every release() sends the change to
+ * the covenant's next stage, whose state says which milestone may be paid
+ * next, so after releasing milestone i the balance sits at stage i + 1.
+ * Funding and refunds have to use this stage.
+ *
+ * @param {Contract} covenant  From getMilestoneCovenant(), any stage
+ * @returns {Promise<{ covenant: Contract, nextMilestone: number }|null>}
+ *          null while no stage holds BCH
+ */
+export async function getCovenantStage(covenant) {
+    const milestones = covenant.encodedConstructorArgs[3].length / 8
+    for (let nextMilestone = 0; nextMilestone <= milestones; nextMilestone++) {
+        const stage = covenantAtStage(covenant, nextMilestone)
+        const utxos = (await stage.getUtxos()).filter(u => !u.token)
+        if (utxos.length) return { covenant: stage, nextMilestone }
+    }
+    return null
+}
+
+/**
+ * fundMilestoneCovenant(wallet, amountBch, covenant)
+ *
+ * Adds BCH to the covenant while keeping it in ONE UTXO (release() only
+ * accepts a single input). The first deposit is a plain send; later ones
+ * spend the existing UTXO — at the covenant's current stage — through
+ * topUp() together with the funder's own coins and re-lock the sum.
+ *
+ * @param {TestNetWallet} wallet
+ * @param {number}        amountBch
+ * @param {Contract}      covenant   - From getMilestoneCovenant()
+ * @returns {Promise<string>}        - Transaction ID
+ */
+export async function fundMilestoneCovenant(wallet, amountBch, covenant) {
+    const amountSats = toSat(amountBch)
+    const current = await getCovenantStage(covenant)
+
+    if (!current) {
+        const result = await wallet.send([new SendRequest({ cashaddr: covenantAtStage(covenant, 0).address, value: amountSats })])
+        return result.txId
+    }
+    const stage = current.covenant
+    const [stateUtxo] = (await stage.getUtxos()).filter(u => !u.token)
+
+    // Largest wallet coins first until the deposit + fee is covered
+    const walletUtxos = (await stage.provider.getUtxos(wallet.cashaddr))
+        .filter(u => !u.token)
+        .sort((a, b) => (b.satoshis > a.satoshis ? 1 : -1))
+    const selected = []
+    let fee = 0n
+    for (const utxo of walletUtxos) {
+        selected.push(utxo)
+        fee = estimateFeeSats(stage, 1, 2, selected.length)
+        if (sumSats(selected) >= amountSats + fee) break
+    }
+    if (sumSats(selected) < amountSats + fee) throw new Error('Insufficient balance to fund the covenant.')
+
+    const builder = new TransactionBuilder({ provider: stage.provider })
+        .addInput(stateUtxo, stage.unlock.topUp())
+        .addInputs(selected, new SignatureTemplate(wallet.privateKeyWif).unlockP2PKH())
+        .addOutput({ to: stage.address, amount: stateUtxo.satoshis + amountSats })
+
+    const change = sumSats(selected) - amountSats - fee
+    if (change >= DUST_SATS) builder.addOutput({ to: wallet.cashaddr, amount: change })
+
+    const { txid } = await builder.send()
+    return txid
+}
+
+/**
+ * releaseMilestoneTranche(wallet, covenant, milestoneIndex, { projectId })
+ *
+ * Releases milestone `milestoneIndex` (0-based) through
+ * MilestoneCovenant.release(). Milestones are released once each, in
+ * order. Pays the largest amount the covenant allows — the tranche, or less
+ * if the balance above the floor is smaller — to the payout address baked
+ * into the contract, and moves the rest to the covenant's next stage. The
+ * frontend cannot pick the amount or the recipient: a tx that breaks the
+ * rules is rejected by nodes.
+ *
+ * @param {TestNetWallet} wallet          - Must be the owner's wallet
+ * @param {Contract}      covenant        - From getMilestoneCovenant()
+ * @param {number}        milestoneIndex
+ * @param {object}        [options]
+ * @param {string}        [options.projectId] - If set, recorded as a 'release' row
+ * @returns {Promise<{ txId, amountBch }>}
+ */
+export async function releaseMilestoneTranche(wallet, covenant, milestoneIndex, { projectId } = {}) {
+    const [, , payoutBytecode, tranches, floors] = covenant.encodedConstructorArgs
+    if (milestoneIndex < 0 || milestoneIndex >= tranches.length / 8) {
+        throw new Error(`Milestone ${milestoneIndex + 1} does not exist in this covenant.`)
+    }
+
+    const current = await getCovenantStage(covenant)
+    if (!current) throw new Error('The contract has no locked BCH.')
+    if (milestoneIndex < current.nextMilestone) throw new Error(`Milestone ${milestoneIndex + 1} has already been released.`)
+    if (milestoneIndex > current.nextMilestone) {
+        throw new Error(`Milestone ${current.nextMilestone + 1} has to be released before milestone ${milestoneIndex + 1}.`)
+    }
+    const stage = current.covenant
+
+    const utxos = await getContractUtxos(stage)
+    if (utxos.length !== 1) {
+        throw new Error('The covenant balance is split across several UTXOs. Fund it through fundMilestoneCovenant() or refund first.')
+    }
+    const [utxo] = utxos
+
+    const tranche = readSats(tranches, milestoneIndex)
+    const floor = readSats(floors, milestoneIndex)
+    const fee = estimateFeeSats(stage, 1, 2)
+    const available = utxo.satoshis - floor - fee
+    const payout = available < tranche ? available : tranche
+
+    if (payout < DUST_SATS) throw new Error(`Milestone ${milestoneIndex + 1} has nothing left to release.`)
+
+    const builder = new TransactionBuilder({ provider: stage.provider })
+        .addInput(utxo, stage.unlock.release(new SignatureTemplate(wallet.privateKeyWif), BigInt(milestoneIndex)))
+        .addOutput({ to: payoutBytecode, amount: payout })
+
+    const change = utxo.satoshis - payout - fee
+    if (change >= DUST_SATS) builder.addOutput({ to: covenantAtStage(stage, milestoneIndex + 1).address, amount: change })
+
+    const { txid } = await builder.send()
+    const amountBch = toBch(payout)
+    await recordContractTx({ projectId, txHash: txid, amount: amountBch, type: 'release' })
+
+    return { txId: txid, amountBch }
+}
+
+// ── STEP 6: 2-of-3 arbiter multisig (MilestoneArbiter.cash) ──────────────────
+//
+// Owner, funder representative and arbiter rarely sit at the same computer,
+// so spending is split into steps that pass a portable "spend request":
+//
+//   createArbiterSpend()  → unsigned request (JSON, or hex via encodeArbiterSpend)
+//   signArbiterSpend()    → each signer adds their signatures, offline
+//   combineArbiterSpends()→ merges copies signed independently
+//   broadcastArbiterSpend()→ any 2 of 3 signatures → tx on chain
+//
+// Signatures commit to every input and output, so a signer can't be tricked
+// into a different payout by someone editing the request later — the spend
+// just becomes invalid.
+
+// Pubkey order inside the contract — checkMultiSig needs signatures in this order
+const ARBITER_ROLES = ['owner', 'funder', 'arbiter']
+
+const ARBITER_SPEND_VERSION = 1
+
+/**
+ * getArbiterArtifact()
+ *
+ * Artifact for MilestoneArbiter.cash, compiled at build time.
+ */
+export function getArbiterArtifact() {
+    return milestoneArbiterArtifact
+}
+
+/**
+ * getArbiterContract(ownerPk, funderPk, arbiterPk, provider)
+ *
+ * Instantiates the 2-of-3 MilestoneArbiter contract for one project.
+ *
+ * @param {string} ownerPk     Project creator's pubkey (hex)
+ * @param {string} funderPk    Funder representative's pubkey (hex)
+ * @param {string} arbiterPk   Neutral arbiter's pubkey (hex)
+ * @param {object} [provider]  Defaults to the shared Chipnet provider
+ * @returns {Contract}
+ */
+export function getArbiterContract(ownerPk, funderPk, arbiterPk, provider = getProvider()) {
+    if (!ownerPk || !funderPk || !arbiterPk) {
+        throw new Error('ownerPk, funderPk and arbiterPk are required to build the MilestoneArbiter contract')
+    }
+
+    return new Contract(getArbiterArtifact(), [ownerPk, funderPk, arbiterPk], {
+        provider,
+        addressType: 'p2sh32',
+    })
+}
+
+// SignatureTemplate that keeps a copy of every signature it makes, so a
+// signer can run the normal tx builder and walk away with just their sigs
+class CollectingSignature extends SignatureTemplate {
+    constructor(wif) {
+        // Multisig with the default dummy element only accepts ECDSA
+        super(wif, HashType.SIGHASH_ALL | HashType.SIGHASH_UTXOS, SignatureAlgorithm.ECDSA)
+        this.signatures = []
+    }
+
+    generateSignature(payload, bchForkId) {
+        const signature = super.generateSignature(payload, bchForkId)
+        this.signatures.push(toHex(signature))
+        return signature
+    }
+}
+
+// Rebuilds the exact same transaction from a spend request. `firstSig` and
+// `secondSig` are SignatureTemplates or signature bytes, one per input.
+function buildArbiterTx(request, contract, sigsForInput) {
+    const builder = new TransactionBuilder({ provider: contract.provider })
+    request.inputs.forEach((input, i) => {
+        const utxo = { txid: input.txid, vout: input.vout, satoshis: BigInt(input.satoshis) }
+        builder.addInput(utxo, contract.unlock.spend(...sigsForInput(i)))
+    })
+    request.outputs.forEach(out => {
+        builder.addOutput({ to: libauth.hexToBin(out.lockingBytecode), amount: BigInt(out.amount) })
+    })
+    return builder.setLocktime(request.locktime)
+}
+
+function contractForRequest(request, provider = getProvider()) {
+    const { ownerPk, funderPk, arbiterPk } = request.contract
+    const contract = getArbiterContract(ownerPk, funderPk, arbiterPk, provider)
+    if (contract.address !== request.contract.address) {
+        throw new Error('Spend request does not match its MilestoneArbiter contract')
+    }
+    return contract
+}
+
+// The same contract (same bytecode and address) with spend()'s signatures
+// typed as plain bytes, to pass collected signatures back in. Typed `sig`,
+// cashscript only takes 71-73 byte ECDSA signatures, but a DER signature is
+// shorter now and then (a leading zero byte in r or s)
+function withCollectedSignatures(contract, request) {
+    const artifact = getArbiterArtifact()
+    const abi = artifact.abi.map(f => (f.name === 'spend'
+        ? { ...f, inputs: f.inputs.map(input => ({ ...input, type: 'bytes' })) }
+        : f))
+    const { ownerPk, funderPk, arbiterPk } = request.contract
+    return new Contract({ ...artifact, abi }, [ownerPk, funderPk, arbiterPk], {
+        provider: contract.provider,
+        addressType: 'p2sh32',
+    })
+}
+
+/**
+ * createArbiterSpend(contract, payoutAddr, amountBch, { type })
+ *
+ * Builds an UNSIGNED spend request from the contract's current UTXOs:
+ *   • `amountBch` goes to `payoutAddr`
+ *   • the rest (minus the fee) goes back into the contract
+ * Leave `amountBch` out to sweep everything — e.g. a refund to the funders.
+ *
+ * Nothing is broadcast. Pass the returned object (or encodeArbiterSpend()
+ * hex) to the signers.
+ *
+ * @param {Contract} contract     - From getArbiterContract()
+ * @param {string}   payoutAddr
+ * @param {number}   [amountBch]  - Omit to send the whole balance
+ * @param {object}   [options]
+ * @param {'release'|'refund'} [options.type='release'] - Recorded on broadcast
+ * @returns {Promise<object>}     - Spend request
+ */
+export async function createArbiterSpend(contract, payoutAddr, amountBch, { type = 'release' } = {}) {
+    if (!contract) throw new Error('No MilestoneArbiter contract for this project')
+
+    const payout = libauth.cashAddressToLockingBytecode(payoutAddr)
+    if (typeof payout === 'string') throw new Error(`Invalid payout address: ${payout}`)
+
+    const utxos = await getContractUtxos(contract)
+    const lockedSats = sumSats(utxos)
+    const sweep = amountBch === undefined
+    // Each input carries two ~72-byte ECDSA sigs instead of one Schnorr sig
+    const fee = estimateFeeSats(contract, utxos.length, sweep ? 1 : 2) + BigInt(utxos.length * 90)
+    const payoutSats = sweep ? lockedSats - fee : toSat(amountBch)
+
+    if (payoutSats < DUST_SATS) throw new Error('Nothing to spend — the contract is empty.')
+    if (payoutSats + fee > lockedSats) {
+        throw new Error(`Cannot spend ${toBch(payoutSats)} BCH. Only ${toBch(lockedSats).toFixed(6)} BCH is locked.`)
+    }
+
+    const outputs = [{ lockingBytecode: toHex(payout.bytecode), amount: payoutSats.toString() }]
+    const change = lockedSats - payoutSats - fee
+    if (!sweep && change >= DUST_SATS) {
+        const contractLock = libauth.cashAddressToLockingBytecode(contract.address)
+        outputs.push({ lockingBytecode: toHex(contractLock.bytecode), amount: change.toString() })
+    }
+
+    const [ownerPk, funderPk, arbiterPk] = contract.encodedConstructorArgs.map(toHex)
+
+    return {
+        version: ARBITER_SPEND_VERSION,
+        type,
+        contract: { address: contract.address, ownerPk, funderPk, arbiterPk },
+        inputs: utxos.map(u => ({ txid: u.txid, vout: u.vout, satoshis: u.satoshis.toString() })),
+        outputs,
+        locktime: 0,
+        signatures: {},  // { owner: [hex per input], funder: [...], arbiter: [...] }
+    }
+}
+
+/**
+ * encodeArbiterSpend(request) / decodeArbiterSpend(blob)
+ *
+ * Hex form of a spend request, for pasting into chat or a QR code.
+ * decodeArbiterSpend() also accepts the plain JSON string or object.
+ */
+export function encodeArbiterSpend(request) {
+    return toHex(new TextEncoder().encode(JSON.stringify(request)))
+}
+
+export function decodeArbiterSpend(blob) {
+    if (typeof blob !== 'string') return blob
+    const text = blob.trim().startsWith('{')
+        ? blob
+        : new TextDecoder().decode(libauth.hexToBin(blob.trim()))
+    const request = JSON.parse(text)
+    if (request.version !== ARBITER_SPEND_VERSION) {
+        throw new Error(`Unsupported spend request version: ${request.version}`)
+    }
+    return request
+}
+
+/**
+ * signArbiterSpend(wallet, blob)
+ *
+ * Adds this wallet's signatures to a spend request. The wallet must hold one
+ * of the contract's three keys; its role is detected from the pubkey. Runs
+ * fully offline — the other signers don't need to be online.
+ *
+ * @param {TestNetWallet} wallet
+ * @param {object|string} blob   - Spend request, JSON or hex
+ * @param {object}        [options]
+ * @param {object}        [options.provider] - Network the contract lives on (defaults to Chipnet)
+ * @returns {object}             - New request including this signer's sigs
+ */
+export function signArbiterSpend(wallet, blob, { provider } = {}) {
+    const request = decodeArbiterSpend(blob)
+    const pubkey = getWalletPubkey(wallet)
+    const role = ARBITER_ROLES.find(r => request.contract[`${r}Pk`] === pubkey)
+    if (!role) throw new Error('This wallet is not one of the owner, funder or arbiter keys for this contract.')
+
+    // No network calls here — signing only needs the tx itself
+    const contract = contractForRequest(request, provider)
+    const template = new CollectingSignature(wallet.privateKeyWif)
+    const placeholder = utils.placeholder(72)
+
+    // Signatures don't cover other inputs' unlocking data, so building with
+    // a placeholder in the second slot gives the same sighash as the final tx
+    buildArbiterTx(request, contract, () => [template, placeholder]).build()
+
+    return {
+        ...request,
+        signatures: { ...request.signatures, [role]: template.signatures },
+    }
+}
+
+/**
+ * combineArbiterSpends(...blobs)
+ *
+ * Merges signatures from copies of the same request that were signed in
+ * parallel (e.g. owner and arbiter each signed the original).
+ *
+ * @param {...(object|string)} blobs
+ * @returns {object} - Request with every signature found
+ */
+export function combineArbiterSpends(...blobs) {
+    const [first, ...rest] = blobs.map(decodeArbiterSpend)
+    const unsigned = r => JSON.stringify({ ...r, signatures: {} })
+
+    return rest.reduce((merged, request) => {
+        if (unsigned(request) !== unsigned(merged)) {
+            throw new Error('Cannot combine signatures from different spend requests')
+        }
+        return { ...merged, signatures: { ...merged.signatures, ...request.signatures } }
+    }, first)
+}
+
+/**
+ * getArbiterSigners(blob)
+ *
+ * Lists which roles have signed so far, in contract order.
+ *
+ * @param {object|string} blob
+ * @returns {string[]} e.g. ['owner', 'arbiter']
+ */
+export function getArbiterSigners(blob) {
+    const request = decodeArbiterSpend(blob)
+    return ARBITER_ROLES.filter(r => request.signatures[r]?.length === request.inputs.length)
+}
+
+/**
+ * broadcastArbiterSpend(blob, { projectId })
+ *
+ * Builds the final transaction from a request with at least two of the
+ * three signatures and broadcasts it through MilestoneArbiter.spend().
+ *
+ * @param {object|string} blob
+ * @param {object}        [options]
+ * @param {string}        [options.projectId] - If set, recorded with the request's type
+ * @param {object}        [options.provider]  - Defaults to the shared Chipnet provider
+ * @returns {Promise<{ txId, amountBch }>}
+ */
+export async function broadcastArbiterSpend(blob, { projectId, provider } = {}) {
+    const request = decodeArbiterSpend(blob)
+    const signers = getArbiterSigners(request)
+    if (signers.length < 2) {
+        throw new Error(`Need 2 of 3 signatures — have ${signers.length} (${signers.join(', ') || 'none'}).`)
     }
 
-    // Send BCH from wallet to the project address
-    const result = await wallet.send([{
-        cashaddr: projectAddr,
-        value: parseFloat(amountBch),
-        unit: 'bch',
-    }])
+    const contract = withCollectedSignatures(contractForRequest(request, provider), request)
+    const [first, second] = signers.slice(0, 2).map(r => request.signatures[r])
+    const { txid } = await buildArbiterTx(request, contract, i => [first[i], second[i]]).send()
 
-    // Update remaining locked amount
-    const remaining = Math.max(0, locked - amountBch)
-    saveToStorage(STORAGE_KEYS.lockedAmount, remaining)
+    const amountBch = toBch(BigInt(request.outputs[0].amount))
+    await recordContractTx({ projectId, txHash: txid, amount: amountBch, type: request.type })
 
-    return result.txId
+    return { txId: txid, amountBch }
 }
 
 // ── Getters (read state) ──────────────────────────────────────────────────────
 
-/** Returns the user's current governance token balance */
-export function getTokenBalance() {
-    return loadFromStorage(STORAGE_KEYS.tokenBalance, 0)
+/**
+ * getTokenBalance(walletOrAddress, tokenCategory)
+ *
+ * Reads a GOV token balance from the chain through mainnet-js. Accepts a
+ * wallet or a plain cashaddr (read through a watch-only wallet), so the
+ * database layer can check voting power for any user.
+ *
+ * @returns {Promise<number>} Fungible tokens held in `tokenCategory`
+ */
+export async function getTokenBalance(walletOrAddress, tokenCategory) {
+    if (!walletOrAddress || !tokenCategory) return 0
+    const wallet = typeof walletOrAddress === 'string'
+        ? await TestNetWatchWallet.watchOnly(walletOrAddress)
+        : walletOrAddress
+    return Number(await wallet.getTokenBalance(tokenCategory))
 }
 
-/** Returns the total BCH locked in the simulated contract */
-export function getLockedAmount() {
-    return loadFromStorage(STORAGE_KEYS.lockedAmount, 0)
+/** Returns the current Chipnet block height (voting snapshots are taken at it) */
+export async function getBlockHeight(provider = getProvider()) {
+    return provider.getBlockHeight()
 }
 
-/** Returns votes for a specific milestone */
-export function getMilestoneVotes(milestoneId) {
-    const allVotes = loadFromStorage(STORAGE_KEYS.votes, {})
-    return allVotes[milestoneId] || { yes: 0, no: 0 }
+/** Returns the wallet's GOV tokens summed over every category it holds */
+export async function getTotalTokenBalance(wallet) {
+    if (!wallet) return 0
+    const balances = await wallet.getAllTokenBalances()
+    return Object.values(balances).reduce((sum, amount) => sum + Number(amount), 0)
 }
 
-/** Returns ALL milestone votes */
-export function getAllVotes() {
-    return loadFromStorage(STORAGE_KEYS.votes, {})
+/** Returns the BCH currently locked in a contract, summed from its on-chain UTXOs */
+export async function getLockedAmount(contract) {
+    if (!contract) return 0
+    return toBch(await contract.getBalance())
+}
+
+/** Returns the BCH locked across every contract this browser has funded */
+export async function getTotalLockedAmount() {
+    // Entries saved before refundDeadline existed can't be rebuilt — skip them
+    const known = loadFromStorage(STORAGE_KEYS.contracts, []).filter(c => c.refundDeadline)
+    const balances = await Promise.all(
+        known.map(c => getLockedAmount(getMilestoneContract(c.ownerPk, c.funderPk, c.refundDeadline)))
+    )
+    return balances.reduce((sum, bch) => sum + bch, 0)
+}
+
+/**
+ * getCirculatingSupply(lockContract, tokenCategory)
+ *
+ * GOV tokens in circulation: the genesis supply minus the reserve still
+ * held next to the minting baton in the project's GovMinter. Quorum is
+ * measured against this.
+ *
+ * @param {Contract} lockContract  - From getMilestoneContract()
+ * @param {string}   tokenCategory - The project's GOV category
+ * @returns {Promise<number>}
+ */
+export async function getCirculatingSupply(lockContract, tokenCategory) {
+    const baton = await getMintingBaton(getGovMinter(lockContract), tokenCategory)
+    return Number(GOV_TOKEN_SUPPLY - baton.token.amount)
 }
 
-/** Returns true if a milestone has >50% YES votes */
-export function isMilestoneApproved(milestoneId) {
-    const v = getMilestoneVotes(milestoneId)
-    const total = v.yes + v.no
-    return total > 0 && (v.yes / total) > 0.5
+/** Returns true if a milestone's vote boxes pass the project's rules */
+export async function isMilestoneApproved(tokenCategory, milestoneId, rules = DEFAULT_GOVERNANCE_RULES, circulatingSupply = null) {
+    const votes = await getChainVotes(tokenCategory, milestoneId, { rules })
+    return evaluateVotes(votes, rules, circulatingSupply).passing
 }
 
 /** Clears all Week 3 state from localStorage */
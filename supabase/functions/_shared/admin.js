@@ -0,0 +1,13 @@
+/**
+ * supabase/functions/_shared/admin.js
+ *
+ * Service-role Supabase client for edge functions. It bypasses RLS, so the
+ * function using it is the gate: check everything before writing.
+ * SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are provided by Supabase.
+ */
+
+import { createClient } from 'npm:@supabase/supabase-js@2'
+
+export const admin = createClient(Deno.env.get('SUPABASE_URL'), Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'), {
+    auth: { persistSession: false },
+})
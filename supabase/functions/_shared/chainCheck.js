@@ -0,0 +1,252 @@
+/**
+ * supabase/functions/_shared/chainCheck.js
+ *
+ * Looks a transaction up on chain before record-transaction or cast-vote
+ * stores it, so a client can't record a txid it made up, claim more BCH
+ * than it moved or a vote heavier than the GOV it sent.
+ *
+ * The chain is reached through a backend built from any cashscript
+ * NetworkProvider: ElectrumNetworkProvider (a Fulcrum server) in the edge
+ * function, MockNetworkProvider in the tests, which never touch Chipnet.
+ * libauth is passed in as well — Deno loads it from npm, the tests take it
+ * from mainnet-js. Plain JS, no imports: it has to run in Vite and in Deno.
+ */
+
+export const SATS_PER_BCH = 100_000_000
+
+/**
+ * bchToSats(amount)
+ *
+ * @param   {number|string} amount  BCH, e.g. 0.001 or "0.00100000"
+ * @returns {bigint}
+ */
+export function bchToSats(amount) {
+    return BigInt(Math.round(Number(amount) * SATS_PER_BCH))
+}
+
+/**
+ * satsToBch(sats)
+ *
+ * @param   {bigint} sats
+ * @returns {string}  BCH with 8 decimals, as NUMERIC(18, 8) columns hold it
+ */
+export function satsToBch(sats) {
+    return (Number(sats) / SATS_PER_BCH).toFixed(8)
+}
+
+/**
+ * createChainBackend(provider, libauth)
+ *
+ * @param {{ getRawTransaction(txid: string): Promise<string|undefined> }} provider
+ *        A cashscript NetworkProvider
+ * @param {object} libauth  @bitauth/libauth, or anything with its hexToBin,
+ *        decodeTransaction and cashAddressToLockingBytecode (mainnet-js's
+ *        `libauth` re-export)
+ * @returns {{
+ *   getTransaction(txHash: string): Promise<ChainTx|null>,
+ *   getTxHeight(txHash: string): Promise<number|null>,
+ *   getHistory(address: string): Promise<string[]>,
+ *   getBlockHeight(): Promise<number>,
+ *   getUtxos(address: string): Promise<Utxo[]>,
+ *   lockingBytecodeOf(address: string): string|null,
+ * }}
+ *   getTransaction: null if the chain doesn't know the tx; throws when the
+ *   chain can't be reached. getTxHeight: the block the tx was mined in, 0 in
+ *   the mempool, null if unknown. getHistory: txids touching the address,
+ *   oldest first. Both are Fulcrum only — MockNetworkProvider keeps neither.
+ *   getBlockHeight / getUtxos: straight from the provider (cashscript Utxo,
+ *   token amounts as bigint).
+ *   lockingBytecodeOf: hex, null for a bad address.
+ *
+ * ChainTx: { inputs: [{ txHash, index }], outputs: [{ lockingBytecode, satoshis, token }] }
+ *   (txids and bytecode as hex, satoshis as bigint; token is null or
+ *   { category, amount, nft } with the category in txid byte order and the
+ *   fungible amount as bigint)
+ */
+export function createChainBackend(provider, libauth) {
+    return {
+        async getTransaction(txHash) {
+            // Fulcrum answers an unknown txid with "No such mempool or
+            // blockchain transaction"; the mock resolves undefined. Anything
+            // else (no connection, ...) is thrown.
+            const raw = await provider.getRawTransaction(txHash).catch((e) => {
+                if (isUnknownTx(e)) return undefined
+                throw e
+            })
+            if (!raw) return null
+
+            const tx = libauth.decodeTransaction(libauth.hexToBin(raw))
+            if (typeof tx === 'string') return null
+
+            return {
+                inputs: tx.inputs.map(i => ({ txHash: toHex(i.outpointTransactionHash), index: i.outpointIndex })),
+                outputs: tx.outputs.map(o => ({
+                    lockingBytecode: toHex(o.lockingBytecode),
+                    satoshis: o.valueSatoshis,
+                    token: o.token ? { category: toHex(o.token.category), amount: o.token.amount, nft: Boolean(o.token.nft) } : null,
+                })),
+            }
+        },
+
+        async getTxHeight(txHash) {
+            if (!provider.performRequest) throw new Error('This network provider has no transaction heights')
+            const height = await provider.performRequest('blockchain.transaction.get_height', txHash).catch((e) => {
+                if (isUnknownTx(e)) return null
+                throw e
+            })
+            return height ?? null
+        },
+
+        async getHistory(address) {
+            if (!provider.performRequest) throw new Error('This network provider has no address history')
+            const history = await provider.performRequest('blockchain.address.get_history', address)
+            return history.map(h => h.tx_hash)
+        },
+
+        getBlockHeight() {
+            return provider.getBlockHeight()
+        },
+
+        getUtxos(address) {
+            return provider.getUtxos(address)
+        },
+
+        lockingBytecodeOf(address) {
+            const decoded = libauth.cashAddressToLockingBytecode(address)
+            return typeof decoded === 'string' ? null : toHex(decoded.bytecode)
+        },
+    }
+}
+
+/**
+ * checkTransaction(backend, { txHash, type, amount, receiveAddress })
+ *
+ * • funding — the outputs paying `receiveAddress` must add up to exactly
+ *   `amount`; change going elsewhere doesn't count.
+ * • release / refund — the tx must spend coins held at `receiveAddress`
+ *   (the project's MilestoneLock), and what leaves it must be at least
+ *   `amount`: the lock inputs minus any change paid back to the lock, so
+ *   the fee counts but BCH from other inputs doesn't. Spends from a
+ *   MilestoneCovenant or MilestoneArbiter aren't from the receive address
+ *   and are refused.
+ *
+ * @param   {ReturnType<typeof createChainBackend>} backend
+ * @param   {string} txHash
+ * @param   {'funding'|'release'|'refund'} type
+ * @param   {number} amount          Claimed BCH
+ * @param   {string} receiveAddress  The project's receive address
+ * @returns {Promise<{ error: string, status: number }|null>}  null when the tx checks out
+ */
+export async function checkTransaction(backend, { txHash, type, amount, receiveAddress }) {
+    const tx = await backend.getTransaction(txHash)
+    if (!tx) return { error: 'Transaction not found on chain.', status: 404 }
+
+    const receiveLock = receiveAddress ? backend.lockingBytecodeOf(receiveAddress) : null
+    if (!receiveLock) return { error: 'The project has no valid receive address to check the transaction against.', status: 500 }
+
+    const claimed = bchToSats(amount)
+    const paidBack = sumTo(tx.outputs, receiveLock)
+
+    if (type === 'funding') {
+        if (paidBack === 0n) return { error: "The transaction doesn't pay the project's address.", status: 422 }
+        if (paidBack !== claimed) {
+            return { error: `The transaction pays ${satsToBch(paidBack)} BCH to the project, not ${satsToBch(claimed)}.`, status: 422 }
+        }
+        return null
+    }
+
+    const spent = await spentOutputs(backend, tx)
+    const fromLock = sumTo(spent, receiveLock)
+    if (fromLock === 0n) return { error: "The transaction doesn't spend from the project's address.", status: 422 }
+
+    const leaving = fromLock - paidBack
+    if (leaving < claimed) {
+        return { error: `Only ${satsToBch(leaving > 0n ? leaving : 0n)} BCH leaves the project, less than the ${satsToBch(claimed)} claimed.`, status: 422 }
+    }
+    return null
+}
+
+/**
+ * checkVote(backend, { txHash, boxAddress, tokenCategory, votingPower, tokensConsumed, voterLockingBytecode })
+ *
+ * The vote tx has to spend the voter's GOV tokens of `tokenCategory` and
+ * reach the milestone's YES or NO VoteBox at `boxAddress`:
+ * • tokens consumed — the GOV paid to the box is the vote's weight;
+ * • otherwise — output 0 is a BCH marker at the box and output 1 hands
+ *   the GOV back to the voter, its amount being the weight.
+ * Either way only GOV the tx actually spends from the voter's wallet counts
+ * — someone else's vote tx carries none of it — and the weight has to cover
+ * the claimed `votingPower`.
+ *
+ * @param   {ReturnType<typeof createChainBackend>} backend
+ * @param   {string}  txHash
+ * @param   {string}  boxAddress            The VoteBox the vote is for
+ * @param   {string}  tokenCategory         The project's GOV category
+ * @param   {number}  votingPower           Claimed weight in GOV tokens
+ * @param   {boolean} tokensConsumed        The project's governance rule
+ * @param   {string}  voterLockingBytecode  The voter's wallet (lockingBytecodeOf)
+ * @returns {Promise<{ error: string, status: number }|null>}  null when the vote checks out
+ */
+export async function checkVote(backend, { txHash, boxAddress, tokenCategory, votingPower, tokensConsumed, voterLockingBytecode }) {
+    const tx = await backend.getTransaction(txHash)
+    if (!tx) return { error: 'Vote transaction not found on chain.', status: 404 }
+
+    const boxLock = boxAddress ? backend.lockingBytecodeOf(boxAddress) : null
+    if (!boxLock) return { error: 'The vote box address is not valid.', status: 500 }
+    if (!voterLockingBytecode) return { error: "The voter's wallet address is not valid.", status: 500 }
+
+    const fromVoter = (await spentOutputs(backend, tx)).filter(o => o?.lockingBytecode === voterLockingBytecode)
+    const govSpent = sumGov(fromVoter, tokenCategory)
+    if (govSpent === 0n) return { error: "The transaction doesn't spend the voter's GOV tokens of this project.", status: 422 }
+
+    let carried
+    if (tokensConsumed) {
+        carried = sumGov(tx.outputs.filter(o => o.lockingBytecode === boxLock), tokenCategory)
+        if (carried === 0n) return { error: "The transaction doesn't send GOV tokens to this milestone's vote box.", status: 422 }
+    } else {
+        const [marker, tokensBack] = tx.outputs
+        if (marker?.lockingBytecode !== boxLock || marker.token) {
+            return { error: "The transaction doesn't leave a vote marker in this milestone's vote box.", status: 422 }
+        }
+        carried = sumGov([tokensBack], tokenCategory)
+    }
+
+    const weight = carried < govSpent ? carried : govSpent
+    if (weight < BigInt(votingPower)) {
+        return { error: `The transaction carries ${weight} GOV, less than the ${votingPower} claimed.`, status: 422 }
+    }
+    return null
+}
+
+// The outputs a tx's inputs spend, looked up through their own txs (null
+// where the chain doesn't know the parent)
+async function spentOutputs(backend, tx) {
+    const parents = new Map()
+    for (const { txHash } of tx.inputs) {
+        if (!parents.has(txHash)) parents.set(txHash, await backend.getTransaction(txHash))
+    }
+    return tx.inputs.map(i => parents.get(i.txHash)?.outputs[i.index] ?? null)
+}
+
+function sumTo(outputs, lockingBytecode) {
+    return outputs
+        .filter(o => o?.lockingBytecode === lockingBytecode)
+        .reduce((sum, o) => sum + o.satoshis, 0n)
+}
+
+// Fungible GOV of `tokenCategory` held by the outputs
+function sumGov(outputs, tokenCategory) {
+    return outputs
+        .filter(o => o?.token?.category === tokenCategory && !o.token.nft)
+        .reduce((sum, o) => sum + o.token.amount, 0n)
+}
+
+// Fulcrum's answer for a txid it doesn't know (as relayed by cashscript or
+// mainnet-js)
+function isUnknownTx(e) {
+    return /no such|not found|no transaction|might not exist/i.test(e?.message ?? '')
+}
+
+function toHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')
+}
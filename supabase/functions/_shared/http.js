@@ -0,0 +1,38 @@
+/**
+ * supabase/functions/_shared/http.js
+ *
+ * Response helpers every edge function uses. The browser calls the
+ * functions cross-origin through supabase.functions.invoke(), so each
+ * answer (and the CORS preflight) carries these headers.
+ */
+
+export const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-app-name',
+}
+
+/** JSON response; refusals are `{ error }` with a 4xx status */
+export function json(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+    })
+}
+
+/**
+ * readJsonPost(req)
+ *
+ * Handles the preflight and the method check, then parses the body.
+ *
+ * @returns {Promise<{ body?: object, response?: Response }>} `response` when
+ *          the request is answered already
+ */
+export async function readJsonPost(req) {
+    if (req.method === 'OPTIONS') return { response: new Response('ok', { headers: CORS_HEADERS }) }
+    if (req.method !== 'POST') return { response: json({ error: 'Method not allowed' }, 405) }
+    try {
+        return { body: (await req.json()) ?? {} }
+    } catch {
+        return { response: json({ error: 'Request body must be JSON' }, 400) }
+    }
+}
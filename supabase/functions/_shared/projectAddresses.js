@@ -0,0 +1,71 @@
+/**
+ * supabase/functions/_shared/projectAddresses.js
+ *
+ * A project's MilestoneLock, GovMinter and addresses, derived in the edge
+ * functions from its `projects` row — never taken from the client. Built
+ * exactly like getMilestoneContract() / getGovMinter() /
+ * getProjectAddresses() in src/services/milestoneContract.js, from the
+ * compiled MilestoneLock.json and GovMinter.json next to this file (see
+ * projectLock.js). Deno only.
+ */
+
+import { Contract } from 'npm:cashscript@0.12'
+import { cashAddressToLockingBytecode } from 'npm:@bitauth/libauth@3.1.0-next.8'
+import govMinterArtifact from './GovMinter.json' with { type: 'json' }
+import milestoneLockArtifact from './MilestoneLock.json' with { type: 'json' }
+import { getRefundDeadline, SATS_PER_TOKEN } from './projectLock.js'
+
+/**
+ * getMilestoneLock({ ownerPubkey, funderPubkey, createdAt }, provider)
+ *
+ * @param   {string} ownerPubkey    projects.owner_pubkey
+ * @param   {string} funderPubkey   projects.funder_pubkey
+ * @param   {string} createdAt      projects.created_at (refund deadline)
+ * @param   {object} provider       cashscript NetworkProvider (picks the network)
+ * @returns {Contract}
+ */
+export function getMilestoneLock({ ownerPubkey, funderPubkey, createdAt }, provider) {
+    return new Contract(milestoneLockArtifact, [ownerPubkey, funderPubkey, BigInt(getRefundDeadline(createdAt))], {
+        provider,
+        addressType: 'p2sh32',
+    })
+}
+
+/**
+ * getGovMinter({ ownerPubkey, funderPubkey, createdAt }, provider)
+ *
+ * The project's GovMinter, bound to its MilestoneLock.
+ *
+ * @param   {string} ownerPubkey
+ * @param   {string} funderPubkey
+ * @param   {string} createdAt
+ * @param   {object} provider
+ * @returns {Contract}
+ */
+export function getGovMinter({ ownerPubkey, funderPubkey, createdAt }, provider) {
+    const lock = cashAddressToLockingBytecode(getMilestoneLock({ ownerPubkey, funderPubkey, createdAt }, provider).address)
+    return new Contract(govMinterArtifact, [lock.bytecode, SATS_PER_TOKEN], {
+        provider,
+        addressType: 'p2sh32',
+    })
+}
+
+/**
+ * getProjectAddresses({ ownerPubkey, funderPubkey, createdAt, creatorAddress }, provider)
+ *
+ * Funding is paid into the MilestoneLock, or to the creator's wallet while
+ * the lock pubkeys aren't set; releases pay the creator's wallet.
+ *
+ * @param   {string} [ownerPubkey]
+ * @param   {string} [funderPubkey]
+ * @param   {string} createdAt
+ * @param   {string} creatorAddress  The creator's users.wallet_address
+ * @param   {object} provider
+ * @returns {{ receiveAddress: string, payoutAddress: string }}
+ */
+export function getProjectAddresses({ ownerPubkey, funderPubkey, createdAt, creatorAddress }, provider) {
+    const receiveAddress = ownerPubkey && funderPubkey
+        ? getMilestoneLock({ ownerPubkey, funderPubkey, createdAt }, provider).address
+        : creatorAddress
+    return { receiveAddress, payoutAddress: creatorAddress }
+}
@@ -0,0 +1,48 @@
+/**
+ * supabase/functions/_shared/projectLock.js
+ *
+ * The parts of a project's MilestoneLock and GovMinter that are derived
+ * from its `projects` row or fixed for every project. Shared by the browser
+ * (src/services/milestoneContract.js), the jobs in scripts/ and the edge
+ * functions, so every one of them rebuilds the same contracts. Plain JS, no
+ * imports: it has to run in Vite, Node and Deno.
+ *
+ * MilestoneLock.json and GovMinter.json next to this file are the compiled
+ * contracts for the edge functions, which can't import .cash sources.
+ * Rebuild them whenever the contracts change (the contract tests fail while
+ * they disagree):
+ *
+ *   npx cashc src/contracts/MilestoneLock.cash --output supabase/functions/_shared/MilestoneLock.json
+ *   npx cashc src/contracts/GovMinter.cash --output supabase/functions/_shared/GovMinter.json
+ */
+
+// How many governance tokens to mint per 0.001 BCH funded
+// (100 tokens per 0.001 BCH = 100,000 tokens per 1 BCH)
+export const TOKENS_PER_UNIT = 100
+
+// The same rate in the units GovMinter.cash checks: sats deposited per token
+export const SATS_PER_TOKEN = 100_000n / BigInt(TOKENS_PER_UNIT)
+
+// Fungible supply is fixed at genesis, so each project's category is created
+// with the maximum amount and GovMinter releases it against deposits
+export const GOV_TOKEN_SUPPLY = 2n ** 63n - 1n
+
+// How long after project creation backers can reclaim funds without the
+// creator (MilestoneLock.reclaim). 90 days.
+export const REFUND_WINDOW_SECONDS = 90 * 24 * 60 * 60
+
+/**
+ * getRefundDeadline(createdAt)
+ *
+ * The reclaim deadline baked into a project's MilestoneLock: project
+ * creation time plus REFUND_WINDOW_SECONDS. Derived from `created_at` so
+ * every browser rebuilds the same contract address.
+ *
+ * @param {string|Date} createdAt  projects.created_at
+ * @returns {number}               Unix timestamp (seconds)
+ */
+export function getRefundDeadline(createdAt) {
+    const createdMs = new Date(createdAt).getTime()
+    if (Number.isNaN(createdMs)) throw new Error('A valid project creation time is required for the refund deadline')
+    return Math.floor(createdMs / 1000) + REFUND_WINDOW_SECONDS
+}
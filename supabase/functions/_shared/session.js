@@ -0,0 +1,60 @@
+/**
+ * supabase/functions/_shared/session.js
+ *
+ * Wallet session tokens: minted by auth-verify once a wallet has signed a
+ * sign-in challenge, and checked by every function that writes on a user's
+ * behalf. They are ordinary Supabase JWTs signed with the project's JWT
+ * secret, so PostgREST accepts them too and RLS sees `sub` as auth.uid().
+ *
+ * Deploy:   supabase secrets set WALLET_AUTH_JWT_SECRET=<project JWT secret>
+ */
+
+import { SignJWT, jwtVerify } from 'npm:jose@5'
+
+// How long a wallet session lasts before the browser signs in again. 1 hour.
+export const SESSION_SECONDS = 60 * 60
+
+const jwtSecret = new TextEncoder().encode(Deno.env.get('WALLET_AUTH_JWT_SECRET'))
+
+/**
+ * mintSessionToken(user)
+ *
+ *   sub = users.id            → auth.uid() in RLS policies
+ *   role/aud = authenticated  → the `authenticated` Postgres role
+ *   wallet_address            → auth.jwt() ->> 'wallet_address'
+ *
+ * @param   {{ id: string, wallet_address: string }} user
+ * @returns {Promise<{ accessToken: string, expiresAt: number }>} expiresAt in Unix seconds
+ */
+export async function mintSessionToken(user) {
+    const expiresAt = Math.floor(Date.now() / 1000) + SESSION_SECONDS
+    const accessToken = await new SignJWT({ role: 'authenticated', wallet_address: user.wallet_address })
+        .setProtectedHeader({ alg: 'HS256', typ: 'JWT' })
+        .setSubject(user.id)
+        .setAudience('authenticated')
+        .setIssuedAt()
+        .setExpirationTime(expiresAt)
+        .sign(jwtSecret)
+    return { accessToken, expiresAt }
+}
+
+/**
+ * getSessionUser(req)
+ *
+ * The signed-in user behind a request's Authorization header. The anon key
+ * and expired or foreign tokens give null.
+ *
+ * @param   {Request} req
+ * @returns {Promise<{ id: string, walletAddress: string }|null>}
+ */
+export async function getSessionUser(req) {
+    const token = req.headers.get('Authorization')?.replace(/^Bearer\s+/i, '')
+    if (!token) return null
+    try {
+        const { payload } = await jwtVerify(token, jwtSecret, { audience: 'authenticated' })
+        if (!payload.sub || !payload.wallet_address) return null
+        return { id: payload.sub, walletAddress: payload.wallet_address }
+    } catch {
+        return null
+    }
+}
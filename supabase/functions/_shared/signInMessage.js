@@ -0,0 +1,28 @@
+/**
+ * supabase/functions/_shared/signInMessage.js
+ *
+ * The text a wallet signs to sign in. Issued by the auth-challenge edge
+ * function, signed in the browser (signInWithWallet() in
+ * src/services/bchWallet.js) and rebuilt by auth-verify to check the
+ * signature. Plain JS, no imports: it has to run in Vite and in Deno.
+ */
+
+// A challenge must be signed and verified within this time. 5 minutes.
+export const SIGN_IN_CHALLENGE_SECONDS = 5 * 60
+
+/**
+ * buildSignInMessage({ walletAddress, nonce, issuedAt })
+ *
+ * @param {string} walletAddress  BCH cashaddr signing in
+ * @param {string} nonce          Single-use, from auth-challenge
+ * @param {number} issuedAt       Unix seconds
+ * @returns {string}
+ */
+export function buildSignInMessage({ walletAddress, nonce, issuedAt }) {
+    return [
+        'Sign in to Milestara',
+        `address: ${walletAddress}`,
+        `nonce: ${nonce}`,
+        `issued: ${issuedAt}`,
+    ].join('\n')
+}
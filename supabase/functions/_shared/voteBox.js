@@ -0,0 +1,35 @@
+/**
+ * supabase/functions/_shared/voteBox.js
+ *
+ * The constructor arguments of a milestone's YES and NO VoteBox. Shared by
+ * the browser (getVoteBoxes() in src/services/milestoneContract.js) and the
+ * cast-vote edge function, which rebuilds the box a vote has to reach — so
+ * both derive the same address. Plain JS, no imports: it has to run in Vite
+ * and in Deno.
+ *
+ * VoteBox.json next to this file is the compiled artifact for Deno, which
+ * can't import the .cash source. Rebuild it whenever VoteBox.cash changes:
+ *
+ *   npx cashc src/contracts/VoteBox.cash --output supabase/functions/_shared/VoteBox.json
+ *
+ * (VoteBox.test.js fails while the two disagree.)
+ */
+
+export const VOTE_CHOICES = { yes: 1n, no: 0n }
+
+/**
+ * getVoteBoxArgs(tokenCategory, milestoneId, choice)
+ *
+ * @param   {string} tokenCategory  The project's GOV category, as stored
+ *                                  (txid byte order)
+ * @param   {string} milestoneId
+ * @param   {'yes'|'no'} choice
+ * @returns {[string, string, bigint]}  tokenCategory in internal byte order
+ *          (what introspection opcodes push), the UTF-8 milestone id as hex
+ *          and the choice
+ */
+export function getVoteBoxArgs(tokenCategory, milestoneId, choice) {
+    const category = tokenCategory.match(/../g).reverse().join('')
+    const id = Array.from(new TextEncoder().encode(String(milestoneId)), b => b.toString(16).padStart(2, '0')).join('')
+    return [category, id, VOTE_CHOICES[choice]]
+}
@@ -0,0 +1,32 @@
+/**
+ * supabase/functions/_shared/voteMessage.js
+ *
+ * The text a voter's wallet signs for a vote. Shared by the browser, which
+ * signs it (signVote() in src/services/milestoneContract.js), and the
+ * cast-vote edge function, which rebuilds it to verify the signature — so
+ * both sides always agree on every byte. Plain JS, no imports: it has to
+ * run in Vite and in Deno.
+ */
+
+// A signed vote is accepted this long after (or before, for clock skew) its
+// timestamp. 5 minutes.
+export const VOTE_SIGNATURE_MAX_AGE_SECONDS = 5 * 60
+
+/**
+ * buildVoteMessage({ milestoneId, vote, weight, timestamp })
+ *
+ * @param {string}  milestoneId  UUID of the milestone
+ * @param {boolean} vote         true = YES, false = NO
+ * @param {number}  weight       GOV tokens the voter commits
+ * @param {number}  timestamp    Unix seconds when the vote was signed
+ * @returns {string}
+ */
+export function buildVoteMessage({ milestoneId, vote, weight, timestamp }) {
+    return [
+        'Milestara vote',
+        `milestone: ${milestoneId}`,
+        `choice: ${vote ? 'YES' : 'NO'}`,
+        `weight: ${weight}`,
+        `timestamp: ${timestamp}`,
+    ].join('\n')
+}
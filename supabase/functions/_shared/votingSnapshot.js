@@ -0,0 +1,62 @@
+/**
+ * supabase/functions/_shared/votingSnapshot.js
+ *
+ * Reads a milestone's voting snapshot from the chain: every registered
+ * wallet's GOV balance and the circulating supply, at one block height.
+ * The take-snapshot edge function stores the result with the service role,
+ * so the balances votes are weighed by never come from a browser.
+ * set-token-category uses getMintingReserve() to check a category's baton
+ * sits at the project's GovMinter before storing it. Tested
+ * against MockNetworkProvider through a chainCheck.js backend. Plain JS, no
+ * npm imports: it has to run in Vite and in Deno.
+ */
+
+import { GOV_TOKEN_SUPPLY } from './projectLock.js'
+
+/**
+ * readVotingSnapshot(backend, { users, tokenCategory, minterAddress })
+ *
+ * @param   {ReturnType<import('./chainCheck.js').createChainBackend>} backend
+ * @param   {{ id: string, wallet_address: string }[]} users  Registered wallets
+ * @param   {string} tokenCategory  The project's GOV category
+ * @param   {string} minterAddress  The project's GovMinter, holding the baton
+ *                                  and the unminted reserve
+ * @returns {Promise<{ blockHeight: number, balances: { voterId: string, balance: number }[], circulatingSupply: number }>}
+ *          balances only lists users holding GOV
+ */
+export async function readVotingSnapshot(backend, { users, tokenCategory, minterAddress }) {
+    const blockHeight = await backend.getBlockHeight()
+
+    const held = await Promise.all(users.map(async (u) => {
+        const utxos = await backend.getUtxos(u.wallet_address)
+        return utxos
+            .filter(o => o.token?.category === tokenCategory && !o.token.nft)
+            .reduce((sum, o) => sum + o.token.amount, 0n)
+    }))
+    const balances = users
+        .map((u, i) => ({ voterId: u.id, balance: Number(held[i]) }))
+        .filter(b => b.balance > 0)
+
+    const reserve = await getMintingReserve(backend, { tokenCategory, minterAddress })
+    if (reserve === null) throw new Error('The GOV minting baton for this project was not found on chain.')
+
+    return { blockHeight, balances, circulatingSupply: Number(GOV_TOKEN_SUPPLY - reserve) }
+}
+
+/**
+ * getMintingReserve(backend, { tokenCategory, minterAddress })
+ *
+ * @param   {ReturnType<import('./chainCheck.js').createChainBackend>} backend
+ * @param   {string} tokenCategory
+ * @param   {string} minterAddress  The project's GovMinter
+ * @returns {Promise<bigint|null>}  The unminted GOV on the category's minting
+ *          baton, null when the minter holds no baton of the category
+ */
+export async function getMintingReserve(backend, { tokenCategory, minterAddress }) {
+    // Anyone can send the minter another minting NFT of the category; the
+    // real baton is the one holding the reserve
+    const reserve = (await backend.getUtxos(minterAddress))
+        .filter(o => o.token?.category === tokenCategory && o.token.nft?.capability === 'minting')
+        .reduce((max, o) => (o.token.amount > max ? o.token.amount : max), -1n)
+    return reserve < 0n ? null : reserve
+}
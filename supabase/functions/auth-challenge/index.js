@@ -0,0 +1,47 @@
+/**
+ * supabase/functions/auth-challenge/index.js
+ *
+ * Supabase Edge Function (Deno) — step 1 of wallet sign-in. Issues a
+ * single-use nonce for a wallet address and returns the message the wallet
+ * has to sign (_shared/signInMessage.js). auth-verify checks the signature.
+ *
+ * Request:  POST { walletAddress }
+ * Response: 200 { nonce, message, expiresAt } | 4xx/5xx { error }
+ *
+ * Deploy:   supabase functions deploy auth-challenge
+ */
+
+import { admin } from '../_shared/admin.js'
+import { json, readJsonPost } from '../_shared/http.js'
+import { buildSignInMessage, SIGN_IN_CHALLENGE_SECONDS } from '../_shared/signInMessage.js'
+
+// Mainnet, chipnet/testnet and regtest cashaddrs
+const CASHADDR = /^(bitcoincash|bchtest|bchreg):[qp][02-9ac-hj-np-z]{41}$/
+
+Deno.serve(async (req) => {
+    const { body, response } = await readJsonPost(req)
+    if (response) return response
+
+    const { walletAddress } = body
+    if (!CASHADDR.test(walletAddress ?? '')) return json({ error: 'walletAddress must be a BCH cashaddr' }, 400)
+
+    const nonce = crypto.randomUUID()
+    const issuedAt = Math.floor(Date.now() / 1000)
+    const expiresAt = issuedAt + SIGN_IN_CHALLENGE_SECONDS
+
+    const { error } = await admin
+        .from('auth_challenges')
+        .insert({
+            nonce,
+            wallet_address: walletAddress,
+            issued_at: new Date(issuedAt * 1000).toISOString(),
+            expires_at: new Date(expiresAt * 1000).toISOString(),
+        })
+
+    if (error) {
+        console.error('[auth-challenge] insert error:', error)
+        return json({ error: error.message }, 500)
+    }
+
+    return json({ nonce, message: buildSignInMessage({ walletAddress, nonce, issuedAt }), expiresAt })
+})
@@ -0,0 +1,89 @@
+/**
+ * supabase/functions/auth-verify/index.js
+ *
+ * Supabase Edge Function (Deno) — step 2 of wallet sign-in. Checks the
+ * wallet's signature over an auth-challenge message, creates the users row
+ * for the address on first sign-in, and mints a Supabase JWT for it
+ * (_shared/session.js). Each nonce works once, and only before it expires.
+ *
+ * Request:  POST { walletAddress, nonce, signature }
+ * Response: 200 { accessToken, expiresAt, user } | 4xx/5xx { error }
+ *
+ * Deploy:   supabase functions deploy auth-verify
+ *           supabase secrets set WALLET_AUTH_JWT_SECRET=<project JWT secret>
+ * The secret is the project's JWT secret (Settings → API), so PostgREST
+ * accepts the tokens minted here.
+ */
+
+import { SignedMessage } from 'npm:mainnet-js@3'
+import { admin } from '../_shared/admin.js'
+import { json, readJsonPost } from '../_shared/http.js'
+import { mintSessionToken } from '../_shared/session.js'
+import { buildSignInMessage } from '../_shared/signInMessage.js'
+
+Deno.serve(async (req) => {
+    const { body, response } = await readJsonPost(req)
+    if (response) return response
+
+    const { walletAddress, nonce, signature } = body
+    if (!walletAddress || !nonce || !signature) {
+        return json({ error: 'walletAddress, nonce and signature are required' }, 400)
+    }
+
+    // ── 1. An unused, unexpired challenge for this address ────────────────────
+    const { data: challenge, error: challengeError } = await admin
+        .from('auth_challenges')
+        .select('issued_at, expires_at, used_at')
+        .eq('nonce', nonce)
+        .eq('wallet_address', walletAddress)
+        .maybeSingle()
+
+    if (challengeError) {
+        console.error('[auth-verify] challenge lookup error:', challengeError)
+        return json({ error: challengeError.message }, 500)
+    }
+    if (!challenge || challenge.used_at || Date.parse(challenge.expires_at) <= Date.now()) {
+        return json({ error: 'The sign-in challenge has expired. Please sign in again.' }, 401)
+    }
+
+    // ── 2. Signed by that wallet ──────────────────────────────────────────────
+    const issuedAt = Math.floor(Date.parse(challenge.issued_at) / 1000)
+    const message = buildSignInMessage({ walletAddress, nonce, issuedAt })
+    let valid = false
+    try {
+        valid = SignedMessage.verify(message, signature, walletAddress).valid
+    } catch {
+        // Malformed base64 or an unparseable signature
+    }
+    if (!valid) return json({ error: "The signature doesn't match this wallet." }, 401)
+
+    // ── 3. Burn the nonce — only the first request with it gets a session ─────
+    const { data: burned, error: burnError } = await admin
+        .from('auth_challenges')
+        .update({ used_at: new Date().toISOString() })
+        .eq('nonce', nonce)
+        .is('used_at', null)
+        .select('nonce')
+
+    if (burnError) {
+        console.error('[auth-verify] burn nonce error:', burnError)
+        return json({ error: burnError.message }, 500)
+    }
+    if (!burned.length) return json({ error: 'The sign-in challenge was already used.' }, 401)
+
+    // ── 4. The user behind the address, created on first sign-in ──────────────
+    const { data: user, error: userError } = await admin
+        .from('users')
+        .upsert({ wallet_address: walletAddress }, { onConflict: 'wallet_address' })
+        .select()
+        .single()
+
+    if (userError) {
+        console.error('[auth-verify] upsert user error:', userError)
+        return json({ error: userError.message }, 500)
+    }
+
+    // ── 5. Supabase session token ─────────────────────────────────────────────
+    const { accessToken, expiresAt } = await mintSessionToken(user)
+    return json({ accessToken, expiresAt, user })
+})
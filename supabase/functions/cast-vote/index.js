@@ -0,0 +1,195 @@
+/**
+ * supabase/functions/cast-vote/index.js
+ *
+ * Supabase Edge Function (Deno) — the only way a direct vote gets into the
+ * `votes` table. The browser can't write votes itself (no INSERT/UPDATE
+ * policy for them), so a vote row can't be forged for someone else's
+ * voter_id with the anon key.
+ *
+ * The caller must be signed in as the voter (wallet session, see
+ * _shared/session.js): nobody casts a vote under someone else's voter_id.
+ * The request also carries a BCH signed message from the voter's wallet
+ * (mainnet-js `wallet.sign()`) over the milestone id, choice, weight and a
+ * timestamp (_shared/voteMessage.js). Before storing the vote this checks:
+ *   • the signature recovers to the voter's users.wallet_address,
+ *   • the timestamp is fresh, and newer than the vote it replaces — an old
+ *     signature can't be replayed to undo a change,
+ *   • the stored weight is at most the signed weight and the voter's
+ *     snapshot balance,
+ *   • the vote tx is on chain, spends GOV of the project's token_category
+ *     from the voter's wallet (not someone else's vote tx) and sends it to (or, when tokens aren't consumed, marks) the
+ *     milestone's YES or NO VoteBox with at least that weight
+ *     (_shared/chainCheck.js) — a made-up txHash or an inflated
+ *     votingPower is refused with a 422.
+ * The voting-window trigger on `votes` still applies.
+ *
+ * The box is rebuilt from VoteBox.json (_shared/voteBox.js) exactly as the
+ * browser's getVoteBoxes() does.
+ *
+ * Env:      CHAIN_NETWORK            cashscript network name (default chipnet)
+ *           ELECTRUM_HOST            Fulcrum server to use instead of the
+ *                                    network's default
+ *
+ * Request:  POST { milestoneId, voterId, vote, weight, timestamp, signature,
+ *                  votingPower, txHash }
+ * Response: 200 the stored vote row | 4xx/5xx { error }
+ *
+ * Deploy:   supabase functions deploy cast-vote
+ */
+
+import { Contract, ElectrumNetworkProvider } from 'npm:cashscript@0.12'
+import * as libauth from 'npm:@bitauth/libauth@3.1.0-next.8'
+import { SignedMessage } from 'npm:mainnet-js@3'
+import { admin } from '../_shared/admin.js'
+import { checkVote, createChainBackend } from '../_shared/chainCheck.js'
+import { json, readJsonPost } from '../_shared/http.js'
+import { getSessionUser } from '../_shared/session.js'
+import { getVoteBoxArgs } from '../_shared/voteBox.js'
+import voteBoxArtifact from '../_shared/VoteBox.json' with { type: 'json' }
+import { buildVoteMessage, VOTE_SIGNATURE_MAX_AGE_SECONDS } from '../_shared/voteMessage.js'
+
+const TXID = /^[0-9a-f]{64}$/
+
+const ELECTRUM_HOST = Deno.env.get('ELECTRUM_HOST')
+const provider = new ElectrumNetworkProvider(Deno.env.get('CHAIN_NETWORK') ?? 'chipnet', ELECTRUM_HOST ? { hostname: ELECTRUM_HOST } : {})
+const chain = createChainBackend(provider, libauth)
+
+Deno.serve(async (req) => {
+    const { body, response } = await readJsonPost(req)
+    if (response) return response
+
+    const { milestoneId, voterId, vote, weight, timestamp, signature, votingPower, txHash } = body
+    if (!milestoneId || !voterId || !txHash || !signature || typeof vote !== 'boolean') {
+        return json({ error: 'milestoneId, voterId, vote, txHash and signature are required' }, 400)
+    }
+    if (!TXID.test(txHash)) return json({ error: 'txHash must be a 64-character hex transaction id' }, 400)
+    if (!Number.isInteger(weight) || weight < 1) {
+        return json({ error: 'weight must be a positive whole number of GOV tokens' }, 400)
+    }
+    if (!Number.isInteger(votingPower) || votingPower < 1 || votingPower > weight) {
+        return json({ error: 'votingPower must be between 1 and the signed weight' }, 400)
+    }
+    const session = await getSessionUser(req)
+    if (!session) return json({ error: 'Sign in with your wallet to vote.' }, 401)
+    if (session.id !== voterId) return json({ error: 'You can only cast your own vote.' }, 403)
+    const now = Math.floor(Date.now() / 1000)
+    if (!Number.isInteger(timestamp) || Math.abs(now - timestamp) > VOTE_SIGNATURE_MAX_AGE_SECONDS) {
+        return json({ error: 'The vote signature has expired. Please vote again.' }, 401)
+    }
+
+    // ── 1. The signature must come from the voter's wallet ────────────────────
+    const { data: voter, error: voterError } = await admin
+        .from('users')
+        .select('wallet_address')
+        .eq('id', voterId)
+        .maybeSingle()
+
+    if (voterError) {
+        console.error('[cast-vote] voter lookup error:', voterError)
+        return json({ error: voterError.message }, 500)
+    }
+    if (!voter) return json({ error: 'Voter not found.' }, 404)
+
+    const message = buildVoteMessage({ milestoneId, vote, weight, timestamp })
+    let valid = false
+    try {
+        valid = SignedMessage.verify(message, signature, voter.wallet_address).valid
+    } catch {
+        // Malformed base64 or an unparseable signature
+    }
+    if (!valid) return json({ error: "The vote signature doesn't match the voter's wallet." }, 401)
+
+    // ── 2. Weight capped by the voting snapshot ───────────────────────────────
+    const { data: snapshot, error: snapshotError } = await admin
+        .from('voting_snapshots')
+        .select('balance')
+        .eq('milestone_id', milestoneId)
+        .eq('voter_id', voterId)
+        .maybeSingle()
+
+    if (snapshotError) {
+        console.error('[cast-vote] snapshot lookup error:', snapshotError)
+        return json({ error: snapshotError.message }, 500)
+    }
+    if (votingPower > (snapshot?.balance ?? 0)) {
+        return json({ error: 'The vote weighs more than the GOV you held when voting opened.' }, 403)
+    }
+
+    // ── 3. The vote tx must carry that weight on chain ────────────────────────
+    const { data: milestone, error: milestoneError } = await admin
+        .from('milestones')
+        .select('project:projects(token_category, tokens_consumed)')
+        .eq('id', milestoneId)
+        .maybeSingle()
+
+    if (milestoneError) {
+        console.error('[cast-vote] milestone lookup error:', milestoneError)
+        return json({ error: milestoneError.message }, 500)
+    }
+    if (!milestone) return json({ error: 'Milestone not found.' }, 404)
+    const { token_category: tokenCategory, tokens_consumed: tokensConsumed } = milestone.project ?? {}
+    if (!tokenCategory) return json({ error: 'This project has no GOV token yet.' }, 422)
+
+    const box = new Contract(voteBoxArtifact, getVoteBoxArgs(tokenCategory, milestoneId, vote ? 'yes' : 'no'), {
+        provider,
+        addressType: 'p2sh32',
+    })
+    let refusal
+    try {
+        refusal = await checkVote(chain, {
+            txHash,
+            boxAddress: box.address,
+            tokenCategory,
+            votingPower,
+            tokensConsumed,
+            voterLockingBytecode: chain.lockingBytecodeOf(voter.wallet_address),
+        })
+    } catch (e) {
+        console.error('[cast-vote] chain lookup error:', e)
+        return json({ error: 'Could not reach the chain to check the transaction. Please try again.' }, 502)
+    }
+    if (refusal) return json({ error: refusal.error }, refusal.status)
+
+    // ── 4. No replaying an older signature over a newer vote ──────────────────
+    const { data: current, error: currentError } = await admin
+        .from('votes')
+        .select('tx_hash, signed_at')
+        .eq('milestone_id', milestoneId)
+        .eq('voter_id', voterId)
+        .maybeSingle()
+
+    if (currentError) {
+        console.error('[cast-vote] current vote lookup error:', currentError)
+        return json({ error: currentError.message }, 500)
+    }
+    if (current?.tx_hash === txHash) return json({ error: 'This vote transaction is already recorded.' }, 409)
+    if (current?.signed_at && Date.parse(current.signed_at) >= timestamp * 1000) {
+        return json({ error: 'A newer vote is already recorded.' }, 409)
+    }
+
+    // ── 5. Store it, replacing the voter's earlier vote ───────────────────────
+    const { data: voteRecord, error: upsertError } = await admin
+        .from('votes')
+        .upsert({
+            milestone_id: milestoneId,
+            voter_id: voterId,
+            vote,
+            voting_power: votingPower,
+            tx_hash: txHash,
+            delegated_by: null,
+            signature,
+            signed_at: new Date(timestamp * 1000).toISOString(),
+        }, { onConflict: 'milestone_id,voter_id' })
+        .select()
+        .single()
+
+    if (upsertError) {
+        // 23505: tx_hash cached as someone else's vote; 23514: window trigger
+        if (upsertError.code === '23505') return json({ error: 'This vote transaction is already recorded.' }, 409)
+        if (upsertError.code === '23514') return json({ error: upsertError.message }, 403)
+        console.error('[cast-vote] upsert error:', upsertError)
+        return json({ error: upsertError.message }, 500)
+    }
+
+    return json(voteRecord)
+})
@@ -0,0 +1,104 @@
+/**
+ * supabase/functions/create-project/index.js
+ *
+ * Supabase Edge Function (Deno) — the only way a row gets into the
+ * `projects` table. Clients have no INSERT policy on it, because the row
+ * carries what record-transaction checks funding against: the
+ * receive_address, and the created_at the MilestoneLock's refund deadline
+ * and address are derived from.
+ *
+ * The caller must be signed in with a wallet (_shared/session.js) and
+ * becomes the creator. created_at is set here, and receive_address /
+ * payout_address are derived from it, the lock pubkeys and the creator's
+ * wallet (_shared/projectAddresses.js) — a request that brings its own
+ * createdAt, receiveAddress or payoutAddress is refused. So is a
+ * tokenCategory: its baton can't be at a GovMinter that only exists once
+ * created_at is set, and set-token-category checks it there later. The
+ * governance rules are checked again by the table's CHECK constraints.
+ *
+ * Env:      CHAIN_NETWORK  cashscript network name (default chipnet); picks
+ *                          the address prefix
+ *
+ * Request:  POST { title, description, fundingTarget, ownerPubkey,
+ *                  funderPubkey, governance }
+ *           governance: { approvalThreshold, quorumPercent,
+ *                         votingDurationSeconds, tokensConsumed, votingMode }
+ * Response: 200 the stored project row | 4xx/5xx { error }
+ *
+ * Deploy:   supabase functions deploy create-project
+ */
+
+import { ElectrumNetworkProvider } from 'npm:cashscript@0.12'
+import { admin } from '../_shared/admin.js'
+import { json, readJsonPost } from '../_shared/http.js'
+import { getProjectAddresses } from '../_shared/projectAddresses.js'
+import { getSessionUser } from '../_shared/session.js'
+
+// Compressed secp256k1 public key, hex
+const PUBKEY = /^0[23][0-9a-f]{64}$/
+
+const provider = new ElectrumNetworkProvider(Deno.env.get('CHAIN_NETWORK') ?? 'chipnet')
+
+Deno.serve(async (req) => {
+    const { body, response } = await readJsonPost(req)
+    if (response) return response
+
+    const session = await getSessionUser(req)
+    if (!session) return json({ error: 'Sign in with your wallet to create a project.' }, 401)
+
+    const { title, description, fundingTarget, ownerPubkey, funderPubkey, governance = {} } = body
+    if ('createdAt' in body || 'receiveAddress' in body || 'payoutAddress' in body) {
+        return json({ error: 'createdAt, receiveAddress and payoutAddress are set by the server' }, 400)
+    }
+    if ('tokenCategory' in body) {
+        return json({ error: 'tokenCategory is set with set-token-category once the GOV token exists' }, 400)
+    }
+    if (!title?.trim()) return json({ error: 'title is required' }, 400)
+    if (!(typeof fundingTarget === 'number' && fundingTarget > 0)) return json({ error: 'fundingTarget must be > 0' }, 400)
+    if (Boolean(ownerPubkey) !== Boolean(funderPubkey)) {
+        return json({ error: 'ownerPubkey and funderPubkey are set together' }, 400)
+    }
+    if (ownerPubkey && !(PUBKEY.test(ownerPubkey) && PUBKEY.test(funderPubkey))) {
+        return json({ error: 'ownerPubkey and funderPubkey must be compressed public keys in hex' }, 400)
+    }
+
+    // ── 1. The addresses come from the row, not from the client ──────────────
+    const createdAt = new Date().toISOString()
+    const { receiveAddress, payoutAddress } = getProjectAddresses({
+        ownerPubkey,
+        funderPubkey,
+        createdAt,
+        creatorAddress: session.walletAddress,
+    }, provider)
+
+    // ── 2. Store it; unset rules keep their column defaults ───────────────────
+    const { data: project, error } = await admin
+        .from('projects')
+        .insert({
+            creator_id: session.id,
+            title: title.trim(),
+            description: description?.trim() ?? '',
+            funding_target: fundingTarget,
+            owner_pubkey: ownerPubkey ?? null,
+            funder_pubkey: funderPubkey ?? null,
+            receive_address: receiveAddress,
+            payout_address: payoutAddress,
+            created_at: createdAt,
+            approval_threshold: governance.approvalThreshold,
+            quorum_percent: governance.quorumPercent,
+            voting_duration_seconds: governance.votingDurationSeconds,
+            tokens_consumed: governance.tokensConsumed,
+            voting_mode: governance.votingMode,
+        })
+        .select()
+        .single()
+
+    if (error) {
+        // 23514: a rule out of range
+        if (error.code === '23514') return json({ error: error.message }, 400)
+        console.error('[create-project] insert error:', error)
+        return json({ error: error.message }, 500)
+    }
+
+    return json(project)
+})
@@ -0,0 +1,130 @@
+/**
+ * supabase/functions/record-transaction/index.js
+ *
+ * Supabase Edge Function (Deno) — the only way a row gets into the
+ * `transactions` table. Clients have no INSERT policy on it and can't call
+ * increment_funded_amount(), so neither the audit trail nor a project's
+ * funded_amount can be written straight from the browser.
+ *
+ * The caller must be signed in with a wallet (_shared/session.js). The tx is
+ * then looked up on chain through a Fulcrum server (_shared/chainCheck.js):
+ * it has to exist, a funding tx has to pay the project's receive address
+ * exactly the claimed amount, and a release or refund has to spend from
+ * that address at least the claimed amount. Only then are the row and, for
+ * funding, the funded_amount increment written together by
+ * record_transaction() (schema.sql), which only the service role may run.
+ *
+ * Recording is idempotent: a (txHash, type) that is already recorded comes
+ * back as the stored row and funded_amount is left alone, so a retry or a
+ * double click never counts funding twice.
+ *
+ * Funding is checked against the project's own receive address (its
+ * MilestoneLock or the creator's wallet, schema.sql), derived again here
+ * from the row's pubkeys, created_at and the creator's wallet
+ * (_shared/projectAddresses.js) rather than read from receive_address.
+ * Projects created before that column were all funded at one platform
+ * address, set here as PROJECT_RECEIVE_ADDRESS.
+ *
+ * Env:      PROJECT_RECEIVE_ADDRESS  cashaddr funding of projects without a
+ *                                    receive_address must pay
+ *           CHAIN_NETWORK            cashscript network name (default chipnet)
+ *           ELECTRUM_HOST            Fulcrum server to use instead of the
+ *                                    network's default, e.g. a local regtest node
+ *
+ * Request:  POST { projectId, txHash, amount, type }
+ * Response: 200 the stored transaction row | 4xx/5xx { error }
+ *
+ * Deploy:   supabase functions deploy record-transaction
+ */
+
+import { ElectrumNetworkProvider } from 'npm:cashscript@0.12'
+import * as libauth from 'npm:@bitauth/libauth@3.1.0-next.8'
+import { admin } from '../_shared/admin.js'
+import { checkTransaction, createChainBackend } from '../_shared/chainCheck.js'
+import { json, readJsonPost } from '../_shared/http.js'
+import { getProjectAddresses } from '../_shared/projectAddresses.js'
+import { getSessionUser } from '../_shared/session.js'
+
+const TX_TYPES = ['funding', 'release', 'refund']
+const TXID = /^[0-9a-f]{64}$/
+
+const ELECTRUM_HOST = Deno.env.get('ELECTRUM_HOST')
+const provider = new ElectrumNetworkProvider(Deno.env.get('CHAIN_NETWORK') ?? 'chipnet', ELECTRUM_HOST ? { hostname: ELECTRUM_HOST } : {})
+const chain = createChainBackend(provider, libauth)
+
+// Where the project's funding goes: the platform address for projects
+// created before receive_address, otherwise as create-project derived it
+function receiveAddressOf(project) {
+    if (!project.receive_address) return Deno.env.get('PROJECT_RECEIVE_ADDRESS')
+    return getProjectAddresses({
+        ownerPubkey: project.owner_pubkey,
+        funderPubkey: project.funder_pubkey,
+        createdAt: project.created_at,
+        creatorAddress: project.creator?.wallet_address,
+    }, provider).receiveAddress
+}
+
+Deno.serve(async (req) => {
+    const { body, response } = await readJsonPost(req)
+    if (response) return response
+
+    const session = await getSessionUser(req)
+    if (!session) return json({ error: 'Sign in with your wallet to record a transaction.' }, 401)
+
+    const { projectId, txHash, amount, type } = body
+    if (!projectId) return json({ error: 'projectId is required' }, 400)
+    if (!TXID.test(txHash ?? '')) return json({ error: 'txHash must be a 64-character hex transaction id' }, 400)
+    if (!(typeof amount === 'number' && amount > 0)) return json({ error: 'amount must be > 0' }, 400)
+    if (!TX_TYPES.includes(type)) return json({ error: `type must be one of: ${TX_TYPES.join(', ')}` }, 400)
+
+    const { data: project, error: projectError } = await admin
+        .from('projects')
+        .select('receive_address, owner_pubkey, funder_pubkey, created_at, creator:users(wallet_address)')
+        .eq('id', projectId)
+        .maybeSingle()
+
+    if (projectError) {
+        console.error('[record-transaction] project lookup error:', projectError)
+        return json({ error: projectError.message }, 500)
+    }
+    if (!project) return json({ error: 'Project not found.' }, 404)
+
+    let receiveAddress
+    try {
+        receiveAddress = receiveAddressOf(project)
+    } catch (e) {
+        console.error('[record-transaction] receive address error:', e)
+        return json({ error: "The project's receive address can't be derived from its record." }, 500)
+    }
+
+    let refusal
+    try {
+        refusal = await checkTransaction(chain, { txHash, type, amount, receiveAddress })
+    } catch (e) {
+        console.error('[record-transaction] chain lookup error:', e)
+        return json({ error: 'Could not reach the chain to check the transaction. Please try again.' }, 502)
+    }
+    if (refusal) return json({ error: refusal.error }, refusal.status)
+
+    const { data: transaction, error } = await admin
+        .rpc('record_transaction', {
+            p_project_id: projectId,
+            p_tx_hash: txHash,
+            p_amount: amount,
+            p_type: type,
+        })
+        .single()
+
+    if (error) {
+        // 23503: no such project
+        if (error.code === '23503') return json({ error: 'Project not found.' }, 404)
+        console.error('[record-transaction] record error:', error)
+        return json({ error: error.message }, 500)
+    }
+    // Already recorded: record_transaction() hands back the existing row
+    if (transaction.project_id !== projectId) {
+        return json({ error: 'This transaction is already recorded for another project.' }, 409)
+    }
+
+    return json(transaction)
+})
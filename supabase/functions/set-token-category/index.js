@@ -0,0 +1,109 @@
+/**
+ * supabase/functions/set-token-category/index.js
+ *
+ * Supabase Edge Function (Deno) — the only way projects.token_category gets
+ * set. Clients can't update the column, because every GOV check (funding,
+ * the voting snapshot, cast-vote) trusts it to be the category this
+ * project's GovMinter mints.
+ *
+ * The caller must be signed in as the project creator (_shared/session.js),
+ * and the project must have its MilestoneLock pubkeys and no category yet:
+ * a project never gets a second one. The category's minting baton has to
+ * sit at the project's GovMinter (_shared/projectAddresses.js), read through
+ * a Fulcrum server (getMintingReserve() in _shared/votingSnapshot.js) —
+ * createProjectToken() puts it there.
+ *
+ * Env:      CHAIN_NETWORK            cashscript network name (default chipnet)
+ *           ELECTRUM_HOST            Fulcrum server to use instead of the
+ *                                    network's default
+ *
+ * Request:  POST { projectId, tokenCategory }
+ * Response: 200 the stored project row | 4xx/5xx { error }
+ *
+ * Deploy:   supabase functions deploy set-token-category
+ */
+
+import { ElectrumNetworkProvider } from 'npm:cashscript@0.12'
+import * as libauth from 'npm:@bitauth/libauth@3.1.0-next.8'
+import { admin } from '../_shared/admin.js'
+import { createChainBackend } from '../_shared/chainCheck.js'
+import { json, readJsonPost } from '../_shared/http.js'
+import { getGovMinter } from '../_shared/projectAddresses.js'
+import { getSessionUser } from '../_shared/session.js'
+import { getMintingReserve } from '../_shared/votingSnapshot.js'
+
+const TXID = /^[0-9a-f]{64}$/
+
+const ELECTRUM_HOST = Deno.env.get('ELECTRUM_HOST')
+const provider = new ElectrumNetworkProvider(Deno.env.get('CHAIN_NETWORK') ?? 'chipnet', ELECTRUM_HOST ? { hostname: ELECTRUM_HOST } : {})
+const chain = createChainBackend(provider, libauth)
+
+Deno.serve(async (req) => {
+    const { body, response } = await readJsonPost(req)
+    if (response) return response
+
+    const session = await getSessionUser(req)
+    if (!session) return json({ error: 'Sign in with your wallet to set up the GOV token.' }, 401)
+
+    const { projectId, tokenCategory } = body
+    if (!projectId) return json({ error: 'projectId is required' }, 400)
+    if (!TXID.test(tokenCategory ?? '')) {
+        return json({ error: 'tokenCategory must be a 64-character hex token category' }, 400)
+    }
+
+    const { data: project, error: projectError } = await admin
+        .from('projects')
+        .select('creator_id, token_category, owner_pubkey, funder_pubkey, created_at')
+        .eq('id', projectId)
+        .maybeSingle()
+
+    if (projectError) {
+        console.error('[set-token-category] project lookup error:', projectError)
+        return json({ error: projectError.message }, 500)
+    }
+    if (!project) return json({ error: 'Project not found.' }, 404)
+    if (project.creator_id !== session.id) return json({ error: 'Only the project creator can set the GOV token.' }, 403)
+    if (project.token_category !== null) return json({ error: 'This project already has a GOV token.' }, 409)
+    if (!project.owner_pubkey || !project.funder_pubkey) {
+        return json({ error: 'This project has no MilestoneLock contract on record.' }, 422)
+    }
+
+    // ── 1. The baton has to be in this project's GovMinter ───────────────────
+    let reserve
+    try {
+        reserve = await getMintingReserve(chain, {
+            tokenCategory,
+            minterAddress: getGovMinter({
+                ownerPubkey: project.owner_pubkey,
+                funderPubkey: project.funder_pubkey,
+                createdAt: project.created_at,
+            }, provider).tokenAddress,
+        })
+    } catch (e) {
+        console.error('[set-token-category] chain read error:', e)
+        return json({ error: 'Could not read the GovMinter from the chain. Please try again.' }, 502)
+    }
+    if (reserve === null) {
+        return json({ error: "This token category's minting baton is not in the project's GovMinter." }, 422)
+    }
+
+    // ── 2. Store it, only over NULL ───────────────────────────────────────────
+    const { data: stored, error: storeError } = await admin
+        .from('projects')
+        .update({ token_category: tokenCategory })
+        .eq('id', projectId)
+        .is('token_category', null)
+        .select()
+        .maybeSingle()
+
+    if (storeError) {
+        // 23505: token_category taken
+        if (storeError.code === '23505') return json({ error: 'This GOV token category belongs to another project.' }, 409)
+        console.error('[set-token-category] store error:', storeError)
+        return json({ error: storeError.message }, 500)
+    }
+    // A parallel request got there first: its category stands
+    if (!stored) return json({ error: 'This project already has a GOV token.' }, 409)
+
+    return json(stored)
+})
@@ -0,0 +1,126 @@
+/**
+ * supabase/functions/take-snapshot/index.js
+ *
+ * Supabase Edge Function (Deno) — the only way a milestone's voting snapshot
+ * gets written. Clients can't insert `voting_snapshots` rows or set
+ * milestones.snapshot_height / snapshot_supply, so the balances votes are
+ * weighed by can't be made up in a browser, not even the creator's.
+ *
+ * The caller must be signed in as the project creator (_shared/session.js)
+ * and the milestone must still be pending. Every registered wallet's GOV
+ * balance and the circulating supply (genesis supply minus the reserve in
+ * the project's GovMinter) are read through a Fulcrum server at the
+ * current block height (_shared/votingSnapshot.js), then stored. A
+ * milestone that already has a snapshot keeps it: voting power is fixed
+ * once.
+ *
+ * The GovMinter is rebuilt from the project's row with the artifacts in
+ * _shared/ (_shared/projectAddresses.js), as the browser builds it.
+ *
+ * Env:      CHAIN_NETWORK            cashscript network name (default chipnet)
+ *           ELECTRUM_HOST            Fulcrum server to use instead of the
+ *                                    network's default
+ *
+ * Request:  POST { milestoneId }
+ * Response: 200 { blockHeight, holders, circulatingSupply } | 4xx/5xx { error }
+ *           (holders is null when the snapshot was already taken)
+ *
+ * Deploy:   supabase functions deploy take-snapshot
+ */
+
+import { ElectrumNetworkProvider } from 'npm:cashscript@0.12'
+import * as libauth from 'npm:@bitauth/libauth@3.1.0-next.8'
+import { admin } from '../_shared/admin.js'
+import { createChainBackend } from '../_shared/chainCheck.js'
+import { json, readJsonPost } from '../_shared/http.js'
+import { getGovMinter } from '../_shared/projectAddresses.js'
+import { getSessionUser } from '../_shared/session.js'
+import { readVotingSnapshot } from '../_shared/votingSnapshot.js'
+
+const ELECTRUM_HOST = Deno.env.get('ELECTRUM_HOST')
+const provider = new ElectrumNetworkProvider(Deno.env.get('CHAIN_NETWORK') ?? 'chipnet', ELECTRUM_HOST ? { hostname: ELECTRUM_HOST } : {})
+const chain = createChainBackend(provider, libauth)
+
+Deno.serve(async (req) => {
+    const { body, response } = await readJsonPost(req)
+    if (response) return response
+
+    const session = await getSessionUser(req)
+    if (!session) return json({ error: 'Sign in with your wallet to open voting.' }, 401)
+
+    const { milestoneId } = body
+    if (!milestoneId) return json({ error: 'milestoneId is required' }, 400)
+
+    const { data: milestone, error: milestoneError } = await admin
+        .from('milestones')
+        .select('status, snapshot_height, snapshot_supply, project:projects(creator_id, token_category, owner_pubkey, funder_pubkey, created_at)')
+        .eq('id', milestoneId)
+        .maybeSingle()
+
+    if (milestoneError) {
+        console.error('[take-snapshot] milestone lookup error:', milestoneError)
+        return json({ error: milestoneError.message }, 500)
+    }
+    if (!milestone) return json({ error: 'Milestone not found.' }, 404)
+
+    const { project } = milestone
+    if (project?.creator_id !== session.id) return json({ error: 'Only the project creator can open voting.' }, 403)
+    if (milestone.snapshot_height !== null) {
+        return json({ blockHeight: milestone.snapshot_height, holders: null, circulatingSupply: milestone.snapshot_supply })
+    }
+    if (milestone.status !== 'pending') {
+        return json({ error: `Voting can only be opened on a pending milestone (this one is ${milestone.status}).` }, 409)
+    }
+    if (!project.token_category) return json({ error: 'This project has no GOV token yet.' }, 422)
+    if (!project.owner_pubkey || !project.funder_pubkey) {
+        return json({ error: 'This project has no MilestoneLock contract on record.' }, 422)
+    }
+
+    const { data: users, error: usersError } = await admin
+        .from('users')
+        .select('id, wallet_address')
+
+    if (usersError) {
+        console.error('[take-snapshot] users lookup error:', usersError)
+        return json({ error: usersError.message }, 500)
+    }
+
+    // ── 1. Read every balance at one block height ─────────────────────────────
+    let snapshot
+    try {
+        snapshot = await readVotingSnapshot(chain, {
+            users,
+            tokenCategory: project.token_category,
+            minterAddress: getGovMinter({
+                ownerPubkey: project.owner_pubkey,
+                funderPubkey: project.funder_pubkey,
+                createdAt: project.created_at,
+            }, provider).tokenAddress,
+        })
+    } catch (e) {
+        console.error('[take-snapshot] chain read error:', e)
+        return json({ error: 'Could not read the GOV balances from the chain. Please try again.' }, 502)
+    }
+    const { blockHeight, balances, circulatingSupply } = snapshot
+
+    // ── 2. Store them with the milestone's snapshot height, in one go ────────
+    const { data: stored, error: storeError } = await admin
+        .rpc('store_voting_snapshot', {
+            p_milestone_id: milestoneId,
+            p_height: blockHeight,
+            p_supply: circulatingSupply,
+            p_balances: balances.map(b => ({ voter_id: b.voterId, balance: b.balance })),
+        })
+        .single()
+
+    if (storeError) {
+        console.error('[take-snapshot] store error:', storeError)
+        return json({ error: storeError.message }, 500)
+    }
+    // A parallel request got there first: its snapshot stands
+    if (stored.snapshot_height !== blockHeight || stored.snapshot_supply !== circulatingSupply) {
+        return json({ blockHeight: stored.snapshot_height, holders: null, circulatingSupply: stored.snapshot_supply })
+    }
+
+    return json({ blockHeight, holders: balances.length, circulatingSupply })
+})
@@ -0,0 +1,56 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Milestara — Supabase stand-ins for a plain local Postgres
+--
+-- A Supabase database already has the anon / authenticated / service_role
+-- roles, the auth.uid() and auth.jwt() helpers, and default grants for the
+-- API roles. This file adds them to a bare Postgres so src/lib/schema.sql
+-- and rls.test.sql can run there (npm run test:rls). Don't run it on a
+-- Supabase project.
+--
+-- Idempotent, like schema.sql.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'anon') THEN
+        CREATE ROLE anon NOLOGIN;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'authenticated') THEN
+        CREATE ROLE authenticated NOLOGIN;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'service_role') THEN
+        CREATE ROLE service_role NOLOGIN BYPASSRLS;
+    END IF;
+END
+$$;
+
+-- The tests switch between them with SET ROLE
+GRANT anon, authenticated, service_role TO CURRENT_USER;
+
+-- PostgREST puts the request's JWT claims in request.jwt.claims; Supabase
+-- reads auth.uid() and auth.jwt() from there
+CREATE SCHEMA IF NOT EXISTS auth;
+
+CREATE OR REPLACE FUNCTION auth.jwt()
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT COALESCE(NULLIF(current_setting('request.jwt.claims', true), ''), '{}')::jsonb;
+$$;
+
+CREATE OR REPLACE FUNCTION auth.uid()
+RETURNS uuid
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT NULLIF(auth.jwt() ->> 'sub', '')::uuid;
+$$;
+
+GRANT USAGE ON SCHEMA auth   TO anon, authenticated, service_role;
+GRANT USAGE ON SCHEMA public TO anon, authenticated, service_role;
+
+-- Supabase's defaults: the API roles get every privilege and RLS decides
+ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT ALL ON TABLES    TO anon, authenticated, service_role;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT ALL ON SEQUENCES TO anon, authenticated, service_role;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT ALL ON FUNCTIONS TO anon, authenticated, service_role;
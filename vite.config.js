@@ -2,10 +2,32 @@ import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 import { nodePolyfills } from 'vite-plugin-node-polyfills'
+import { compileString } from 'cashc'
+
+// Compiles CashScript sources with cashc when they are imported, so
+// `import artifact from './MilestoneLock.cash'` always matches the .cash file.
+// A compile error fails the build (and shows the overlay in dev).
+function cashscript() {
+  return {
+    name: 'milestara:cashscript',
+    enforce: 'pre',
+    transform(source, id) {
+      if (!id.endsWith('.cash')) return null
+      let artifact
+      try {
+        artifact = compileString(source)
+      } catch (e) {
+        this.error(`CashScript compile error: ${e.message}`)
+      }
+      return { code: `export default ${JSON.stringify(artifact)}`, map: null }
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [
+    cashscript(),
     react(),
     tailwindcss(),
     // Polyfills needed by mainnet-js (Buffer, process, crypto, etc.)
@@ -26,4 +48,12 @@ export default defineConfig({
     // Let Vite pre-bundle mainnet-js properly
     include: ['mainnet-js'],
   },
+  test: {
+    // Contract tests run in Node against cashscript's MockNetworkProvider
+    environment: 'node',
+    include: ['src/**/*.test.js'],
+    // A redeem runs several contract inputs through the VM; on a slow
+    // machine that alone can take most of the default 5s
+    testTimeout: 20_000,
+  },
 })